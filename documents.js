@@ -0,0 +1,197 @@
+// Text extraction for the AI knowledge base. extractPages() returns the text
+// of a document as [{ page, unit, text }]: one entry per PDF page or
+// PowerPoint slide (unit 'page' or 'slide'), or a single entry with page null
+// for formats without pages. Paragraphs are separated by blank lines.
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const JSZip = require('jszip');
+const ocr = require('./ocr');
+
+// Pages with less text than this are treated as scanned images
+const MIN_PAGE_TEXT = 20;
+
+const ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '\u2013', mdash: '\u2014', hellip: '\u2026',
+  lsquo: '\u2018', rsquo: '\u2019', ldquo: '\u201c', rdquo: '\u201d', bull: '\u2022', deg: '\u00b0', plusmn: '\u00b1',
+  times: '\u00d7', micro: '\u00b5', copy: '\u00a9', reg: '\u00ae', trade: '\u2122'
+};
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code < 0x110000 ? String.fromCodePoint(code) : ' ';
+    }
+    const known = ENTITIES[name.toLowerCase()];
+    return known === undefined ? match : known;
+  });
+}
+
+// Tidy paragraphs: collapse spaces inside each, drop empty ones
+function paragraphs(list) {
+  return list.map(p => p.replace(/[ \t\r\f\v]+/g, ' ').replace(/ *\n */g, '\n').trim()).filter(Boolean).join('\n\n');
+}
+
+// ---- PDF ----
+
+async function pdfPages(filePath) {
+  const pages = [];
+  // pdf-parse renders pages one after another, so they arrive in order
+  await pdfParse(fs.readFileSync(filePath), {
+    pagerender: pageData => pageData.getTextContent().then(content => {
+      const text = content.items.map(item => item.str).join(' ');
+      pages.push({ page: pages.length + 1, unit: 'page', text });
+      return text;
+    })
+  });
+
+  // Scanned pages have no text layer; read them with OCR instead
+  const scanned = pages.filter(page => page.text.trim().length < MIN_PAGE_TEXT).map(page => page.page);
+  if (scanned.length) {
+    try {
+      const recognized = await ocr.recognizePdfPages(filePath, scanned);
+      pages.forEach(page => {
+        if (recognized[page.page]) {
+          page.text = recognized[page.page];
+          page.ocr = true;
+        }
+      });
+    } catch (err) {
+      console.error('OCR of ' + scanned.length + ' page(s) in ' + path.basename(filePath) + ' failed:', err.code === 'ENOENT' ? 'OCR engine not installed' : err.message);
+    }
+  }
+  return pages;
+}
+
+// ---- PowerPoint ----
+
+function xmlAttribute(tag, name) {
+  const match = new RegExp('\\s' + name + '="([^"]*)"').exec(tag);
+  return match ? decodeEntities(match[1]) : null;
+}
+
+// Relationship id -> zip path, for a .rels part belonging to `baseDir`
+function parseRelationships(xml, baseDir) {
+  const targets = {};
+  (String(xml || '').match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+    const id = xmlAttribute(tag, 'Id');
+    const target = xmlAttribute(tag, 'Target');
+    if (!id || !target || xmlAttribute(tag, 'TargetMode') === 'External') return;
+    targets[id] = target.startsWith('/') ? target.slice(1) : path.posix.normalize(path.posix.join(baseDir, target));
+  });
+  return targets;
+}
+
+// Paragraph text of a slide or notes part. Fields (slide numbers, dates) are skipped.
+function drawingText(xml) {
+  return paragraphs(String(xml || '')
+    .replace(/<a:fld\b[\s\S]*?<\/a:fld>/g, '')
+    .split(/<\/a:p>/)
+    .map(p => (p.match(/<a:t(?:\s[^>]*)?>[^<]*<\/a:t>/g) || []).map(run => decodeEntities(run.replace(/<[^>]+>/g, ''))).join('')));
+}
+
+async function pptxPages(filePath) {
+  const zip = await JSZip.loadAsync(fs.readFileSync(filePath));
+  const read = name => (zip.file(name) ? zip.file(name).async('string') : Promise.resolve(null));
+
+  // Slide order comes from the presentation's slide id list
+  const presentationRels = parseRelationships(await read('ppt/_rels/presentation.xml.rels'), 'ppt');
+  let slides = ((await read('ppt/presentation.xml') || '').match(/<p:sldId\b[^>]*>/g) || [])
+    .map(tag => presentationRels[xmlAttribute(tag, 'r:id')])
+    .filter(name => name && zip.file(name));
+  if (!slides.length) {
+    slides = Object.keys(zip.files)
+      .filter(name => /^ppt\/slides\/slide\d+\.xml$/.test(name))
+      .sort((a, b) => parseInt(a.match(/(\d+)\.xml$/)[1], 10) - parseInt(b.match(/(\d+)\.xml$/)[1], 10));
+  }
+  if (!slides.length) throw new Error('No slides found in presentation');
+
+  const pages = [];
+  for (let i = 0; i < slides.length; i++) {
+    const slide = slides[i];
+    const dir = path.posix.dirname(slide);
+    const rels = parseRelationships(await read(dir + '/_rels/' + path.posix.basename(slide) + '.rels'), dir);
+    const notesPart = Object.values(rels).find(target => /notesSlides\/notesSlide\d+\.xml$/.test(target));
+    const text = drawingText(await read(slide));
+    const notes = notesPart ? drawingText(await read(notesPart)) : '';
+    pages.push({ page: i + 1, unit: 'slide', text: notes ? text + '\n\nSpeaker notes:\n\n' + notes : text });
+  }
+  return pages;
+}
+
+// ---- HTML and Markdown ----
+
+function htmlToText(html) {
+  const blocks = String(html)
+    .replace(/<(script|style|noscript|template|head)\b[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/?(p|div|h[1-6]|li|dt|dd|tr|th|td|section|article|header|footer|aside|nav|blockquote|pre|table|ul|ol|dl|figcaption|title)\b[^>]*>/gi, '\n\n')
+    .replace(/<[^>]+>/g, ' ');
+  return paragraphs(decodeEntities(blocks).split(/\n\s*\n/));
+}
+
+function markdownToText(markdown) {
+  const text = String(markdown)
+    .replace(/\r\n?/g, '\n')
+    .replace(/^(```|~~~).*$/gm, '\n')
+    .replace(/^ {0,3}#{1,6}\s+(.*?)\s*#*\s*$/gm, '\n$1\n')
+    .replace(/^ {0,3}(?:[-*_]\s*){3,}$/gm, '\n')
+    .replace(/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/gm, '')
+    .replace(/^\s*>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '\n')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\]\[[^\]]*\]/g, '$1')
+    .replace(/^\s*\[[^\]]+\]:\s*\S+.*$/gm, '')
+    .replace(/(\*\*|__|~~|\*|_|`)(?=\S)([^\n]*?\S)\1/g, '$2')
+    .replace(/\|/g, ' ');
+  return htmlToText(text.replace(/\n/g, '\n\n').replace(/\n{3,}/g, '\n\n'));
+}
+
+// ---- Dispatch ----
+
+const EXTRACTORS = [
+  { extensions: ['.txt'], mimeTypes: ['text/plain'], extract: file => [{ page: null, text: fs.readFileSync(file, 'utf8') }] },
+  { extensions: ['.pdf'], mimeTypes: ['application/pdf'], extract: pdfPages },
+  {
+    extensions: ['.docx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    extract: async file => {
+      const result = await mammoth.extractRawText({ path: file });
+      return [{ page: null, text: result && result.value ? result.value : '' }];
+    }
+  },
+  {
+    extensions: ['.pptx'],
+    mimeTypes: ['application/vnd.openxmlformats-officedocument.presentationml.presentation'],
+    extract: pptxPages
+  },
+  { extensions: ['.html', '.htm'], mimeTypes: ['text/html'], extract: file => [{ page: null, text: htmlToText(fs.readFileSync(file, 'utf8')) }] },
+  {
+    extensions: ['.md', '.markdown'],
+    mimeTypes: ['text/markdown', 'text/x-markdown'],
+    extract: file => [{ page: null, text: markdownToText(fs.readFileSync(file, 'utf8')) }]
+  }
+];
+
+const SUPPORTED_EXTENSIONS = [].concat(...EXTRACTORS.map(extractor => extractor.extensions));
+
+// The extension wins over the MIME type: browsers report .md as text/plain
+// or application/octet-stream depending on the platform
+async function extractPages(filePath, mimeType, originalName) {
+  const ext = path.extname(originalName || '').toLowerCase();
+  const extractor = EXTRACTORS.find(candidate => candidate.extensions.includes(ext)) ||
+    EXTRACTORS.find(candidate => candidate.mimeTypes.includes(mimeType));
+  if (!extractor) {
+    if (ext === '.ppt' || ext === '.doc') {
+      throw new Error('Legacy ' + ext + ' files cannot be read. Save the file as ' + ext + 'x and upload it again.');
+    }
+    throw new Error('Unsupported file type. Please upload PDF, PPTX, DOCX, HTML, Markdown or TXT.');
+  }
+  return extractor.extract(filePath);
+}
+
+module.exports = { extractPages, htmlToText, markdownToText, SUPPORTED_EXTENSIONS };
@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+// One-shot import of a legacy data.json into the SQLite database.
+//
+//   npm run import-data -- [path/to/data.json] [--force]
+//
+// The whole import runs in one transaction. It refuses to touch a database that
+// already holds users unless --force is given; records with the same id (such
+// as the bootstrap admin) are overwritten. Plaintext passwords are copied as-is
+// and upgraded to scrypt hashes by the server on each account's next login.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { randomBytes } = require('crypto');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const file = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, 'data.json'));
+
+if (!fs.existsSync(file)) {
+  console.error('File not found: ' + file);
+  process.exit(1);
+}
+
+const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+const db = require('./storage');
+
+if (db.users.count() > 0 && !force) {
+  console.error(db.DB_FILE + ' already contains users. Re-run with --force to merge into it.');
+  process.exit(1);
+}
+
+const SESSION_IDLE_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+function sessionRecord(token, value, kind) {
+  // Very old sessions were stored as token -> email
+  if (typeof value === 'string') {
+    const now = Date.now();
+    value = {
+      email: value,
+      createdAt: new Date(now).toISOString(),
+      lastSeenAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + SESSION_IDLE_TTL_MS).toISOString()
+    };
+  }
+  return { ...value, token, kind };
+}
+
+const counts = {};
+const count = name => { counts[name] = (counts[name] || 0) + 1; };
+
+db.transaction(() => {
+  Object.keys(data.users || {}).forEach(email => {
+    db.users.put({ ...data.users[email], email: data.users[email].email || email });
+    count('users');
+  });
+  Object.keys(data.admins || {}).forEach(email => {
+    db.admins.put({ ...data.admins[email], email: data.admins[email].email || email });
+    count('admins');
+  });
+  [['sessions', 'user'], ['adminSessions', 'admin']].forEach(([field, kind]) => {
+    Object.keys(data[field] || {}).forEach(token => {
+      db.sessions.put(sessionRecord(token, data[field][token], kind));
+      count('sessions');
+    });
+  });
+  Object.keys(data.moduleContent || {}).forEach(module => {
+    (data.moduleContent[module] || []).forEach((item, position) => {
+      db.moduleContent.put({ ...item, id: item.id || randomBytes(8).toString('hex'), module, position });
+      count('moduleContent');
+    });
+  });
+  Object.keys(data.itemProgress || {}).forEach(email => {
+    Object.keys(data.itemProgress[email] || {}).forEach(itemId => {
+      db.itemProgress.put({ ...data.itemProgress[email][itemId], id: email + '|' + itemId, email, itemId });
+      count('itemProgress');
+    });
+  });
+  ['aiKnowledge', 'quizzes', 'quizAttempts', 'certificates'].forEach(name => {
+    (data[name] || []).forEach(doc => {
+      db[name].put(doc);
+      count(name);
+    });
+  });
+});
+
+console.log('Imported ' + file + ' into ' + db.DB_FILE + ':');
+Object.keys(counts).forEach(name => console.log('  ' + name + ': ' + counts[name]));
+if (data.progress && Object.keys(data.progress).length) {
+  // Client-posted percentages are no longer trusted, see POST /api/progress
+  console.log('  skipped legacy progress percentages for ' + Object.keys(data.progress).length + ' user(s)');
+}
+db.close();
@@ -0,0 +1,75 @@
+// Answer generation through a local LLM server that speaks the OpenAI chat
+// completions API (llama.cpp server, Ollama, vLLM, LM Studio...):
+//   LLM_URL        - base URL, e.g. http://localhost:11434/v1 (unset: no generation)
+//   LLM_MODEL      - model name sent with each request (default "local")
+//   LLM_API_KEY    - bearer token, if the server asks for one
+//   LLM_TIMEOUT_MS - per-request limit (default 30000)
+// setGenerator() swaps in any async function ({ question, passages, history })
+// returning the answer text, or null to fall back to the environment again.
+// complete() sends any other chat to the configured server, e.g. to draft
+// quiz questions.
+
+const SYSTEM_PROMPT = 'You are the training assistant for Claronav surgical navigation systems. ' +
+  'Answer the trainee\'s question using only the numbered passages from the training material. ' +
+  'Cite the passages you use with their numbers in square brackets, like [1]. ' +
+  'If the passages do not answer the question, say that the training material does not cover it. ' +
+  'Keep answers short and practical.';
+
+function passageBlock(passages) {
+  return passages.map((passage, i) => {
+    const source = passage.title + (passage.page ? ', ' + (passage.unit || 'page') + ' ' + passage.page : '');
+    return '[' + (i + 1) + '] (' + source + ')\n' + passage.text;
+  }).join('\n\n');
+}
+
+function hasServer() {
+  return Boolean(process.env.LLM_URL);
+}
+
+// The reply text for a list of chat messages. Throws when no server is
+// configured, it fails or it replies with nothing.
+async function complete(messages, options) {
+  if (!hasServer()) throw new Error('No LLM backend configured');
+  const url = process.env.LLM_URL.replace(/\/+$/, '') + '/chat/completions';
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.LLM_API_KEY) headers.Authorization = 'Bearer ' + process.env.LLM_API_KEY;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify({ model: process.env.LLM_MODEL || 'local', messages, temperature: 0.2, ...options }),
+    signal: AbortSignal.timeout(Number(process.env.LLM_TIMEOUT_MS) || 30000)
+  });
+  if (!response.ok) throw new Error('LLM server responded ' + response.status);
+  const data = await response.json();
+  const reply = data.choices && data.choices[0] && data.choices[0].message && data.choices[0].message.content;
+  if (!reply || !reply.trim()) throw new Error('LLM server returned an empty answer');
+  return reply.trim();
+}
+
+function httpGenerator({ question, passages, history }) {
+  // Earlier turns of the conversation come before the new question so the
+  // model can resolve follow-ups; only the new question carries passages
+  const messages = [{ role: 'system', content: SYSTEM_PROMPT }]
+    .concat((history || []).map(turn => ({ role: turn.role, content: turn.content })))
+    .concat([{ role: 'user', content: 'Training material:\n\n' + passageBlock(passages) + '\n\nQuestion: ' + question }]);
+  return complete(messages);
+}
+
+let generator = null;
+
+function setGenerator(custom) {
+  generator = custom || null;
+}
+
+function isEnabled() {
+  return Boolean(generator || hasServer());
+}
+
+// The generated answer text. Throws when no backend is configured or it fails.
+function generate(request) {
+  if (generator) return generator(request);
+  return httpGenerator(request);
+}
+
+module.exports = { generate, isEnabled, setGenerator, complete, hasServer };
@@ -0,0 +1,72 @@
+// Outgoing mail. MAIL_TRANSPORT picks where messages go:
+//   smtp    - SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   file    - one JSON file per message in MAIL_DIR (default ./mail-outbox)
+//   console - printed to stdout
+// Without MAIL_TRANSPORT, smtp is used when SMTP_HOST is set, console otherwise.
+// setTransport() swaps in any object with a send(message) method returning a Promise.
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Claronav LMS <no-reply@claronav.com>';
+
+function smtpTransport() {
+  const nodemailer = require('nodemailer');
+  const port = Number(process.env.SMTP_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port,
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  return {
+    name: 'smtp',
+    send: message => transporter.sendMail(message)
+  };
+}
+
+function fileTransport() {
+  const dir = process.env.MAIL_DIR || path.join(__dirname, 'mail-outbox');
+  fs.mkdirSync(dir, { recursive: true });
+  return {
+    name: 'file',
+    send: async message => {
+      const safeTo = String(message.to).replace(/[^A-Za-z0-9@._-]/g, '_');
+      const file = path.join(dir, Date.now() + '-' + safeTo + '.json');
+      await fs.promises.writeFile(file, JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2));
+      return { file };
+    }
+  };
+}
+
+function consoleTransport() {
+  return {
+    name: 'console',
+    send: async message => {
+      console.log('--- mail to ' + message.to + ': ' + message.subject + ' ---\n' + message.text + '\n---');
+      return {};
+    }
+  };
+}
+
+const TRANSPORTS = { smtp: smtpTransport, file: fileTransport, console: consoleTransport };
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+  const name = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'console');
+  if (!TRANSPORTS[name]) throw new Error('Unknown MAIL_TRANSPORT: ' + name);
+  transport = TRANSPORTS[name]();
+  return transport;
+}
+
+function setTransport(custom) {
+  transport = custom;
+}
+
+// message: { to, subject, text, html? }
+function sendMail(message) {
+  return getTransport().send({ from: MAIL_FROM, ...message });
+}
+
+module.exports = { sendMail, setTransport, getTransport };
@@ -0,0 +1,61 @@
+// Video processing through local ffmpeg/ffprobe binaries:
+//   FFMPEG_PATH, FFPROBE_PATH - the binaries (default: looked up on PATH)
+//   VIDEO_LOW_BITRATE         - target bitrate of the low rendition (default 800k)
+// setRunner() swaps the process runner for any function (command, args, options)
+// returning a Promise of stdout, e.g. to stub ffmpeg in tests.
+const { execFile } = require('child_process');
+
+const FFMPEG = process.env.FFMPEG_PATH || 'ffmpeg';
+const FFPROBE = process.env.FFPROBE_PATH || 'ffprobe';
+const LOW_BITRATE = process.env.VIDEO_LOW_BITRATE || '800k';
+
+function execRunner(command, args, options) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { maxBuffer: 10 * 1024 * 1024, ...options }, (err, stdout, stderr) => {
+      if (err) {
+        err.stderr = stderr;
+        return reject(err);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+let runner = execRunner;
+
+function setRunner(custom) {
+  runner = custom || execRunner;
+}
+
+// Duration in whole seconds plus the first video stream's dimensions
+async function probe(file) {
+  const stdout = await runner(FFPROBE, ['-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', file], { timeout: 60 * 1000 });
+  const info = JSON.parse(stdout);
+  const video = (info.streams || []).find(stream => stream.codec_type === 'video') || {};
+  return {
+    durationSeconds: Math.round(Number(info.format && info.format.duration) || 0),
+    width: video.width || null,
+    height: video.height || null
+  };
+}
+
+// A single 640px-wide JPEG frame taken at `atSeconds`
+function thumbnail(file, outFile, atSeconds) {
+  return runner(FFMPEG, [
+    '-y', '-v', 'error', '-ss', String(atSeconds), '-i', file,
+    '-frames:v', '1', '-vf', 'scale=640:-2', outFile
+  ], { timeout: 60 * 1000 });
+}
+
+// 480p H.264/AAC copy for slow hospital connections. No timeout: long videos
+// can take a while on small servers.
+function transcodeLow(file, outFile) {
+  return runner(FFMPEG, [
+    '-y', '-v', 'error', '-i', file,
+    '-vf', 'scale=-2:480', '-c:v', 'libx264', '-preset', 'veryfast',
+    '-b:v', LOW_BITRATE, '-maxrate', LOW_BITRATE, '-bufsize', '2M',
+    '-c:a', 'aac', '-b:a', '96k', '-movflags', '+faststart', outFile
+  ], {});
+}
+
+module.exports = { probe, thumbnail, transcodeLow, setRunner };
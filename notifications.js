@@ -0,0 +1,153 @@
+// Notifications for trainees and admins. The server publishes events with
+// emit(); handlers registered with on() decide who hears about them and call
+// send(), which renders the event's template, stores it in each recipient's
+// in-app inbox and emails it:
+//   NOTIFY_EMAIL - "false" keeps notifications in the inbox only
+// Email goes through mailer.js (see MAIL_TRANSPORT there). setEmailSender()
+// swaps in any async function ({ to, subject, text }) for notification email,
+// or null to go back to the mailer.
+const EventEmitter = require('events');
+const { randomBytes } = require('crypto');
+const db = require('./storage');
+const mailer = require('./mailer');
+
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'https://claronav-lms.onrender.com').replace(/\/$/, '');
+
+// " Reason: ...", ending with a full stop
+function reasonSentence(reason) {
+  if (!reason) return '';
+  return ' Reason: ' + reason + (/[.!?]$/.test(reason) ? '' : '.');
+}
+
+// event -> data => { title, body, link }. Links are relative to APP_BASE_URL.
+const TEMPLATES = {
+  'account.approved': () => ({
+    title: 'Your account has been approved',
+    body: 'An administrator has approved your Claronav LMS account. You can now sign in and start your training.',
+    link: '/login.html'
+  }),
+  'account.rejected': data => ({
+    title: 'Your account request was not approved',
+    body: 'An administrator has rejected your Claronav LMS account request.' +
+      reasonSentence(data.reason) + ' Please contact support if you think this is a mistake.',
+    link: null
+  }),
+  'account.restricted': data => ({
+    title: 'Your account has been restricted',
+    body: 'Your Claronav LMS account has been restricted and you can no longer sign in.' +
+      reasonSentence(data.reason) + ' Please contact support for help.',
+    link: null
+  }),
+  'admin.signup': data => ({
+    title: 'New signup awaiting approval',
+    body: data.name + ' (' + data.email + ') from ' + (data.hospital || 'an unknown hospital') +
+      ' has confirmed their email address and is waiting for approval.',
+    link: '/admin.html'
+  }),
+  'content.added': data => ({
+    title: 'New in ' + data.moduleName + ': ' + data.title,
+    body: 'A new ' + (data.type === 'video' ? 'video' : 'lesson') + ', "' + data.title + '", has been added to ' + data.moduleName + '.',
+    link: '/dashboard.html?module=' + encodeURIComponent(data.module) + '&lesson=' + encodeURIComponent(data.lessonId)
+  }),
+  'content.revised': data => ({
+    title: 'Updated: ' + data.title,
+    body: '"' + data.title + '" in ' + data.moduleName + ' has had a major revision since you completed it. ' +
+      'Please go through the new version.',
+    link: '/dashboard.html?module=' + encodeURIComponent(data.module) + '&lesson=' + encodeURIComponent(data.lessonId)
+  }),
+  'training.due_soon': data => ({
+    title: data.title + ' is due ' + data.dueDate,
+    body: 'Your assigned training "' + data.title + '" is due on ' + data.dueDate + '. Please complete it before then.',
+    link: data.link || '/dashboard.html'
+  }),
+  'training.overdue': data => ({
+    title: data.title + ' is overdue',
+    body: 'Your assigned training "' + data.title + '" was due on ' + data.dueDate + ' and has not been completed yet.',
+    link: data.link || '/dashboard.html'
+  })
+};
+
+const events = new EventEmitter();
+let emailSender = null;
+
+// Handlers run after the current request has finished; a failing handler is
+// logged and never reaches the code that emitted the event
+function on(event, handler) {
+  events.on(event, data => {
+    setImmediate(() => {
+      Promise.resolve()
+        .then(() => handler(data))
+        .catch(err => console.error('Error handling ' + event + ' notification:', err));
+    });
+  });
+}
+
+function emit(event, data) {
+  events.emit(event, data);
+}
+
+function setEmailSender(sender) {
+  emailSender = sender;
+}
+
+function render(event, data) {
+  if (!TEMPLATES[event]) throw new Error('Unknown notification: ' + event);
+  return TEMPLATES[event](data || {});
+}
+
+// recipients: [{ email, type: 'user' | 'admin', name? }]. Returns the stored
+// inbox entries.
+async function send(recipients, event, data) {
+  const message = render(event, data);
+  const now = new Date().toISOString();
+  const entries = recipients.map(recipient => ({
+    id: randomBytes(8).toString('hex'),
+    recipient: recipient.email,
+    recipientType: recipient.type,
+    event,
+    title: message.title,
+    body: message.body,
+    link: message.link,
+    createdAt: now,
+    readAt: null
+  }));
+  db.transaction(() => entries.forEach(entry => db.notifications.put(entry)));
+
+  if (process.env.NOTIFY_EMAIL !== 'false') {
+    const sendMail = emailSender || mailer.sendMail;
+    await Promise.all(recipients.map(recipient => Promise.resolve()
+      .then(() => sendMail({
+        to: recipient.email,
+        subject: message.title,
+        text: 'Hi' + (recipient.name ? ' ' + recipient.name : '') + ',\n\n' + message.body +
+          (message.link ? '\n\n' + APP_BASE_URL + message.link : '')
+      }))
+      .catch(err => console.error('Error emailing ' + event + ' notification to ' + recipient.email + ':', err))));
+  }
+  return entries;
+}
+
+// A recipient's notifications, newest first
+function inbox(email, type, options) {
+  const { unreadOnly, limit } = options || {};
+  const entries = db.notifications.find({ recipient: email, recipientType: type })
+    .filter(entry => !unreadOnly || !entry.readAt)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  return {
+    notifications: entries.slice(0, limit || 50),
+    unread: entries.filter(entry => !entry.readAt).length
+  };
+}
+
+// Mark some (or, without ids, all) of a recipient's notifications read.
+// Returns how many changed.
+function markRead(email, type, ids) {
+  const now = new Date().toISOString();
+  const wanted = Array.isArray(ids) ? new Set(ids.map(String)) : null;
+  const entries = db.notifications.find({ recipient: email, recipientType: type })
+    .filter(entry => !entry.readAt && (!wanted || wanted.has(entry.id)));
+  db.transaction(() => entries.forEach(entry => db.notifications.put({ ...entry, readAt: now })));
+  return entries.length;
+}
+
+module.exports = { on, emit, send, render, inbox, markRead, setEmailSender, TEMPLATES };
@@ -0,0 +1,54 @@
+// Text recognition for scanned PDF pages through local binaries:
+//   PDFTOPPM_PATH  - poppler's pdftoppm, renders pages to images (default: looked up on PATH)
+//   TESSERACT_PATH - the tesseract OCR engine (default: looked up on PATH)
+//   OCR_LANG       - tesseract language(s), e.g. eng+fra (default eng)
+//   OCR_DPI        - resolution pages are rendered at (default 200)
+// setRunner() swaps the process runner for any function (command, args, options)
+// returning a Promise of stdout, e.g. to stub the binaries in tests.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const PDFTOPPM = process.env.PDFTOPPM_PATH || 'pdftoppm';
+const TESSERACT = process.env.TESSERACT_PATH || 'tesseract';
+const LANG = process.env.OCR_LANG || 'eng';
+const DPI = String(Number(process.env.OCR_DPI) || 200);
+
+function execRunner(command, args, options) {
+  return new Promise((resolve, reject) => {
+    execFile(command, args, { maxBuffer: 10 * 1024 * 1024, ...options }, (err, stdout, stderr) => {
+      if (err) {
+        err.stderr = stderr;
+        return reject(err);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+let runner = execRunner;
+
+function setRunner(custom) {
+  runner = custom || execRunner;
+}
+
+// Recognised text of the given 1-based pages of a PDF, as { [page]: text }.
+// Pages are rendered and read one at a time to keep memory flat.
+async function recognizePdfPages(file, pages) {
+  const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'ocr-'));
+  const texts = {};
+  try {
+    for (const page of pages) {
+      const prefix = path.join(dir, 'page-' + page);
+      await runner(PDFTOPPM, ['-f', String(page), '-l', String(page), '-r', DPI, '-gray', '-png', '-singlefile', file, prefix], { timeout: 60 * 1000 });
+      const stdout = await runner(TESSERACT, [prefix + '.png', 'stdout', '-l', LANG], { timeout: 120 * 1000 });
+      texts[page] = String(stdout || '').trim();
+    }
+  } finally {
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  }
+  return texts;
+}
+
+module.exports = { recognizePdfPages, setRunner };
@@ -0,0 +1,269 @@
+// Interactive lesson packages: SCORM 1.2, xAPI (Tin Can) and cmi5 zips.
+// unpack() checks the package's manifest - imsmanifest.xml, tincan.xml or
+// cmi5.xml at the root of the zip - and extracts it into a directory. It
+// resolves to what the player needs to launch it:
+//   { standard: 'scorm12' | 'xapi' | 'cmi5', title, launch, activityId,
+//     masteryScore, moveOn, launchData, launchParameters }
+// masteryScore is a percentage. Packages with several SCOs or AUs are
+// rejected: lessons launch one and there is no sequencing between them.
+// Problems with the package are thrown as errors with a message for the admin.
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const JSZip = require('jszip');
+
+const MAX_PACKAGE_FILES = 20000;
+const MAX_PACKAGE_BYTES = 2 * 1024 * 1024 * 1024;
+const MOVE_ON_RULES = ['Passed', 'Completed', 'CompletedAndPassed', 'CompletedOrPassed', 'NotApplicable'];
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code < 0x110000 ? String.fromCodePoint(code) : '';
+    }
+    return ENTITIES[name.toLowerCase()] === undefined ? match : ENTITIES[name.toLowerCase()];
+  });
+}
+
+// Attribute of a start tag, ignoring case and any namespace prefix
+function xmlAttribute(tag, name) {
+  const match = new RegExp('\\s(?:[\\w.-]+:)?' + name + '\\s*=\\s*(?:"([^"]*)"|\'([^\']*)\')', 'i').exec(tag);
+  return match ? decodeXml(match[1] !== undefined ? match[1] : match[2]).trim() : null;
+}
+
+// Start tags of an element, ignoring any namespace prefix
+function startTags(xml, name) {
+  return xml.match(new RegExp('<(?:[\\w.-]+:)?' + name + '\\b[^>]*>', 'gi')) || [];
+}
+
+// Text of the first element called name, ignoring any namespace prefix
+function elementText(xml, name) {
+  const match = new RegExp('<(?:[\\w.-]+:)?' + name + '\\b[^>]*>([\\s\\S]*?)</(?:[\\w.-]+:)?' + name + '>', 'i').exec(xml);
+  if (!match) return null;
+  return decodeXml(match[1].replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1').replace(/<[^>]+>/g, '')).trim();
+}
+
+function stripComments(xml) {
+  return String(xml).replace(/<!--[\s\S]*?-->/g, '');
+}
+
+// A path inside the package for an href: relative, without query or fragment
+function packagePath(href) {
+  const file = String(href).split(/[?#]/)[0];
+  let decoded;
+  try {
+    decoded = decodeURIComponent(file);
+  } catch (err) {
+    decoded = file;
+  }
+  return path.posix.normalize(decoded.replace(/\\/g, '/')).replace(/^\.\//, '');
+}
+
+function isRemote(href) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(href) || href.startsWith('//');
+}
+
+// ---- SCORM 1.2 ----
+
+function readScormManifest(xml) {
+  const manifest = stripComments(xml);
+  const version = elementText(manifest, 'schemaversion') || '';
+  if (/2004|CAM 1\.3/i.test(version) || /adlcp_v1p3|imsss/i.test(manifest)) {
+    throw new Error('SCORM 2004 packages are not supported. Export the package as SCORM 1.2, xAPI or cmi5.');
+  }
+  if (version && version !== '1.2' && !/adlcp_rootv1p2/i.test(manifest)) {
+    throw new Error('Unsupported SCORM version "' + version + '". Export the package as SCORM 1.2, xAPI or cmi5.');
+  }
+
+  // The default organization, or the first one
+  const organizations = manifest.match(/<(?:[\w.-]+:)?organization\b[^>]*>[\s\S]*?<\/(?:[\w.-]+:)?organization>/gi) || [];
+  const defaultId = xmlAttribute(startTags(manifest, 'organizations')[0] || '', 'default');
+  const organization = organizations.find(org => xmlAttribute(startTags(org, 'organization')[0], 'identifier') === defaultId) || organizations[0];
+  if (!organization) throw new Error('The manifest has no organization to launch');
+
+  const resourcesTag = startTags(manifest, 'resources')[0] || '';
+  const resources = {};
+  startTags(manifest, 'resource').forEach(tag => {
+    resources[xmlAttribute(tag, 'identifier')] = tag;
+  });
+
+  // Items pointing at SCOs, with the part of the manifest describing each
+  const itemTags = startTags(organization, 'item');
+  const scos = [];
+  itemTags.forEach(tag => {
+    const resource = resources[xmlAttribute(tag, 'identifierref')];
+    if (!resource || (xmlAttribute(resource, 'scormtype') || '').toLowerCase() !== 'sco') return;
+    const start = organization.indexOf(tag) + tag.length;
+    const rest = organization.slice(start);
+    const end = rest.search(/<(?:[\w.-]+:)?item\b|<\/(?:[\w.-]+:)?item>/i);
+    scos.push({ tag, resource, body: end === -1 ? rest : rest.slice(0, end) });
+  });
+  if (scos.length === 0) throw new Error('The manifest has no SCO to launch');
+  if (scos.length > 1) throw new Error('The package has ' + scos.length + ' SCOs. Only packages with a single SCO can be uploaded.');
+
+  const { tag, resource, body } = scos[0];
+  const href = xmlAttribute(resource, 'href');
+  if (!href) throw new Error('The SCO in the manifest has no launch file');
+  if (isRemote(href)) throw new Error('The SCO must be a file inside the package');
+  const base = (xmlAttribute(resourcesTag, 'base') || '') + (xmlAttribute(resource, 'base') || '');
+  const parameters = xmlAttribute(tag, 'parameters') || '';
+  const mastery = elementText(body, 'masteryscore');
+  const masteryScore = mastery === null || mastery === '' ? null : Number(mastery);
+  if (masteryScore !== null && !(masteryScore >= 0 && masteryScore <= 100)) throw new Error('The SCO has an invalid mastery score');
+
+  return {
+    standard: 'scorm12',
+    title: elementText(body, 'title') || elementText(organization, 'title') || '',
+    launch: base + href + (parameters ? (href.includes('?') ? '&' : '?') + parameters.replace(/^[?&]/, '') : ''),
+    activityId: null,
+    masteryScore,
+    moveOn: masteryScore === null ? 'CompletedOrPassed' : 'Passed',
+    launchData: elementText(body, 'datafromlms') || '',
+    launchParameters: ''
+  };
+}
+
+// ---- xAPI (Tin Can) ----
+
+function readTincanManifest(xml) {
+  const manifest = stripComments(xml);
+  const activities = manifest.match(/<activity\b[^>]*>[\s\S]*?<\/activity>/gi) || [];
+  const launchable = activities.filter(activity => elementText(activity, 'launch'));
+  if (launchable.length === 0) throw new Error('tincan.xml has no activity with a launch file');
+  const activity = launchable[0];
+  const activityId = xmlAttribute(startTags(activity, 'activity')[0], 'id');
+  if (!activityId) throw new Error('The activity in tincan.xml has no id');
+  const launch = elementText(activity, 'launch');
+  if (isRemote(launch)) throw new Error('The activity must be launched from a file inside the package');
+  return {
+    standard: 'xapi',
+    title: elementText(activity, 'name') || '',
+    launch,
+    activityId,
+    masteryScore: null,
+    moveOn: 'CompletedOrPassed',
+    launchData: '',
+    launchParameters: ''
+  };
+}
+
+// ---- cmi5 ----
+
+function readCmi5Manifest(xml) {
+  const manifest = stripComments(xml);
+  const units = manifest.match(/<au\b[^>]*>[\s\S]*?<\/au>/gi) || [];
+  if (units.length === 0) throw new Error('cmi5.xml has no AU to launch');
+  if (units.length > 1) throw new Error('The course has ' + units.length + ' AUs. Only courses with a single AU can be uploaded.');
+  const unit = units[0];
+  const tag = startTags(unit, 'au')[0];
+  const activityId = xmlAttribute(tag, 'id');
+  if (!activityId) throw new Error('The AU in cmi5.xml has no id');
+  const launch = elementText(unit, 'url');
+  if (!launch) throw new Error('The AU in cmi5.xml has no url');
+  if (isRemote(launch)) throw new Error('The AU must be a file inside the package');
+  const moveOn = xmlAttribute(tag, 'moveOn') || 'NotApplicable';
+  if (!MOVE_ON_RULES.includes(moveOn)) throw new Error('The AU has an invalid moveOn value "' + moveOn + '"');
+  const mastery = xmlAttribute(tag, 'masteryScore');
+  const masteryScore = mastery === null || mastery === '' ? null : Number(mastery) * 100;
+  if (masteryScore !== null && !(masteryScore >= 0 && masteryScore <= 100)) throw new Error('The AU has an invalid mastery score');
+  return {
+    standard: 'cmi5',
+    title: elementText(unit, 'title') || '',
+    launch,
+    activityId,
+    masteryScore,
+    moveOn,
+    launchData: '',
+    launchParameters: elementText(unit, 'launchParameters') || ''
+  };
+}
+
+// ---- Unpacking ----
+
+const MANIFESTS = [
+  ['imsmanifest.xml', readScormManifest],
+  ['cmi5.xml', readCmi5Manifest],
+  ['tincan.xml', readTincanManifest]
+];
+
+// An entry's uncompressed size from the zip's central directory
+function entrySize(entry) {
+  const size = entry._data && entry._data.uncompressedSize;
+  if (!Number.isSafeInteger(size) || size < 0) throw new Error('The package has an entry of unknown size: ' + entry.name);
+  return size;
+}
+
+// Inflate an entry into destination, failing once it grows past its declared size
+function inflateEntry(entry, destination) {
+  const limit = entrySize(entry);
+  let read = 0;
+  const sizeCheck = new Transform({
+    transform(chunk, encoding, callback) {
+      read += chunk.length;
+      callback(read > limit ? new Error('The package entry ' + entry.name + ' is larger than it declares') : null, chunk);
+    }
+  });
+  return pipeline(entry.nodeStream('nodebuffer'), sizeCheck, destination);
+}
+
+async function readEntry(entry) {
+  const chunks = [];
+  await inflateEntry(entry, async source => {
+    for await (const chunk of source) chunks.push(chunk);
+  });
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Read the manifest of a package zip on disk, then extract it into dir
+async function unpack(file, dir) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(fs.readFileSync(file));
+  } catch (err) {
+    throw new Error('The file is not a valid zip archive');
+  }
+
+  const entries = Object.values(zip.files).filter(entry => !entry.dir);
+  if (entries.length > MAX_PACKAGE_FILES) throw new Error('The package has more than ' + MAX_PACKAGE_FILES + ' files');
+  // Sizes as the zip declares them, checked before anything is inflated;
+  // inflateEntry holds each entry to its declared size
+  const declared = entries.reduce((total, entry) => total + entrySize(entry), 0);
+  if (declared > MAX_PACKAGE_BYTES) throw new Error('The package is larger than 2GB when unpacked');
+  const names = new Set();
+  entries.forEach(entry => {
+    // JSZip already strips leading ../ from names; such a package is still refused
+    const name = (entry.unsafeOriginalName || entry.name).replace(/\\/g, '/');
+    if (name.startsWith('/') || name.includes('\0') || name.split('/').includes('..')) {
+      throw new Error('The package contains an unsafe path: ' + name);
+    }
+    names.add(path.posix.normalize(name));
+  });
+
+  const found = MANIFESTS.find(([name]) => zip.file(name));
+  if (!found) {
+    throw new Error('No imsmanifest.xml, cmi5.xml or tincan.xml at the top of the zip. ' +
+      'Upload the package as exported, without an extra folder around it.');
+  }
+  const info = found[1](await readEntry(zip.file(found[0])));
+  const launchFile = packagePath(info.launch);
+  if (!names.has(launchFile)) throw new Error('The launch file ' + launchFile + ' is missing from the package');
+
+  fs.mkdirSync(dir, { recursive: true });
+  try {
+    for (const entry of entries) {
+      const target = path.join(dir, ...path.posix.normalize(entry.name.replace(/\\/g, '/')).split('/'));
+      fs.mkdirSync(path.dirname(target), { recursive: true });
+      await inflateEntry(entry, fs.createWriteStream(target));
+    }
+  } catch (err) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    throw err;
+  }
+  return info;
+}
+
+module.exports = { unpack, MOVE_ON_RULES };
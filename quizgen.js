@@ -0,0 +1,260 @@
+// Draft multiple-choice questions from a knowledge base document for admins
+// to review. With LLM_URL set (see llm.js) the local model writes them;
+// otherwise, or when it fails, a rule-based generator builds definition and
+// fill-in-the-blank questions from the document's own sentences. The rules
+// are deterministic, so asking again for the same document gives the same
+// drafts unless their prompts are excluded.
+// setGenerator() swaps in any async function ({ title, text, count, exclude })
+// returning [{ prompt, options: [string], answer: index, sourceText }], or
+// null to go back to the default.
+const crypto = require('crypto');
+const llm = require('./llm');
+const { splitSentences, terms, stem } = require('./retrieval');
+
+const MIN_OPTIONS = 3;
+const MAX_OPTIONS = 6;
+const DISTRACTORS = 3;
+
+// ---- Rule-based drafts ----
+
+const MIN_SENTENCE_WORDS = 6;
+const MAX_SENTENCE_WORDS = 40;
+const BLANK = '_____';
+
+const UNITS = '%|mm|cm|m|ms|s|sec|seconds?|minutes?|min|hours?|days?|weeks?|degrees?|°|kg|g|mg|ml|mL|Hz|V|mA|W';
+const MEASUREMENT = new RegExp('(^|[^\\w.])(\\d+(?:\\.\\d+)?)(\\s?)(' + UNITS + ')(?![\\w])');
+const DEFINITION = /^(?:the |a |an )?([a-z][a-z\- ]{2,40}?) (?:is|are|refers to|means) (?:a |an |the )?([a-z].{9,159})\.$/i;
+// "If the flag is set...", "It is...", "The file is included..." are not definitions
+const NOT_A_SUBJECT = /^(if|when|while|where|this|that|these|those|it|there|which|each|all|no|one|what|who|here)\b/i;
+const NOT_A_MEANING = /^(?:(?:not|also|only|then|now|still|always|never|usually|often)\b|(?:set|made|done|given|taken|shown|known|built|sent|kept|found|held|put|read|run|seen|written|\w+ed)(?=$|,| (?:by|in|to|on|at|with|from|for|as|if|when|and|or|just|after|before)\b))/i;
+
+const isContentWord = word => terms(word).length > 0;
+
+// { subject, meaning } of a "X is a Y." sentence, or null
+function definitionOf(sentence) {
+  const match = DEFINITION.exec(sentence);
+  if (!match || match[1].split(' ').length > 4 || NOT_A_SUBJECT.test(match[1]) || NOT_A_MEANING.test(match[2])) return null;
+  return { subject: match[1].trim(), meaning: match[2] };
+}
+
+// Stable pseudo-random order: options sorted by a hash of the prompt and text
+function arrange(prompt, options) {
+  const key = text => crypto.createHash('sha1').update(prompt + '\n' + text).digest('hex');
+  return options.slice().sort((a, b) => (key(a.text) < key(b.text) ? -1 : 1));
+}
+
+function usableSentence(sentence) {
+  const words = sentence.split(' ').length;
+  return words >= MIN_SENTENCE_WORDS && words <= MAX_SENTENCE_WORDS && /[.!]$/.test(sentence) &&
+    !/\?|https?:|www\.|^speaker notes/i.test(sentence) && /[a-z]/.test(sentence) &&
+    (sentence.match(/[a-z]/gi) || []).length > sentence.length * 0.6;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// Wrong numeric answers of the same unit and size
+function numberDistractors(value) {
+  const n = Number(value);
+  const decimals = (value.split('.')[1] || '').length;
+  const format = x => x.toFixed(decimals);
+  const candidates = [n * 2, n / 2, n + Math.max(1, Math.round(n / 4)), n * 3, n + 1, n - 1]
+    .map(x => (decimals ? format(x) : String(Math.round(x))))
+    .filter(x => Number(x) > 0 && x !== value);
+  return [...new Set(candidates)].slice(0, DISTRACTORS);
+}
+
+// Key words of the document: content words of 5+ letters used at least twice
+function keyWords(sentences) {
+  const counts = new Map();
+  sentences.forEach(sentence => {
+    (sentence.toLowerCase().match(/[a-z][a-z-]{4,}/g) || []).forEach(word => {
+      if (isContentWord(word)) counts.set(word, (counts.get(word) || 0) + 1);
+    });
+  });
+  return new Map([...counts].filter(([, count]) => count >= 2));
+}
+
+// Words that could stand in for `answer`: similar ending and length, not in the sentence
+function wordDistractors(answer, sentence, vocabulary) {
+  const inSentence = new Set(sentence.toLowerCase().match(/[a-z][a-z-]*/g) || []);
+  const answerStem = stem(answer);
+  const suffix = answer.slice(-3);
+  return [...vocabulary.keys()]
+    .filter(word => !inSentence.has(word) && stem(word) !== answerStem)
+    .map(word => ({ word, rank: [word.endsWith(suffix) ? 0 : 1, Math.abs(word.length - answer.length), -vocabulary.get(word), word] }))
+    .sort((a, b) => {
+      for (let i = 0; i < a.rank.length; i++) {
+        if (a.rank[i] !== b.rank[i]) return a.rank[i] < b.rank[i] ? -1 : 1;
+      }
+      return 0;
+    })
+    .slice(0, DISTRACTORS)
+    .map(item => item.word);
+}
+
+function blankQuestion(sentence, pattern, answer, distractors) {
+  return {
+    prompt: 'Fill in the blank: ' + sentence.replace(pattern, BLANK),
+    options: [answer].concat(distractors),
+    answer: 0,
+    sourceText: sentence
+  };
+}
+
+// Candidate questions for one sentence, best first
+function sentenceCandidates(sentence, definitions, vocabulary) {
+  const candidates = [];
+
+  const definition = definitionOf(sentence);
+  if (definition) {
+    const others = definitions.filter(other => other.subject.toLowerCase() !== definition.subject.toLowerCase());
+    if (others.length >= DISTRACTORS) {
+      candidates.push({
+        score: 3,
+        prompt: 'Which of the following best describes ' + definition.subject + '?',
+        options: [capitalize(definition.meaning)].concat(others.slice(0, DISTRACTORS).map(other => capitalize(other.meaning))),
+        answer: 0,
+        sourceText: sentence
+      });
+    }
+  }
+
+  const measurement = MEASUREMENT.exec(sentence);
+  if (measurement) {
+    const [, , value, space, unit] = measurement;
+    const wrong = numberDistractors(value);
+    if (wrong.length === DISTRACTORS) {
+      candidates.push({ score: 2, ...blankQuestion(sentence, value + space + unit, value + space + unit, wrong.map(x => x + space + unit)) });
+    }
+  }
+
+  const words = (sentence.match(/[A-Za-z][A-Za-z-]{4,}/g) || []).filter(word => vocabulary.has(word.toLowerCase()));
+  if (words.length) {
+    const answer = words.sort((a, b) => b.length - a.length || (a < b ? -1 : 1))[0];
+    const distractors = wordDistractors(answer.toLowerCase(), sentence, vocabulary);
+    if (distractors.length === DISTRACTORS) {
+      const sameCase = answer[0] === answer[0].toUpperCase() ? distractors.map(capitalize) : distractors;
+      const whole = new RegExp('\\b' + answer.replace(/-/g, '\\-') + '\\b');
+      candidates.push({ score: 1 + Math.min(vocabulary.get(answer.toLowerCase()), 5) / 10, ...blankQuestion(sentence, whole, answer, sameCase) });
+    }
+  }
+  return candidates.sort((a, b) => b.score - a.score);
+}
+
+function ruleBasedQuestions({ text, count, exclude }) {
+  const sentences = splitSentences(text).filter(usableSentence);
+  const vocabulary = keyWords(sentences);
+  const definitions = sentences.map(definitionOf).filter(Boolean);
+  const skip = new Set(exclude || []);
+
+  const candidates = [];
+  sentences.forEach((sentence, position) => {
+    const best = sentenceCandidates(sentence, definitions, vocabulary).find(candidate => !skip.has(candidate.prompt));
+    if (best) candidates.push({ ...best, position });
+  });
+
+  // Spread the questions over the document: the best candidate from each of
+  // `count` stretches first, then the best of the rest
+  const picked = [];
+  const taken = new Set();
+  const segment = Math.max(1, Math.ceil(sentences.length / count));
+  const pick = candidate => {
+    const answer = candidate.options[candidate.answer].toLowerCase();
+    if (picked.length >= count || taken.has(candidate) || picked.some(q => q.options[q.answer].toLowerCase() === answer)) return;
+    taken.add(candidate);
+    picked.push(candidate);
+  };
+  for (let start = 0; start < sentences.length; start += segment) {
+    const inSegment = candidates.filter(c => c.position >= start && c.position < start + segment);
+    if (inSegment.length) pick(inSegment.sort((a, b) => b.score - a.score || a.position - b.position)[0]);
+  }
+  candidates.slice().sort((a, b) => b.score - a.score || a.position - b.position).forEach(pick);
+
+  return picked
+    .sort((a, b) => a.position - b.position)
+    .map(({ prompt, options, answer, sourceText }) => ({ prompt, options, answer, sourceText }));
+}
+
+// ---- LLM drafts ----
+
+const MAX_PROMPT_CHARS = 12000;
+
+const SYSTEM_PROMPT = 'You write multiple-choice assessment questions for clinical training on Claronav surgical navigation systems. ' +
+  'Use only facts stated in the document. Each question has exactly one correct option and three plausible but wrong options. ' +
+  'Reply with a JSON array only.';
+
+// Paragraphs from across the whole document, up to MAX_PROMPT_CHARS
+function excerpt(text) {
+  if (text.length <= MAX_PROMPT_CHARS) return text;
+  const paragraphs = text.split(/\n\s*\n/);
+  const step = text.length / MAX_PROMPT_CHARS;
+  return paragraphs.filter((paragraph, i) => Math.floor(i % step) === 0).join('\n\n').slice(0, MAX_PROMPT_CHARS);
+}
+
+async function llmQuestions({ title, text, count, exclude }) {
+  const avoid = exclude && exclude.length ? '\n\nDo not repeat these questions:\n' + exclude.map(prompt => '- ' + prompt).join('\n') : '';
+  const reply = await llm.complete([
+    { role: 'system', content: SYSTEM_PROMPT },
+    {
+      role: 'user',
+      content: 'Document: ' + title + '\n\n' + excerpt(text) + '\n\nWrite ' + count + ' questions as ' +
+        '[{"question": "...", "options": ["...", "...", "...", "..."], "answer": <index of the correct option>, ' +
+        '"quote": "<the sentence of the document that supports the answer>"}]' + avoid
+    }
+  ], { temperature: 0.4 });
+  const json = reply.slice(reply.indexOf('['), reply.lastIndexOf(']') + 1);
+  const items = JSON.parse(json || 'null');
+  if (!Array.isArray(items)) throw new Error('The model did not return a list of questions');
+  return items.map(item => item && {
+    prompt: item.question,
+    options: item.options,
+    answer: Number(item.answer),
+    sourceText: item.quote
+  });
+}
+
+// ---- Dispatch ----
+
+let generator = null;
+
+function setGenerator(custom) {
+  generator = custom || null;
+}
+
+// Keep well-formed questions only, as quiz input: { type, prompt, options: [{ text, correct }], sourceText }
+function normalize(items, exclude) {
+  const skip = new Set(exclude || []);
+  return (Array.isArray(items) ? items : []).map(item => {
+    if (!item || typeof item.prompt !== 'string' || !item.prompt.trim() || skip.has(item.prompt.trim())) return null;
+    const options = (Array.isArray(item.options) ? item.options : []).map(option => String(option == null ? '' : option).trim());
+    if (options.length < MIN_OPTIONS || options.length > MAX_OPTIONS || options.some(option => !option)) return null;
+    if (new Set(options.map(option => option.toLowerCase())).size !== options.length) return null;
+    if (!Number.isInteger(item.answer) || !options[item.answer]) return null;
+    const prompt = item.prompt.trim();
+    return {
+      type: 'single',
+      prompt,
+      options: arrange(prompt, options.map((text, i) => ({ text, correct: i === item.answer }))),
+      sourceText: typeof item.sourceText === 'string' ? item.sourceText.trim() : ''
+    };
+  }).filter(Boolean);
+}
+
+// Up to `count` draft questions for a document, skipping prompts in `exclude`.
+// Returns { questions, generatedBy: 'llm' | 'rules' }.
+async function draftQuestions(document) {
+  const custom = generator || (llm.hasServer() ? llmQuestions : null);
+  if (custom) {
+    try {
+      const questions = normalize(await custom(document), document.exclude).slice(0, document.count);
+      if (questions.length) return { questions, generatedBy: 'llm' };
+    } catch (err) {
+      console.error('Question generator failed, using rule-based drafts:', err.message);
+    }
+  }
+  return { questions: normalize(ruleBasedQuestions(document), document.exclude), generatedBy: 'rules' };
+}
+
+module.exports = { draftQuestions, ruleBasedQuestions, setGenerator };
@@ -0,0 +1,258 @@
+// Passage retrieval for the AI assistant. Documents are cut into passages of a
+// few sentences, each passage's stemmed terms are counted once when the
+// document is uploaded, and questions are ranked against them with BM25.
+
+const STOPWORDS = new Set((
+  'a about above after again against all am an and any are as at be because been before being below between both ' +
+  'but by can could did do does doing down during each few for from further had has have having he her here hers ' +
+  'him his how i if in into is it its itself just me more most my no nor not of off on once only or other our ours ' +
+  'out over own same she should so some such than that the their theirs them then there these they this those ' +
+  'through to too under until up very was we were what when where which while who whom why will with would you ' +
+  'your yours please tell explain'
+).split(' '));
+
+// ---- Porter stemmer (M.F. Porter, 1980) ----
+
+const STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent',
+  eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful',
+  ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+const CONS = '[^aeiou]';
+const VOWEL = '[aeiouy]';
+const CONS_SEQ = CONS + '[^aeiouy]*';
+const VOWEL_SEQ = VOWEL + '[aeiou]*';
+const MEASURE_GT0 = new RegExp('^(' + CONS_SEQ + ')?' + VOWEL_SEQ + CONS_SEQ);
+const MEASURE_EQ1 = new RegExp('^(' + CONS_SEQ + ')?' + VOWEL_SEQ + CONS_SEQ + '(' + VOWEL_SEQ + ')?$');
+const MEASURE_GT1 = new RegExp('^(' + CONS_SEQ + ')?' + VOWEL_SEQ + CONS_SEQ + VOWEL_SEQ + CONS_SEQ);
+const HAS_VOWEL = new RegExp('^(' + CONS_SEQ + ')?' + VOWEL);
+const CVC = new RegExp('^' + CONS_SEQ + VOWEL + '[^aeiouwxy]$');
+
+function stem(word) {
+  if (word.length < 3 || /\d/.test(word)) return word;
+  let w = word;
+  let match;
+  const startsWithY = w[0] === 'y';
+  if (startsWithY) w = 'Y' + w.slice(1);
+
+  // Step 1a: plurals
+  if ((match = /^(.+?)(ss|i)es$/.exec(w))) w = match[1] + match[2];
+  else if ((match = /^(.+?)([^s])s$/.exec(w))) w = match[1] + match[2];
+
+  // Step 1b: -eed, -ed, -ing
+  if ((match = /^(.+?)eed$/.exec(w))) {
+    if (MEASURE_GT0.test(match[1])) w = w.slice(0, -1);
+  } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+    w = match[1];
+    if (/(at|bl|iz)$/.test(w)) w += 'e';
+    else if (/([^aeiouylsz])\1$/.test(w)) w = w.slice(0, -1);
+    else if (CVC.test(w)) w += 'e';
+  }
+
+  // Step 1c: y -> i
+  if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) w = match[1] + 'i';
+
+  // Steps 2 and 3: double and single suffixes
+  if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w)) &&
+      MEASURE_GT0.test(match[1])) {
+    w = match[1] + STEP2[match[2]];
+  }
+  if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && MEASURE_GT0.test(match[1])) {
+    w = match[1] + STEP3[match[2]];
+  }
+
+  // Step 4: remaining suffixes on longer stems
+  if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+    if (MEASURE_GT1.test(match[1])) w = match[1];
+  } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && MEASURE_GT1.test(match[1] + match[2])) {
+    w = match[1] + match[2];
+  }
+
+  // Step 5: final -e and -ll
+  if ((match = /^(.+?)e$/.exec(w))) {
+    const base = match[1];
+    if (MEASURE_GT1.test(base) || (MEASURE_EQ1.test(base) && !CVC.test(base))) w = base;
+  }
+  if (/ll$/.test(w) && MEASURE_GT1.test(w)) w = w.slice(0, -1);
+
+  return startsWithY ? 'y' + w.slice(1) : w;
+}
+
+// Lowercased, stemmed content words
+function terms(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !STOPWORDS.has(word))
+    .map(stem);
+}
+
+// Sentences end at . ! or ?, and at blank lines so headings and bullet
+// points without punctuation stand on their own
+function splitSentences(text) {
+  return [].concat(...String(text || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/)))
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// ---- Passages ----
+
+const PASSAGE_WORDS = 120;
+const MAX_SENTENCE_WORDS = 60;
+
+// Cut [{ page, unit, text }] into passages of about PASSAGE_WORDS words.
+// Passages never cross a page or slide and repeat the previous passage's last
+// sentence, so an answer split across the boundary is still found in one piece.
+function chunkPages(pages) {
+  const passages = [];
+  pages.forEach(({ page, unit, text }) => {
+    const location = { page: page || null, unit: page ? unit || 'page' : null };
+    // Sentences remember whether a paragraph ends after them, so passages keep
+    // their headings and bullet points apart
+    const sentences = [];
+    String(text || '').split(/\n\s*\n/).forEach(paragraph => {
+      splitSentences(paragraph).forEach(sentence => {
+        // Slides and tables often have no punctuation; cut them up by length
+        const words = sentence.split(' ');
+        for (let i = 0; i < words.length; i += MAX_SENTENCE_WORDS) {
+          sentences.push({ text: words.slice(i, i + MAX_SENTENCE_WORDS).join(' '), words: Math.min(MAX_SENTENCE_WORDS, words.length - i) });
+        }
+      });
+      if (sentences.length) sentences[sentences.length - 1].endsParagraph = true;
+    });
+    const joined = list => list.map((sentence, i) =>
+      sentence.text + (i === list.length - 1 ? '' : sentence.endsParagraph ? '\n\n' : ' ')).join('');
+
+    let current = [];
+    let words = 0;
+    sentences.forEach(sentence => {
+      current.push(sentence);
+      words += sentence.words;
+      if (words >= PASSAGE_WORDS) {
+        passages.push({ ...location, text: joined(current) });
+        current = current.length > 1 ? [current[current.length - 1]] : [];
+        words = current.length ? current[0].words : 0;
+      }
+    });
+    // A leftover that is only the repeated sentence adds nothing new
+    if (current.length && !(current.length === 1 && passages.length && passages[passages.length - 1].page === location.page &&
+        passages[passages.length - 1].text.endsWith(current[0].text))) {
+      passages.push({ ...location, text: joined(current) });
+    }
+  });
+  return passages;
+}
+
+// Term counts stored with each passage at upload time
+function termCounts(text) {
+  const counts = Object.create(null);
+  const list = terms(text);
+  list.forEach(term => {
+    counts[term] = (counts[term] || 0) + 1;
+  });
+  return { terms: counts, length: list.length };
+}
+
+// ---- BM25 ----
+
+const CONTEXT_WEIGHT = 0.5;
+
+function queryWeights(query, context) {
+  const weights = Object.create(null);
+  terms(context).forEach(term => {
+    weights[term] = CONTEXT_WEIGHT;
+  });
+  terms(query).forEach(term => {
+    weights[term] = 1;
+  });
+  return weights;
+}
+
+// Stored term counts are plain objects, so "constructor" must not hit the prototype
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const K1 = 1.2;
+const B = 0.75;
+
+// passages: [{ terms, length, ...anything else }] as produced by termCounts()
+function createIndex(passages) {
+  const documentFrequency = Object.create(null);
+  let totalLength = 0;
+  passages.forEach(passage => {
+    totalLength += passage.length;
+    Object.keys(passage.terms).forEach(term => {
+      documentFrequency[term] = (documentFrequency[term] || 0) + 1;
+    });
+  });
+  const count = passages.length;
+  const averageLength = count ? totalLength / count : 0;
+
+  function idf(term) {
+    const df = documentFrequency[term] || 0;
+    return Math.log(1 + (count - df + 0.5) / (df + 0.5));
+  }
+
+  // Best passages for the query, highest score first. Options:
+  //   limit   - how many (default 5)
+  //   context - earlier questions in a conversation; their terms count at
+  //             half weight, so "and for the spine system?" keeps its topic
+  //   filter  - passage => boolean, to search part of the collection
+  // A passage must match the question itself unless the question has no
+  // content words of its own ("why?").
+  function search(query, options) {
+    const { limit, context, filter } = options || {};
+    const weights = queryWeights(query, context);
+    const queryTerms = Object.keys(weights);
+    if (!queryTerms.length || !count) return [];
+    const ownTerms = queryTerms.some(term => weights[term] === 1);
+    const results = [];
+    passages.forEach(passage => {
+      if (filter && !filter(passage)) return;
+      let score = 0;
+      let matchesQuery = !ownTerms;
+      queryTerms.forEach(term => {
+        const tf = hasOwn(passage.terms, term) ? passage.terms[term] : 0;
+        if (!tf) return;
+        if (weights[term] === 1) matchesQuery = true;
+        score += weights[term] * idf(term) * (tf * (K1 + 1)) / (tf + K1 * (1 - B + B * passage.length / (averageLength || 1)));
+      });
+      if (score > 0 && matchesQuery) results.push({ passage, score });
+    });
+    return results.sort((a, b) => b.score - a.score).slice(0, limit || 5);
+  }
+
+  return { search, idf, size: count };
+}
+
+// Pick the sentences of the retrieved passages that cover the question best,
+// in reading order. Each result carries the position of its passage in
+// `results` so the caller can cite it.
+function bestSentences(index, query, results, limit, context) {
+  const weights = queryWeights(query, context);
+  const candidates = [];
+  const seen = new Set();
+  results.forEach((result, rank) => {
+    splitSentences(result.passage.text).forEach((sentence, position) => {
+      if (seen.has(sentence)) return;
+      seen.add(sentence);
+      const matched = new Set(terms(sentence).filter(term => weights[term]));
+      if (!matched.size) return;
+      let score = 0;
+      matched.forEach(term => {
+        score += weights[term] * index.idf(term);
+      });
+      // Prefer sentences from the better passages when coverage is equal
+      candidates.push({ sentence, rank, position, score: score / (1 + rank * 0.1) });
+    });
+  });
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit || 3)
+    .sort((a, b) => a.rank - b.rank || a.position - b.position);
+}
+
+module.exports = { stem, terms, splitSentences, chunkPages, termCounts, createIndex, bestSentences };
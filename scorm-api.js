@@ -0,0 +1,156 @@
+// SCORM 1.2 runtime for packages. The server adds this script, after a
+// window.SCORM_SESSION = { commitUrl, values } script, to every page of a
+// SCORM package. Packages run in a sandboxed frame on an opaque origin and
+// cannot reach the dashboard, so each page gets its own window.API, which the
+// package finds on its own window before looking at its parents.
+// Values live here while the SCO runs and are posted to commitUrl on
+// LMSCommit and LMSFinish; session time only on LMSFinish, which runs by itself
+// when the page unloads or the dashboard closes the lesson. The dashboard
+// hears about each commit through a { lms: 'progress' } message.
+(function () {
+  const session = window.SCORM_SESSION;
+  if (!session) return;
+
+  const ERRORS = {
+    0: 'No error',
+    101: 'General exception',
+    201: 'Invalid argument error',
+    301: 'Not initialized',
+    401: 'Not implemented error',
+    402: 'Invalid set value, element is a keyword',
+    403: 'Element is read only',
+    404: 'Element is write only',
+    405: 'Incorrect data type'
+  };
+  const READ_ONLY = ['cmi.core.student_id', 'cmi.core.student_name', 'cmi.core.credit', 'cmi.core.entry',
+    'cmi.core.total_time', 'cmi.core.lesson_mode', 'cmi.launch_data', 'cmi.comments_from_lms', 'cmi.student_data.mastery_score'];
+  const CHILDREN = {
+    'cmi.core._children': 'student_id,student_name,lesson_location,credit,lesson_status,entry,score,total_time,lesson_mode,exit,session_time',
+    'cmi.core.score._children': 'raw,min,max',
+    'cmi.objectives._children': 'id,score,status',
+    'cmi.interactions._children': 'id,objectives,time,type,correct_responses,weighting,student_response,result,latency'
+  };
+  const SCORE = value => value === '' || (/^\d+(\.\d+)?$/.test(value) && Number(value) <= 100);
+  const RULES = {
+    'cmi.core.lesson_location': value => value.length <= 255,
+    'cmi.core.lesson_status': value => ['passed', 'completed', 'failed', 'incomplete', 'browsed'].includes(value),
+    'cmi.core.score.raw': SCORE,
+    'cmi.core.score.min': SCORE,
+    'cmi.core.score.max': SCORE,
+    'cmi.core.exit': value => ['', 'time-out', 'suspend', 'logout'].includes(value),
+    'cmi.core.session_time': value => seconds(value) !== null,
+    'cmi.suspend_data': value => value.length <= 4096,
+    'cmi.comments': value => value.length <= 4096
+  };
+  // Elements the server keeps, by the name it expects
+  const SAVED = {
+    'cmi.core.lesson_status': 'lesson_status', 'cmi.core.lesson_location': 'lesson_location',
+    'cmi.suspend_data': 'suspend_data', 'cmi.comments': 'comments', 'cmi.core.exit': 'exit',
+    'cmi.core.score.raw': 'score_raw', 'cmi.core.score.min': 'score_min', 'cmi.core.score.max': 'score_max'
+  };
+
+  const values = { ...session.values };
+  let changed = {};
+  let state = 'ready';
+  let error = 0;
+
+  // CMITimespan HHHH:MM:SS.SS to seconds, or null
+  function seconds(value) {
+    const match = /^(\d{2,4}):(\d{2}):(\d{2})(\.\d{1,2})?$/.exec(value);
+    return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) + Number(match[4] || 0) : null;
+  }
+
+  // Send what changed since the last commit. text/plain keeps the request
+  // simple enough to go out without a preflight, even while the page unloads.
+  function commit(final) {
+    const cmi = {};
+    Object.keys(changed).forEach(element => {
+      if (SAVED[element]) cmi[SAVED[element]] = values[element];
+    });
+    if (final && values['cmi.core.session_time']) cmi.session_time = seconds(values['cmi.core.session_time']);
+    changed = {};
+    if (Object.keys(cmi).length === 0) return;
+    fetch(session.commitUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body: JSON.stringify({ cmi }),
+      keepalive: true
+    })
+      .then(response => {
+        if (!response.ok) throw new Error('HTTP ' + response.status);
+        window.top.postMessage({ lms: 'progress' }, '*');
+      })
+      .catch(err => console.error('Could not save SCORM data:', err));
+  }
+
+  function fail(code, result) {
+    error = code;
+    return result;
+  }
+
+  const api = {
+    LMSInitialize(arg) {
+      if (arg !== '' && arg !== undefined) return fail(201, 'false');
+      if (state !== 'ready') return fail(101, 'false');
+      state = 'running';
+      error = 0;
+      return 'true';
+    },
+    LMSFinish() {
+      if (state !== 'running') return fail(301, 'false');
+      commit(true);
+      state = 'finished';
+      error = 0;
+      return 'true';
+    },
+    LMSGetValue(element) {
+      if (state !== 'running') return fail(301, '');
+      error = 0;
+      if (CHILDREN[element]) return CHILDREN[element];
+      const list = /^cmi\.(objectives|interactions)\._count$/.exec(element);
+      if (list) {
+        const pattern = new RegExp('^cmi\\.' + list[1] + '\\.(\\d+)\\.');
+        return String(Object.keys(values).reduce((n, key) => {
+          const match = pattern.exec(key);
+          return match ? Math.max(n, Number(match[1]) + 1) : n;
+        }, 0));
+      }
+      if (element === 'cmi.core.exit' || element === 'cmi.core.session_time' || /^cmi\.interactions\./.test(element)) return fail(404, '');
+      if (element in values) return values[element];
+      if (/^cmi\.objectives\.\d+\./.test(element)) return '';
+      return fail(401, '');
+    },
+    LMSSetValue(element, value) {
+      if (state !== 'running') return fail(301, 'false');
+      value = String(value);
+      if (/\._(children|count)$/.test(element)) return fail(402, 'false');
+      if (READ_ONLY.includes(element)) return fail(403, 'false');
+      if (!RULES[element] && !/^cmi\.(objectives|interactions)\.\d+\./.test(element)) return fail(401, 'false');
+      if (RULES[element] && !RULES[element](value)) return fail(405, 'false');
+      values[element] = value;
+      changed[element] = true;
+      error = 0;
+      return 'true';
+    },
+    LMSCommit() {
+      if (state !== 'running') return fail(301, 'false');
+      commit(false);
+      error = 0;
+      return 'true';
+    },
+    LMSGetLastError: () => String(error),
+    LMSGetErrorString: code => ERRORS[code] || '',
+    LMSGetDiagnostic: code => ERRORS[code === '' || code === undefined ? error : code] || ''
+  };
+  window.API = api;
+
+  // Closing the lesson: finish here and in any frames of this page
+  window.addEventListener('message', event => {
+    if (!event.data || event.data.lms !== 'finish') return;
+    for (let i = 0; i < window.frames.length; i++) window.frames[i].postMessage(event.data, '*');
+    if (state === 'running') api.LMSFinish('');
+  });
+  window.addEventListener('pagehide', () => {
+    if (state === 'running') api.LMSFinish('');
+  });
+})();
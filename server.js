@@ -3,15 +3,31 @@ const express = require('express');
 const fs = require('fs');
 const path = require('path');
 const cors = require('cors');
-const { randomBytes } = require('crypto');
+const crypto = require('crypto');
+const { randomBytes, randomInt, randomUUID } = crypto;
 const multer = require('multer');
 const pdfParse = require('pdf-parse');
-const mammoth = require('mammoth');
+const PDFDocument = require('pdfkit');
+const db = require('./storage');
+const mailer = require('./mailer');
+const media = require('./media');
+const retrieval = require('./retrieval');
+const llm = require('./llm');
+const documents = require('./documents');
+const quizgen = require('./quizgen');
+const spreadsheet = require('./spreadsheet');
+const notifications = require('./notifications');
+const packages = require('./packages');
 
-const DATA_FILE = path.join(__dirname, 'data.json');
-const UPLOAD_DIR = path.join(__dirname, 'uploads');
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, 'uploads');
 const AVATAR_DIR = path.join(UPLOAD_DIR, 'avatars');
 const AI_UPLOAD_DIR = path.join(UPLOAD_DIR, 'ai');
+const QUIZ_UPLOAD_DIR = path.join(UPLOAD_DIR, 'quiz');
+const MEDIA_DIR = path.join(UPLOAD_DIR, 'media');
+const PACKAGE_DIR = path.join(UPLOAD_DIR, 'packages');
+const PARTIAL_DIR = path.join(UPLOAD_DIR, 'partial');
+const CERT_KEY_FILE = path.join(__dirname, 'certificate-key.pem');
+const APP_BASE_URL = (process.env.APP_BASE_URL || 'https://claronav-lms.onrender.com').replace(/\/$/, '');
 
 // Ensure upload directory exists
 if (!fs.existsSync(UPLOAD_DIR)) {
@@ -23,6 +39,18 @@ if (!fs.existsSync(AVATAR_DIR)) {
 if (!fs.existsSync(AI_UPLOAD_DIR)) {
   fs.mkdirSync(AI_UPLOAD_DIR, { recursive: true });
 }
+if (!fs.existsSync(QUIZ_UPLOAD_DIR)) {
+  fs.mkdirSync(QUIZ_UPLOAD_DIR, { recursive: true });
+}
+if (!fs.existsSync(MEDIA_DIR)) {
+  fs.mkdirSync(MEDIA_DIR, { recursive: true });
+}
+if (!fs.existsSync(PARTIAL_DIR)) {
+  fs.mkdirSync(PARTIAL_DIR, { recursive: true });
+}
+if (!fs.existsSync(PACKAGE_DIR)) {
+  fs.mkdirSync(PACKAGE_DIR, { recursive: true });
+}
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -35,7 +63,8 @@ const storage = multer.diskStorage({
   }
 });
 
-const upload = multer({ storage, limits: { fileSize: 500 * 1024 * 1024 } }); // 500MB limit
+const MAX_UPLOAD_BYTES = 500 * 1024 * 1024;
+const upload = multer({ storage, limits: { fileSize: MAX_UPLOAD_BYTES } }); // 500MB limit
 
 const avatarStorage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -67,27 +96,27 @@ const aiUpload = multer({
   limits: { fileSize: 50 * 1024 * 1024 }
 });
 
-function readData() {
-  try {
-    const data = JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
-    if (!data.users) data.users = {};
-    if (!data.sessions) data.sessions = {};
-    if (!data.progress) data.progress = {};
-    if (!data.admins) data.admins = {};
-    if (!data.moduleContent) data.moduleContent = { cranial: [], spine: [], ent: [] };
-    if (!data.aiKnowledge) data.aiKnowledge = [];
-    return data;
-  } catch (e) {
-    return {
-      users: {},
-      sessions: {},
-      progress: {},
-      admins: {},
-      moduleContent: { cranial: [], spine: [], ent: [] },
-      aiKnowledge: []
-    };
+const quizStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, QUIZ_UPLOAD_DIR);
+  },
+  filename: (req, file, cb) => {
+    const uniqueName = Date.now() + '-' + Math.random().toString(36).substr(2, 9) + path.extname(file.originalname);
+    cb(null, uniqueName);
   }
-}
+});
+
+const quizImageUpload = multer({
+  storage: quizStorage,
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => cb(null, /^image\//.test(file.mimetype))
+});
+
+// User lists for bulk import are read in memory, never stored
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 }
+});
 
 function normalizeUserStatus(user) {
   if (!user) return user;
@@ -112,449 +141,5259 @@ function isRestricted(user) {
   return user && String(user.accountStatus).toLowerCase() === 'restricted';
 }
 
-function writeData(data) {
-  fs.writeFileSync(DATA_FILE, JSON.stringify(data, null, 2));
+// ============ PASSWORDS & LOGIN THROTTLING ============
+
+const MIN_PASSWORD_LENGTH = 8;
+const DEFAULT_ADMIN_EMAIL = 'admin@claronav.com';
+const DEFAULT_ADMIN_PASSWORD = 'admin123';
+
+// Stored as "scrypt$<salt>$<hash>", both base64
+function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = crypto.scryptSync(String(password), salt, 64);
+  return 'scrypt$' + salt.toString('base64') + '$' + hash.toString('base64');
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+// Check a password against an account (user or admin). Accounts created before
+// hashing still carry a plaintext `password`; a successful check upgrades them
+// in place and returns true, so callers must save the account afterwards.
+function checkPassword(account, password) {
+  if (!account || !password) return false;
+  if (account.passwordHash) {
+    const [scheme, salt, hash] = String(account.passwordHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'base64');
+    const actual = crypto.scryptSync(String(password), Buffer.from(salt, 'base64'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+  if (account.password !== undefined && safeEqual(account.password, password)) {
+    setPassword(account, password);
+    return true;
+  }
+  return false;
+}
+
+function setPassword(account, password) {
+  account.passwordHash = hashPassword(password);
+  delete account.password;
+}
+
+function validateNewPassword(password) {
+  if (String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return 'Password must be at least ' + MIN_PASSWORD_LENGTH + ' characters';
+  }
+  return null;
+}
+
+// Failed logins are counted per email and per IP in memory. Once a key
+// reaches its limit inside the window it is locked out for LOCKOUT_MS.
+const LOGIN_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_FAILED_PER_EMAIL = 5;
+const MAX_FAILED_PER_IP = 20;
+const loginFailures = new Map();
+
+function throttleKeys(scope, email, ip) {
+  return [
+    { key: scope + ':email:' + String(email).toLowerCase(), limit: MAX_FAILED_PER_EMAIL },
+    { key: scope + ':ip:' + ip, limit: MAX_FAILED_PER_IP }
+  ];
 }
 
-function ensureAiKnowledge(data) {
-  if (!data.aiKnowledge) data.aiKnowledge = [];
+// Milliseconds until the caller may try again, or 0 if not locked out
+function loginLockedFor(scope, email, ip) {
+  const now = Date.now();
+  return throttleKeys(scope, email, ip).reduce((wait, { key }) => {
+    const entry = loginFailures.get(key);
+    if (entry && entry.lockedUntil > now) return Math.max(wait, entry.lockedUntil - now);
+    return wait;
+  }, 0);
 }
 
-function normalizeText(text) {
-  return String(text || '')
-    .toLowerCase()
-    .replace(/[^a-z0-9\s]/g, ' ')
-    .replace(/\s+/g, ' ')
-    .trim();
+function recordLoginFailure(scope, email, ip) {
+  const now = Date.now();
+  throttleKeys(scope, email, ip).forEach(({ key, limit }) => {
+    let entry = loginFailures.get(key);
+    if (!entry || now - entry.firstAt > LOGIN_WINDOW_MS) entry = { count: 0, firstAt: now, lockedUntil: 0 };
+    entry.count += 1;
+    if (entry.count >= limit) entry.lockedUntil = now + LOCKOUT_MS;
+    loginFailures.set(key, entry);
+  });
+}
+
+function clearLoginFailures(scope, email) {
+  loginFailures.delete(scope + ':email:' + String(email).toLowerCase());
 }
 
-function tokenize(text) {
-  return normalizeText(text)
-    .split(' ')
-    .filter(w => w.length > 2);
+function sendLockout(res, waitMs) {
+  const seconds = Math.ceil(waitMs / 1000);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: 'Too many failed login attempts. Please try again in ' + Math.ceil(seconds / 60) + ' minute(s).',
+    retryAfter: seconds
+  });
 }
 
-function splitSentences(text) {
-  return String(text || '')
-    .replace(/\s+/g, ' ')
-    .split(/(?<=[.!?])\s+/)
-    .filter(s => s && s.trim().length > 0);
+// First run: create the default admin with a password that must be changed
+// on first login. ADMIN_BOOTSTRAP_PASSWORD overrides the well-known default.
+function bootstrapAdmin() {
+  if (db.admins.count() > 0) return;
+  const email = process.env.ADMIN_BOOTSTRAP_EMAIL || DEFAULT_ADMIN_EMAIL;
+  const admin = { email, role: 'super-admin', mustChangePassword: true, createdAt: new Date().toISOString() };
+  setPassword(admin, process.env.ADMIN_BOOTSTRAP_PASSWORD || DEFAULT_ADMIN_PASSWORD);
+  db.admins.put(admin);
+  console.log('Created bootstrap admin ' + email + ' - the password must be changed on first login.');
 }
 
-async function extractTextFromFile(filePath, mimeType, originalName) {
-  const ext = path.extname(originalName || '').toLowerCase();
+// ============ SESSIONS ============
 
-  if (mimeType === 'text/plain' || ext === '.txt') {
-    return fs.readFileSync(filePath, 'utf8');
+// Sessions slide forward on use up to an absolute maximum age
+const SESSION_IDLE_TTL_MS = (Number(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_MAX_AGE_MS = (Number(process.env.SESSION_MAX_AGE_DAYS) || 30) * 24 * 60 * 60 * 1000;
+// Avoid a database write on every request just to bump lastSeenAt
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+// kind is 'user' or 'admin'; both live in the sessions collection
+function createSession(email, kind) {
+  const now = Date.now();
+  return db.sessions.put({
+    token: randomBytes(16).toString('hex'),
+    kind,
+    email,
+    createdAt: new Date(now).toISOString(),
+    lastSeenAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + SESSION_IDLE_TTL_MS).toISOString()
+  });
+}
+
+// Look up a live session, dropping it if expired and renewing it otherwise
+function getSession(token, kind) {
+  const session = token ? db.sessions.get(token) : null;
+  if (!session || session.kind !== kind) return null;
+  const now = Date.now();
+  if (Date.parse(session.expiresAt) <= now) {
+    db.sessions.remove(token);
+    return null;
+  }
+  if (now - Date.parse(session.lastSeenAt) > SESSION_TOUCH_INTERVAL_MS) {
+    session.lastSeenAt = new Date(now).toISOString();
+    const maxExpiry = Date.parse(session.createdAt) + SESSION_MAX_AGE_MS;
+    session.expiresAt = new Date(Math.min(now + SESSION_IDLE_TTL_MS, maxExpiry)).toISOString();
+    db.sessions.put(session);
   }
+  return session;
+}
+
+// Remove every session for an account, optionally keeping one token.
+// Returns the number of sessions removed.
+function revokeSessions(email, kind, keepToken) {
+  let removed = 0;
+  db.sessions.find({ email, kind }).forEach(session => {
+    if (session.token !== keepToken && db.sessions.remove(session.token)) removed += 1;
+  });
+  return removed;
+}
+
+function pruneExpiredSessions() {
+  const now = Date.now();
+  db.sessions.all().forEach(session => {
+    if (Date.parse(session.expiresAt) <= now) db.sessions.remove(session.token);
+  });
+}
+
+function countSessions(email, kind) {
+  const now = Date.now();
+  return db.sessions.find({ email, kind }).filter(session => Date.parse(session.expiresAt) > now).length;
+}
+
+// ============ ACCOUNT EMAILS ============
+
+const EMAIL_VERIFICATION_TTL_MS = (Number(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48) * 60 * 60 * 1000;
+const PASSWORD_RESET_TTL_MS = (Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+// Don't send another verification or reset email sooner than this
+const ACCOUNT_EMAIL_INTERVAL_MS = 60 * 1000;
+
+// Only a hash of each emailed token is stored, so the database alone can't be
+// used to verify an address or reset a password
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Issue a single-use token ('verify-email' or 'reset-password'), replacing any
+// earlier one of the same type. Returns null if one was issued very recently.
+function issueAccountToken(email, type, ttlMs) {
+  const previous = db.accountTokens.findOne({ email, type });
+  if (previous && Date.now() - Date.parse(previous.createdAt) < ACCOUNT_EMAIL_INTERVAL_MS) return null;
+  const token = randomBytes(32).toString('hex');
+  const now = Date.now();
+  db.transaction(() => {
+    db.accountTokens.removeWhere({ email, type });
+    db.accountTokens.put({
+      id: hashToken(token),
+      email,
+      type,
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttlMs).toISOString()
+    });
+  });
+  return token;
+}
+
+// Use up a token. Returns the email it was issued to, or null if it is
+// unknown or expired.
+function consumeAccountToken(token, type) {
+  const record = token ? db.accountTokens.get(hashToken(token)) : null;
+  if (!record || record.type !== type) return null;
+  db.accountTokens.remove(record.id);
+  return Date.parse(record.expiresAt) > Date.now() ? record.email : null;
+}
+
+function sendVerificationEmail(user) {
+  const token = issueAccountToken(user.email, 'verify-email', EMAIL_VERIFICATION_TTL_MS);
+  if (!token) return;
+  const link = APP_BASE_URL + '/verify-email.html?token=' + token;
+  mailer.sendMail({
+    to: user.email,
+    subject: 'Confirm your Claronav LMS email address',
+    text: 'Hi ' + user.firstName + ',\n\n' +
+      'Please confirm your email address by opening this link:\n' + link + '\n\n' +
+      'The link expires in ' + Math.round(EMAIL_VERIFICATION_TTL_MS / 3600000) + ' hours. ' +
+      'If you did not create a Claronav LMS account you can ignore this email.'
+  }).catch(err => console.error('Error sending verification email:', err));
+}
+
+function sendPasswordResetEmail(user) {
+  const token = issueAccountToken(user.email, 'reset-password', PASSWORD_RESET_TTL_MS);
+  if (!token) return;
+  const link = APP_BASE_URL + '/reset-password.html?token=' + token;
+  mailer.sendMail({
+    to: user.email,
+    subject: 'Reset your Claronav LMS password',
+    text: 'Hi ' + user.firstName + ',\n\n' +
+      'We received a request to reset your password. Choose a new one here:\n' + link + '\n\n' +
+      'The link expires in ' + Math.round(PASSWORD_RESET_TTL_MS / 60000) + ' minutes. ' +
+      'If you did not ask for this you can ignore this email; your password has not changed.'
+  }).catch(err => console.error('Error sending password reset email:', err));
+}
+
+const USER_INVITE_TTL_MS = (Number(process.env.USER_INVITE_TTL_DAYS) || 14) * 24 * 60 * 60 * 1000;
+
+// Invite an imported user to choose a password. Returns the link, or null if
+// one was sent less than a minute ago.
+function sendUserInviteEmail(user) {
+  const token = issueAccountToken(user.email, 'user-invite', USER_INVITE_TTL_MS);
+  if (!token) return null;
+  const link = APP_BASE_URL + '/accept-invite.html?token=' + token;
+  mailer.sendMail({
+    to: user.email,
+    subject: 'Your Claronav LMS account is ready',
+    text: 'Hi ' + user.firstName + ',\n\n' +
+      'An account has been created for you on the Claronav LMS' + (user.hospital ? ' for ' + user.hospital : '') + '.\n' +
+      'Choose your password to start training:\n' + link + '\n\n' +
+      'The link expires in ' + Math.round(USER_INVITE_TTL_MS / 86400000) + ' days.'
+  }).catch(err => console.error('Error sending user invite email:', err));
+  return link;
+}
+
+// ============ AUDIT LOG ============
+
+// Copy of an account or record that is safe to keep in the audit log
+function auditSnapshot(record) {
+  if (!record) return null;
+  const { password, passwordHash, signature, ...rest } = record;
+  return rest;
+}
+
+// Append one entry to the audit log. entry: { actorType ('admin', 'user' or
+// 'system'), actorEmail, action, targetType, targetId, before, after }
+function recordAudit(req, entry) {
+  db.auditLog.put({
+    id: Date.now().toString(36) + '-' + randomBytes(6).toString('hex'),
+    at: new Date().toISOString(),
+    actorType: entry.actorType || 'admin',
+    actorEmail: entry.actorEmail || null,
+    action: entry.action,
+    targetType: entry.targetType || null,
+    targetId: entry.targetId || null,
+    before: entry.before === undefined ? null : entry.before,
+    after: entry.after === undefined ? null : entry.after,
+    ip: req ? req.ip : null
+  });
+}
+
+// Audit entry for an admin acting on a target
+function auditAdmin(req, auth, action, targetType, targetId, before, after) {
+  recordAudit(req, { actorType: 'admin', actorEmail: auth.admin.email, action, targetType, targetId, before, after });
+}
 
-  if (mimeType === 'application/pdf' || ext === '.pdf') {
-    const buffer = fs.readFileSync(filePath);
-    const parsed = await pdfParse(buffer);
-    return parsed && parsed.text ? parsed.text : '';
+// Text starting with = + - @ (or a tab or carriage return) is read as a
+// formula by spreadsheet apps; a leading ' keeps it text. Numbers are left alone.
+const CSV_FORMULA_START = /^[=+\-@\t\r]/;
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value !== 'number' && CSV_FORMULA_START.test(text)) text = "'" + text;
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// ============ TRAINING MODULES ============
+// Modules are managed by admins. Hidden modules stay in the admin UI but are
+// not offered to trainees.
+
+const MODULE_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+
+// Created on first start so existing deployments keep their product lines
+const DEFAULT_MODULES = [
+  {
+    id: 'cranial',
+    name: 'Cranial Navigation',
+    description: 'Master cranial procedures with advanced navigation techniques, from basic introductions to complex case studies.',
+    icon: 'cranial-logo.png',
+    productLine: 'Cranial'
+  },
+  {
+    id: 'spine',
+    name: 'Spine Navigation',
+    description: 'Learn precise spine navigation techniques, including planning, execution, and advanced surgical tips.',
+    icon: 'spine-logo.png',
+    productLine: 'Spine'
+  },
+  {
+    id: 'ent',
+    name: 'ENT Navigation',
+    description: 'Specialized ENT navigation training covering unique workflows and practical exercises for ear procedures.',
+    icon: 'ent-logo.png',
+    productLine: 'ENT'
   }
+];
+
+function allModules() {
+  return db.modules.all().sort((a, b) => a.position - b.position);
+}
+
+// Module ids in display order
+function listModules() {
+  return allModules().map(module => module.id);
+}
+
+function isModuleVisible(id) {
+  const module = db.modules.get(id);
+  return !!(module && module.visible);
+}
+
+function moduleName(id) {
+  const module = db.modules.get(id);
+  return module ? module.name : id;
+}
+
+function publicModule(module) {
+  return {
+    id: module.id,
+    name: module.name,
+    description: module.description,
+    icon: module.icon,
+    productLine: module.productLine
+  };
+}
+
+// Seed the default modules into an empty table, and register any module that
+// content or quizzes refer to but that has no record yet (e.g. after an import).
+function seedModules() {
+  db.transaction(() => {
+    const now = new Date().toISOString();
+    let position = db.modules.count();
+    if (position === 0) {
+      DEFAULT_MODULES.forEach(module => {
+        db.modules.put({ ...module, visible: true, position: position++, createdAt: now });
+      });
+    }
+    db.moduleContent.all().concat(db.quizzes.all()).forEach(entry => {
+      if (db.modules.get(entry.module)) return;
+      db.modules.put({
+        id: entry.module,
+        name: entry.module,
+        description: '',
+        icon: '',
+        productLine: '',
+        visible: true,
+        position: position++,
+        createdAt: now
+      });
+    });
+  });
+}
 
-  if (
-    mimeType === 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' ||
-    ext === '.docx'
-  ) {
-    const result = await mammoth.extractRawText({ path: filePath });
-    return result && result.value ? result.value : '';
+// Validate module fields sent by the admin UI. Returns { error } or the fields.
+function parseModuleFields(body, creating) {
+  const fields = {};
+  const text = (name, max) => {
+    if (body[name] === undefined) return;
+    fields[name] = String(body[name]).trim().slice(0, max);
+  };
+  text('name', 100);
+  text('description', 1000);
+  text('icon', 200);
+  text('productLine', 100);
+  if (creating || body.name !== undefined) {
+    if (!fields.name) return { error: 'Module name is required' };
   }
+  // An icon is a Font Awesome class (fa-brain) or an image path or URL
+  if (fields.icon && !/^fa-[a-z0-9-]+$/.test(fields.icon) && !/^(https?:\/\/|\/)?[\w./-]+\.(png|jpe?g|gif|svg|webp)$/i.test(fields.icon)) {
+    return { error: 'Icon must be a Font Awesome class such as fa-brain or an image path' };
+  }
+  if (body.visible !== undefined) fields.visible = body.visible === true || body.visible === 'true';
+  if (body.aiIndex !== undefined) fields.aiIndex = body.aiIndex === true || body.aiIndex === 'true';
+  return { fields };
+}
 
-  throw new Error('Unsupported file type. Please upload TXT, PDF, or DOCX.');
+function slugify(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40);
 }
 
-const app = express();
-app.use(cors());
-// capture raw body for debugging parse errors
-app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf && buf.toString(); } }));
+// ============ PROGRESS TRACKING ============
 
-// Serve static files (front-end)
-app.use(express.static(path.join(__dirname)));
+// A video counts as watched once this much of it has been played
+const VIDEO_COMPLETE_PERCENT = 90;
+// Viewers report reading or watching time at least this often, so a single
+// report longer than this is not believed
+const MAX_TIME_REPORT_SECONDS = 300;
 
-// Serve index.html at root path
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'index.html'));
-});
+// Lessons of a module in course order: by section, then by position within it.
+// Draft lessons are left out unless includeDrafts is set.
+function moduleItems(module, includeDrafts) {
+  const order = {};
+  moduleSections(module).forEach((section, i) => { order[section.id] = i; });
+  const rank = item => (item.sectionId in order ? order[item.sectionId] : Infinity);
+  return db.moduleContent.find({ module })
+    .filter(item => includeDrafts || isLessonPublished(item))
+    .sort((a, b) => (rank(a) - rank(b)) || (a.position - b.position));
+}
 
-app.post('/api/signup', (req, res) => {
-  // debug log to help diagnose malformed requests
-  if (req.rawBody) console.log('RAW SIGNUP BODY:', req.rawBody);
-  const { email, firstName, lastName, serial, hospital, password } = req.body || {};
-  if (!email || !firstName || !lastName || !serial || !hospital || !password) return res.status(400).json({ error: 'Missing fields' });
-  const data = readData();
-  if (data.users[email]) return res.status(400).json({ error: 'Email already registered' });
-  data.users[email] = {
-    email,
-    firstName,
-    lastName,
-    serial,
-    hospital,
-    password,
-    accountStatus: 'pending',
-    registeredAt: new Date().toISOString()
+// Items for every module including drafts, as { module: [items] }
+function contentByModule() {
+  const content = {};
+  listModules().forEach(module => { content[module] = moduleItems(module, true); });
+  return content;
+}
+
+// A user's item progress records keyed by item id
+function itemRecordsFor(email) {
+  const records = {};
+  db.itemProgress.find({ email }).forEach(record => { records[record.itemId] = record; });
+  return records;
+}
+
+function isItemComplete(item, record) {
+  if (!record || !record.openedAt) return false;
+  if (item.type === 'video') return (record.videoPercent || 0) >= VIDEO_COMPLETE_PERCENT;
+  if (item.type === 'pdf' && item.pageCount) return (record.maxPage || 0) >= item.pageCount;
+  if (item.type === 'package') return packageRequirementMet(item.package, record);
+  return true;
+}
+
+// Apply a single completion event to a user's record for one content item
+function applyProgressEvent(item, record, event, body) {
+  const now = new Date().toISOString();
+  if (event === 'opened') {
+    if (!record.openedAt) record.openedAt = now;
+    record.lastOpenedAt = now;
+  } else if (!record.openedAt) {
+    return 'Item must be opened first';
+  } else if (event === 'video') {
+    if (item.type !== 'video') return 'Item is not a video';
+    const percent = Number(body.percent);
+    if (!Number.isFinite(percent) || percent < 0 || percent > 100) return 'Invalid percent';
+    record.videoPercent = Math.max(record.videoPercent || 0, Math.round(percent));
+    // Where playback stopped, so the player can resume there
+    if (body.position !== undefined) {
+      const position = Number(body.position);
+      if (!Number.isFinite(position) || position < 0) return 'Invalid position';
+      record.lastPosition = Math.round(position);
+    }
+  } else if (event === 'page') {
+    if (item.type !== 'pdf') return 'Item is not a PDF';
+    const page = parseInt(body.page, 10);
+    if (!Number.isInteger(page) || page < 1 || (item.pageCount && page > item.pageCount)) return 'Invalid page';
+    record.lastPage = page;
+    record.maxPage = Math.max(record.maxPage || 0, page);
+  } else if (event === 'time') {
+    // Seconds the lesson was on screen since the last report, also kept per
+    // day for the analytics time series
+    const seconds = Math.round(Number(body.seconds));
+    if (!Number.isFinite(seconds) || seconds < 1 || seconds > MAX_TIME_REPORT_SECONDS) return 'Invalid seconds';
+    const day = now.slice(0, 10);
+    record.timeSpent = (record.timeSpent || 0) + seconds;
+    record.timeByDay = { ...record.timeByDay, [day]: ((record.timeByDay || {})[day] || 0) + seconds };
+  } else if (event === 'scorm') {
+    if (item.type !== 'package' || item.package.standard !== 'scorm12') return 'Item is not a SCORM package';
+    const error = applyScormData(item, record, body.cmi);
+    if (error) return error;
+  } else if (event === 'xapi') {
+    if (item.type !== 'package' || item.package.standard === 'scorm12') return 'Item is not an xAPI package';
+    const error = applyStatements(item, record, body.statements);
+    if (error) return error;
+  } else {
+    return 'Unknown event';
+  }
+  record.updatedAt = now;
+  if (!record.completedAt && isItemComplete(item, record)) {
+    record.completedAt = now;
+    record.completedRevision = item.revision || 1;
+    // Through the major revision that flagged an earlier completion, or
+    // finished again inside a refresher window (see restartedProgress)
+    delete record.reviewRevision;
+    delete record.previousRevision;
+    delete record.renewing;
+  }
+  return null;
+}
+
+// Every time a lesson was finished, oldest first: the latest in completedAt,
+// earlier ones in completions (reviewedAt on records from before restarts
+// cleared completedAt)
+function itemCompletions(record) {
+  return [record.completedAt, record.reviewedAt, ...(record.completions || [])].filter(Boolean).sort();
+}
+
+// Apply a progress event to the user's record for a lesson and save it,
+// issuing any certificates it earns. Returns { error } or { record, certificates }.
+function recordProgressEvent(email, item, event, body) {
+  const id = email + '|' + item.id;
+  let record = db.itemProgress.get(id) || { id, email, itemId: item.id, module: item.module };
+  if (event === 'opened' && record.completedAt && !record.renewing) {
+    // Opened inside a refresher window since it was last finished: start over
+    const since = lessonRenewalStart(email, item);
+    if (since && itemCompletions(record).pop() < since) record = { ...restartedProgress(item, record), renewing: true };
+  }
+  const error = applyProgressEvent(item, record, event, body);
+  if (error) return { error };
+  const certificates = db.transaction(() => {
+    db.itemProgress.put(record);
+    return issueCertificates(email);
+  });
+  return { record, certificates };
+}
+
+// Per-module completion percentages for one user, derived from item records
+// and passed quizzes
+function computeModuleProgress(email) {
+  const records = itemRecordsFor(email);
+  const result = {};
+  listModules().forEach(module => {
+    const items = moduleItems(module);
+    const quizzes = db.quizzes.find({ module });
+    const total = items.length + quizzes.length;
+    if (total === 0) {
+      result[module] = 0;
+      return;
+    }
+    const itemsDone = items.filter(item => records[item.id] && records[item.id].completedAt).length;
+    const quizzesDone = quizzes.filter(quiz => hasPassedQuiz(email, quiz.id)).length;
+    result[module] = Math.round(((itemsDone + quizzesDone) / total) * 100);
+  });
+  return result;
+}
+
+// ============ COURSES ============
+// Each module is a course of ordered sections holding ordered lessons (the
+// moduleContent items). Sections and lessons have stable ids, so admins edit
+// and reorder by id rather than by array index.
+
+function moduleSections(module) {
+  return db.sections.find({ module }).sort((a, b) => a.position - b.position);
+}
+
+function createSection(module, title) {
+  const last = moduleSections(module).pop();
+  const section = {
+    id: randomBytes(8).toString('hex'),
+    module,
+    title,
+    position: last ? last.position + 1 : 0,
+    createdAt: new Date().toISOString()
   };
-  writeData(data);
-  res.json({
-    success: true,
-    requiresVerification: false,
-    message: 'Account created. Your account is pending admin approval.'
+  db.sections.put(section);
+  return section;
+}
+
+// First section of a module, created on demand for new or migrated modules
+function defaultSection(module) {
+  return moduleSections(module)[0] || createSection(module, 'General');
+}
+
+function nextLessonPosition(sectionId) {
+  const positions = db.moduleContent.find({ sectionId }).map(item => item.position);
+  return positions.length ? Math.max(...positions) + 1 : 0;
+}
+
+// Content uploaded before courses existed has no section; file it under the
+// module's first section, keeping its order.
+function migrateCourseSections() {
+  db.transaction(() => {
+    const modules = new Set(db.moduleContent.all().filter(item => !item.sectionId).map(item => item.module));
+    modules.forEach(module => {
+      const section = defaultSection(module);
+      let position = nextLessonPosition(section.id);
+      moduleItems(module, true).filter(item => !item.sectionId).forEach(item => {
+        db.moduleContent.put({ ...item, sectionId: section.id, position: position++ });
+      });
+    });
   });
-});
+}
 
-app.post('/api/login', (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password) return res.status(400).json({ error: 'Missing fields' });
-  const data = readData();
-  const user = data.users[email];
-  if (!user || user.password !== password) return res.status(401).json({ error: 'Invalid credentials' });
-  normalizeUserStatus(user);
-  if (isPending(user)) {
-    return res.status(403).json({ error: 'Your account is pending admin approval. Please wait for approval.' });
+// Lesson id -> ids of unfinished lessons it is waiting on. A lesson waits on
+// its listed prerequisites and, with requiresPrevious, on the lesson before it.
+// Only lessons earlier in the course count, so reordering can never leave a
+// course that cannot be completed.
+function lessonLocks(module, records) {
+  const items = moduleItems(module);
+  const earlier = new Set();
+  const locks = {};
+  items.forEach((item, i) => {
+    const required = (item.prerequisites || []).filter(id => earlier.has(id));
+    if (item.requiresPrevious && i > 0 && !required.includes(items[i - 1].id)) required.push(items[i - 1].id);
+    locks[item.id] = required.filter(id => !(records[id] && records[id].completedAt));
+    earlier.add(item.id);
+  });
+  return locks;
+}
+
+// Sections with their lessons. With records, each lesson is annotated with the
+// trainee's completion and lock state and drafts are left out; without, the
+// admin view, each lesson counts its unpublished revisions.
+function courseOutline(module, records) {
+  const items = moduleItems(module, !records);
+  const locks = records ? lessonLocks(module, records) : null;
+  return moduleSections(module).map(section => ({
+    ...section,
+    lessons: items.filter(item => item.sectionId === section.id).map(item => {
+      if (!locks) {
+        return { ...item, draftRevisions: db.lessonRevisions.find({ lessonId: item.id }).filter(r => r.status === 'draft').length };
+      }
+      return {
+        ...publicLesson(item),
+        completed: !!(records[item.id] && records[item.id].completedAt),
+        needsReview: !!(records[item.id] && records[item.id].reviewRevision),
+        locked: locks[item.id].length > 0,
+        lockedBy: locks[item.id]
+      };
+    })
+  }));
+}
+
+// Validate lesson settings sent by the admin UI. Returns { error } or the
+// fields to merge into the lesson.
+function parseLessonSettings(module, body, lessonId) {
+  const fields = {};
+  if (body.title !== undefined) {
+    const title = String(body.title).trim();
+    if (!title) return { error: 'Title is required' };
+    fields.title = title;
   }
-  if (isRejected(user)) {
-    return res.status(403).json({
-      error: 'Your account has been rejected. Please contact support.',
-      reason: user.rejectedReason || undefined
+  if (body.description !== undefined) fields.description = String(body.description).trim();
+  if (body.requiresPrevious !== undefined) {
+    fields.requiresPrevious = body.requiresPrevious === true || body.requiresPrevious === 'true';
+  }
+  // Index the document for the AI assistant: true, false, or null/'' to follow the module
+  if (body.aiIndex !== undefined) {
+    fields.aiIndex = body.aiIndex === true || body.aiIndex === 'true' ? true
+      : body.aiIndex === false || body.aiIndex === 'false' ? false : null;
+  }
+  if (body.sectionId !== undefined && body.sectionId !== '') {
+    const section = db.sections.get(body.sectionId);
+    if (!section || section.module !== module) return { error: 'Unknown section' };
+    fields.sectionId = section.id;
+  }
+  if (body.prerequisites !== undefined) {
+    let ids = body.prerequisites;
+    if (typeof ids === 'string') {
+      try {
+        ids = ids ? JSON.parse(ids) : [];
+      } catch (e) {
+        return { error: 'Invalid prerequisites' };
+      }
+    }
+    if (!Array.isArray(ids)) return { error: 'Invalid prerequisites' };
+    ids = [...new Set(ids.map(String))];
+    const unknown = ids.find(id => {
+      const lesson = db.moduleContent.get(id);
+      return id === lessonId || !lesson || lesson.module !== module;
+    });
+    if (unknown) return { error: 'Invalid prerequisite: ' + unknown };
+    fields.prerequisites = ids;
+  }
+  return { fields };
+}
+
+// ============ VIDEO PROCESSING ============
+// Uploaded videos are probed for their duration and get a poster frame. With
+// VIDEO_LOW_RENDITION=true a 480p copy is also encoded in the background.
+// Derived files live in uploads/media and are recorded on the lesson as
+// `media`: { status, durationSeconds, width, height, thumbnail, renditions }.
+// Status is 'processing', 'ready', 'failed' or 'unavailable' (no ffmpeg).
+
+const VIDEO_LOW_RENDITION = process.env.VIDEO_LOW_RENDITION === 'true';
+
+// Merge into the stored lesson's media, unless the lesson was deleted meanwhile
+function updateLessonMedia(itemId, fields) {
+  return db.transaction(() => {
+    const item = db.moduleContent.get(itemId);
+    if (!item) return null;
+    item.media = { ...item.media, ...fields };
+    return db.moduleContent.put(item);
+  });
+}
+
+function mediaFailure(err) {
+  if (err && err.code === 'ENOENT') return { status: 'unavailable', error: 'ffmpeg is not installed' };
+  return { status: 'failed', error: String((err && (err.stderr || err.message)) || err).trim().slice(0, 500) };
+}
+
+// Probe and take a poster frame. Returns the media fields for a lesson.
+async function describeVideo(itemId, file) {
+  try {
+    const info = await media.probe(file);
+    const thumbnail = itemId + '-thumb.jpg';
+    await media.thumbnail(file, path.join(MEDIA_DIR, thumbnail), Math.min(5, Math.floor(info.durationSeconds / 10)));
+    return { ...info, thumbnail, status: VIDEO_LOW_RENDITION ? 'processing' : 'ready' };
+  } catch (e) {
+    console.error('Error processing video:', e.message);
+    return mediaFailure(e);
+  }
+}
+
+// Encode the low rendition in the background and record the outcome
+function encodeLowRendition(itemId, file) {
+  const low = itemId + '-low.mp4';
+  return media.transcodeLow(file, path.join(MEDIA_DIR, low))
+    .then(() => updateLessonMedia(itemId, { status: 'ready', renditions: { low }, processedAt: new Date().toISOString() }))
+    .catch(e => {
+      console.error('Error encoding low rendition:', e.message);
+      fs.rm(path.join(MEDIA_DIR, low), { force: true }, () => {});
+      updateLessonMedia(itemId, mediaFailure(e));
+    });
+}
+
+// Remove a lesson's uploads, every revision included, and everything derived from them
+function removeLessonFiles(item) {
+  const revisions = db.lessonRevisions.find({ lessonId: item.id });
+  [item.package].concat(revisions.map(r => r.package)).forEach(discardPackage);
+  const names = new Set([item.filename].concat(revisions.map(r => r.filename)));
+  const files = [...names].map(name => path.join(UPLOAD_DIR, path.basename(name)));
+  const derived = item.media || {};
+  if (derived.thumbnail) files.push(path.join(MEDIA_DIR, derived.thumbnail));
+  Object.values(derived.renditions || {}).forEach(name => files.push(path.join(MEDIA_DIR, name)));
+  files.forEach(file => {
+    try {
+      if (fs.existsSync(file)) fs.unlinkSync(file);
+    } catch (e) {
+      console.error('Error deleting file:', e);
+    }
+  });
+}
+
+// ============ CONTENT REVISIONS ============
+// Every file a lesson has had is kept as a numbered revision. The lesson
+// record carries the file trainees get (the 'current' revision); a new file
+// can wait as a 'draft' revision, optionally until publishAt, and replaced
+// files are 'archived' so an admin can roll back to them. A lesson itself can
+// also be a draft that only admins see until it is published.
+
+// How often scheduled lessons and revisions are checked
+const PUBLISH_CHECK_INTERVAL_MS = 60 * 1000;
+
+function isLessonPublished(item) {
+  return item.status !== 'draft';
+}
+
+// A publish time from a request: { publishAt } (null when not given) or { error }
+function parsePublishAt(value) {
+  if (value === undefined || value === null || value === '') return { publishAt: null };
+  const at = Date.parse(value);
+  if (isNaN(at)) return { error: 'Invalid publish time' };
+  return { publishAt: new Date(at).toISOString() };
+}
+
+function lessonRevisions(lessonId) {
+  return db.lessonRevisions.find({ lessonId }).sort((a, b) => b.number - a.number);
+}
+
+// The file fields of a lesson as a revision record
+function revisionFromLesson(lesson, number, fields) {
+  return {
+    id: randomBytes(8).toString('hex'),
+    lessonId: lesson.id,
+    number,
+    filename: lesson.filename,
+    originalName: lesson.originalName,
+    mimeType: lesson.mimeType,
+    size: lesson.size,
+    pageCount: lesson.pageCount,
+    package: lesson.package,
+    major: false,
+    notes: '',
+    status: 'current',
+    publishAt: null,
+    createdAt: lesson.uploadedAt,
+    ...fields
+  };
+}
+
+// Lessons uploaded before revisions existed get their file as revision 1
+function migrateLessonRevisions() {
+  const lessons = db.moduleContent.all().filter(lesson => !lesson.revision);
+  if (lessons.length === 0) return;
+  db.transaction(() => lessons.forEach(lesson => {
+    db.lessonRevisions.put(revisionFromLesson(lesson, 1, { publishedAt: lesson.uploadedAt }));
+    db.moduleContent.put({ ...lesson, revision: 1 });
+  }));
+  console.log('Recorded revision 1 for ' + lessons.length + ' lesson(s)');
+}
+
+// Audit entry for a content change made by an admin, or by the publishing
+// schedule when there is no admin
+function auditContent(req, auth, action, targetId, before, after) {
+  if (auth) return auditAdmin(req, auth, action, 'content', targetId, before, after);
+  recordAudit(null, { actorType: 'system', action, targetType: 'content', targetId, before, after });
+}
+
+// Show a draft lesson to trainees
+function publishLesson(req, auth, lesson) {
+  const now = new Date().toISOString();
+  const published = db.moduleContent.put({ ...lesson, status: 'published', publishAt: null, publishedAt: now, updatedAt: now });
+  auditContent(req, auth, 'content.publish', lesson.id, lesson, published);
+  syncLessonKnowledge(lesson.id);
+  notifications.emit('content.added', { lessonId: lesson.id });
+  return published;
+}
+
+// A lesson to be gone through again, after a major revision or inside a
+// refresher window. It counts as unfinished under the same rule as a first
+// pass: opened again, and the furthest page, the watched percentage or a
+// package's result and saved state, which belonged to the old version, start
+// over. Earlier completions stay in the history itemCompletions reads.
+function restartedProgress(lesson, record) {
+  const { completedAt, completedRevision, reviewedAt, openedAt, scorm, xapiDocuments, ...rest } = record;
+  const restarted = { ...rest, completions: itemCompletions(record) };
+  if (lesson.type === 'video') return { ...restarted, videoPercent: 0 };
+  if (lesson.type === 'package') return { ...restarted, packageCompleted: false, packagePassed: false };
+  return { ...restarted, maxPage: 0 };
+}
+
+// After a major revision, trainees who finished an earlier one go through the
+// new version again and are flagged until they have; previousRevision is the
+// one they finished. Returns their emails.
+function flagOutdatedCompletions(lesson) {
+  const now = new Date().toISOString();
+  const records = db.itemProgress.find({ itemId: lesson.id })
+    .filter(record => record.reviewRevision || (record.completedAt && (record.completedRevision || 1) !== lesson.revision));
+  db.transaction(() => records.forEach(record => db.itemProgress.put({
+    ...restartedProgress(lesson, record),
+    previousRevision: record.previousRevision || record.completedRevision || 1,
+    reviewRevision: lesson.revision,
+    flaggedAt: now
+  })));
+  return records.map(record => record.email);
+}
+
+// Make a draft or archived revision the lesson's file. Rolling back to an
+// archived revision is the same step. major defaults to the revision's own
+// flag. Returns { lesson, flagged } or null when the lesson is gone.
+async function publishRevision(req, auth, revision, major) {
+  const lesson = db.moduleContent.get(revision.lessonId);
+  if (!lesson) return null;
+  const filePath = path.join(UPLOAD_DIR, path.basename(revision.filename));
+  const now = new Date().toISOString();
+  const next = {
+    ...lesson,
+    filename: revision.filename,
+    originalName: revision.originalName,
+    mimeType: revision.mimeType,
+    size: revision.size,
+    revision: revision.number,
+    updatedAt: now
+  };
+  delete next.pageCount;
+  delete next.media;
+  delete next.package;
+  if (revision.pageCount) next.pageCount = revision.pageCount;
+  if (revision.package) next.package = revision.package;
+  // Thumbnails and renditions are named after the lesson and get overwritten
+  if (lesson.type === 'video') next.media = await describeVideo(lesson.id, filePath);
+
+  const isMajor = major === undefined ? !!revision.major : major;
+  let flagged = [];
+  const updated = db.transaction(() => {
+    if (!db.moduleContent.get(lesson.id)) return null;
+    db.lessonRevisions.find({ lessonId: lesson.id, status: 'current' })
+      .forEach(current => db.lessonRevisions.put({ ...current, status: 'archived' }));
+    db.lessonRevisions.put({
+      ...revision,
+      status: 'current',
+      major: isMajor,
+      publishAt: null,
+      publishedAt: now,
+      publishedBy: auth ? auth.admin.email : null
+    });
+    const saved = db.moduleContent.put(next);
+    if (isMajor && isLessonPublished(saved)) flagged = flagOutdatedCompletions(saved);
+    auditContent(req, auth, revision.status === 'archived' ? 'content.rollback' : 'content.revision_publish', lesson.id,
+      lesson, { ...saved, major: isMajor, flagged: flagged.length });
+    return saved;
+  });
+  if (!updated) return null;
+
+  if (updated.media && updated.media.status === 'processing') encodeLowRendition(lesson.id, filePath);
+  syncLessonKnowledge(lesson.id);
+  if (flagged.length) notifications.emit('content.revised', { lessonId: lesson.id, emails: flagged });
+  return { lesson: updated, flagged: flagged.length };
+}
+
+// Publish whatever was scheduled for now or earlier. A run that is still
+// processing a video makes the next one skip.
+let publishingScheduled = false;
+
+async function publishScheduledContent() {
+  if (publishingScheduled) return;
+  publishingScheduled = true;
+  try {
+    await publishDueContent();
+  } finally {
+    publishingScheduled = false;
+  }
+}
+
+async function publishDueContent() {
+  const now = new Date().toISOString();
+  db.moduleContent.all()
+    .filter(lesson => !isLessonPublished(lesson) && lesson.publishAt && lesson.publishAt <= now)
+    .forEach(lesson => {
+      try {
+        publishLesson(null, null, lesson);
+      } catch (err) {
+        console.error('Error publishing scheduled lesson:', err);
+      }
+    });
+  const due = db.lessonRevisions.all().filter(r => r.status !== 'current' && r.publishAt && r.publishAt <= now);
+  for (const revision of due) {
+    try {
+      await publishRevision(null, null, revision);
+    } catch (err) {
+      console.error('Error publishing scheduled revision:', err);
+    }
+  }
+}
+
+// ============ UPLOADS ============
+// Large files are sent in UPLOAD_CHUNK_BYTES pieces, each with a SHA-256
+// checksum, into uploads/partial/<session id>.part. An interrupted upload is
+// resumed by asking which chunks arrived. Every finished file is checked
+// against the declared content type by its leading bytes.
+
+const UPLOAD_CHUNK_BYTES = 5 * 1024 * 1024;
+const UPLOAD_SESSION_TTL_MS = (Number(process.env.UPLOAD_SESSION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+// Files younger than this may still be written to and are never swept
+const STRAY_FILE_AGE_MS = 60 * 60 * 1000;
+const CONTENT_TYPES = ['pdf', 'ppt', 'video', 'package'];
+
+const ZIP_MAGIC = Buffer.from('504b0304', 'hex');
+const OLE_MAGIC = Buffer.from('d0cf11e0a1b11ae1', 'hex');
+const EBML_MAGIC = Buffer.from('1a45dfa3', 'hex');
+
+function readBytes(file, position, length) {
+  const fd = fs.openSync(file, 'r');
+  try {
+    const buf = Buffer.alloc(length);
+    const read = fs.readSync(fd, buf, 0, length, position);
+    return buf.subarray(0, read);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Work out what a file really is from its leading bytes. Returns
+// { type, mime } for the formats lessons accept, or null.
+function sniffFileType(file) {
+  const head = readBytes(file, 0, 4096);
+  const pdfAt = head.indexOf('%PDF-');
+  if (pdfAt !== -1 && pdfAt < 1024) return { type: 'pdf', mime: 'application/pdf' };
+  if (head.subarray(0, 8).equals(OLE_MAGIC)) return { type: 'ppt', mime: 'application/vnd.ms-powerpoint' };
+  if (head.subarray(0, 4).equals(ZIP_MAGIC)) {
+    // Office files are zips; a presentation lists ppt/presentation.xml in the
+    // central directory at the end of the archive, a lesson package its manifest
+    const size = fs.statSync(file).size;
+    const tailLength = Math.min(size, 256 * 1024);
+    const tail = readBytes(file, size - tailLength, tailLength);
+    if (tail.indexOf('ppt/presentation.xml') !== -1) {
+      return { type: 'ppt', mime: 'application/vnd.openxmlformats-officedocument.presentationml.presentation' };
+    }
+    if (['imsmanifest.xml', 'cmi5.xml', 'tincan.xml'].some(name => tail.indexOf(name) !== -1)) {
+      return { type: 'package', mime: 'application/zip' };
+    }
+    return null;
+  }
+  if (head.toString('latin1', 4, 8) === 'ftyp') {
+    return { type: 'video', mime: head.toString('latin1', 8, 12) === 'qt  ' ? 'video/quicktime' : 'video/mp4' };
+  }
+  if (head.subarray(0, 4).equals(EBML_MAGIC)) return { type: 'video', mime: 'video/webm' };
+  if (head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'AVI ') return { type: 'video', mime: 'video/x-msvideo' };
+  if (head.toString('latin1', 0, 4) === 'OggS') return { type: 'video', mime: 'video/ogg' };
+  if (head.length > 188 && head[0] === 0x47 && head[188] === 0x47) return { type: 'video', mime: 'video/mp2t' };
+  return null;
+}
+
+function discardFile(file) {
+  if (!file) return;
+  fs.rm(file, { force: true }, err => {
+    if (err) console.error('Error deleting file:', err);
+  });
+}
+
+function partialPath(uploadId) {
+  return path.join(PARTIAL_DIR, path.basename(uploadId) + '.part');
+}
+
+function uploadChunkCount(size) {
+  return Math.max(1, Math.ceil(size / UPLOAD_CHUNK_BYTES));
+}
+
+function publicUploadSession(session) {
+  const { adminEmail, ...rest } = session;
+  return { ...rest, chunkSize: UPLOAD_CHUNK_BYTES, totalChunks: uploadChunkCount(session.size) };
+}
+
+// Remove expired upload sessions, partial files without a session, and module
+// files or video renditions that no lesson refers to (left by failed requests)
+function cleanupUploads() {
+  const now = Date.now();
+  let removed = 0;
+  db.uploadSessions.all().forEach(session => {
+    if (now - new Date(session.updatedAt).getTime() < UPLOAD_SESSION_TTL_MS) return;
+    db.uploadSessions.remove(session.id);
+    discardFile(partialPath(session.id));
+    removed++;
+  });
+
+  const lessons = db.moduleContent.all();
+  const keep = {
+    [PARTIAL_DIR]: new Set(db.uploadSessions.all().map(session => path.basename(partialPath(session.id)))),
+    [UPLOAD_DIR]: new Set(lessons.map(item => item.filename).concat(db.lessonRevisions.all().map(r => r.filename))),
+    [MEDIA_DIR]: new Set([].concat(...lessons.map(item => {
+      const derived = item.media || {};
+      return [derived.thumbnail].concat(Object.values(derived.renditions || {}));
+    })))
+  };
+  Object.keys(keep).forEach(dir => {
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+      if (!entry.isFile() || entry.name.startsWith('.') || keep[dir].has(entry.name)) return;
+      const file = path.join(dir, entry.name);
+      if (now - fs.statSync(file).mtimeMs < STRAY_FILE_AGE_MS) return;
+      discardFile(file);
+      removed++;
+    });
+  });
+  // Unpacked packages are directories
+  const packageDirs = new Set(lessons.map(item => item.package).concat(db.lessonRevisions.all().map(r => r.package))
+    .filter(Boolean).map(info => info.dir));
+  fs.readdirSync(PACKAGE_DIR, { withFileTypes: true }).forEach(entry => {
+    if (!entry.isDirectory() || packageDirs.has(entry.name)) return;
+    const dir = path.join(PACKAGE_DIR, entry.name);
+    if (now - fs.statSync(dir).mtimeMs < STRAY_FILE_AGE_MS) return;
+    discardPackage({ dir: entry.name });
+    removed++;
+  });
+  if (removed) console.log('Upload cleanup removed ' + removed + ' stale upload(s) and file(s)');
+}
+
+// Check the lesson fields sent with an upload, before any file is accepted.
+// Returns { error } or { module, type, settings, publishAt, draft }.
+function parseUploadFields(fields, lessonId) {
+  const { module, type } = fields;
+  if (!db.modules.get(module)) return { error: 'Unknown module' };
+  if (!CONTENT_TYPES.includes(type)) return { error: 'Content type must be pdf, ppt, video or package' };
+  const settings = parseLessonSettings(module, {
+    title: fields.title === undefined ? '' : fields.title,
+    sectionId: fields.sectionId,
+    description: fields.description,
+    requiresPrevious: fields.requiresPrevious,
+    prerequisites: fields.prerequisites,
+    aiIndex: fields.aiIndex
+  }, lessonId);
+  if (settings.error) return settings;
+  // Drafts stay hidden from trainees until published, at publishAt if given
+  const schedule = parsePublishAt(fields.publishAt);
+  if (schedule.error) return schedule;
+  const draft = fields.draft === true || fields.draft === 'true' || !!schedule.publishAt;
+  return { module, type, settings: settings.fields, publishAt: schedule.publishAt, draft };
+}
+
+// Turn an uploaded file into a lesson. `file` is { path, originalName, size };
+// on success it ends up in uploads/. A refused file is deleted, and so is the
+// file after a server error unless file.keepOnError is set, which lets a
+// chunked upload be completed again. Returns { status, error } or { lesson }.
+async function createLessonFromUpload(req, auth, fields, file) {
+  const fail = (status, error) => {
+    discardFile(file.path);
+    return { status, error };
+  };
+  const id = randomBytes(8).toString('hex');
+  let packageInfo;
+  let contentEntry;
+  try {
+    const parsed = parseUploadFields(fields, id);
+    if (parsed.error) return fail(400, parsed.error);
+    const { module, type, draft } = parsed;
+
+    const format = sniffFileType(file.path);
+    if (!format || format.type !== type) {
+      return fail(400, 'The file is not a valid ' + type.toUpperCase() + (format ? ' (it looks like a ' + format.type.toUpperCase() + ')' : ''));
+    }
+    if (type === 'package') {
+      try {
+        packageInfo = await unpackLesson(file.path, id, 1);
+      } catch (err) {
+        return fail(400, err.message);
+      }
+    }
+
+    contentEntry = {
+      id,
+      module,
+      type,
+      filename: Date.now() + '-' + randomBytes(5).toString('hex') + path.extname(file.originalName || '').toLowerCase(),
+      originalName: file.originalName,
+      mimeType: format.mime,
+      size: file.size,
+      uploadedAt: new Date().toISOString(),
+      status: draft ? 'draft' : 'published',
+      publishAt: parsed.publishAt,
+      revision: 1,
+      ...parsed.settings
+    };
+    if (path.dirname(file.path) === UPLOAD_DIR) contentEntry.filename = path.basename(file.path);
+    if (packageInfo) contentEntry.package = packageInfo;
+
+    // Page count lets the server decide when a PDF has been read to the end
+    if (type === 'pdf') {
+      try {
+        const pdf = await pdfParse(fs.readFileSync(file.path));
+        if (pdf && pdf.numpages) contentEntry.pageCount = pdf.numpages;
+      } catch (e) {
+        console.error('Error reading PDF page count:', e);
+      }
+    }
+
+    // Duration and poster now; the low rendition is encoded after responding
+    if (type === 'video') contentEntry.media = await describeVideo(id, file.path);
+
+    // Append to the end of the chosen section, or of the module's first
+    // section. The file moves last, so nothing is saved if it cannot.
+    db.transaction(() => {
+      if (!contentEntry.sectionId) contentEntry.sectionId = defaultSection(module).id;
+      contentEntry.position = nextLessonPosition(contentEntry.sectionId);
+      db.moduleContent.put(contentEntry);
+      db.lessonRevisions.put(revisionFromLesson(contentEntry, 1, { createdBy: auth.admin.email, publishedAt: contentEntry.uploadedAt }));
+      auditAdmin(req, auth, 'content.upload', 'content', contentEntry.id, null, contentEntry);
+      if (path.dirname(file.path) !== UPLOAD_DIR) fs.renameSync(file.path, path.join(UPLOAD_DIR, contentEntry.filename));
+    });
+  } catch (err) {
+    console.error('Error saving uploaded lesson:', err);
+    discardPackage(packageInfo);
+    if (!file.keepOnError) discardFile(file.path);
+    return { status: 500, error: 'The lesson could not be saved. Please try again.' };
+  }
+
+  const filePath = path.join(UPLOAD_DIR, contentEntry.filename);
+  if (contentEntry.media && contentEntry.media.status === 'processing') encodeLowRendition(id, filePath);
+  if (lessonIndexed(contentEntry)) syncLessonKnowledge(id);
+  if (contentEntry.status !== 'draft') notifications.emit('content.added', { lessonId: id });
+  return { lesson: contentEntry };
+}
+
+// ============ FILE DELIVERY ============
+// Module files are never served statically. A signed-in trainee asks for a
+// link to one lesson; the link names the lesson and the user, expires after
+// FILE_LINK_TTL_MINUTES and is signed with FILE_LINK_SECRET, so it can be
+// handed to window.open, <video> or pdf.js without exposing the session token.
+
+const FILE_LINK_TTL_MS = (Number(process.env.FILE_LINK_TTL_MINUTES) || 10) * 60 * 1000;
+// Without a configured secret, links stop working when the server restarts
+const FILE_LINK_SECRET = process.env.FILE_LINK_SECRET || randomBytes(32).toString('hex');
+
+function fileLinkSignature(itemId, email, expires) {
+  return crypto.createHmac('sha256', FILE_LINK_SECRET).update(itemId + '|' + email + '|' + expires).digest('hex');
+}
+
+function signedFileUrl(itemId, email) {
+  const expires = Date.now() + FILE_LINK_TTL_MS;
+  const query = new URLSearchParams({ user: email, expires: String(expires), sig: fileLinkSignature(itemId, email, expires) });
+  return { url: '/api/files/' + encodeURIComponent(itemId) + '?' + query, expiresAt: new Date(expires).toISOString() };
+}
+
+// Returns the user's email when the link is genuine and still valid
+function verifyFileLink(itemId, query) {
+  const { user, expires, sig } = query;
+  if (!user || !expires || !sig) return null;
+  if (!(Number(expires) > Date.now())) return null;
+  return safeEqual(String(sig), fileLinkSignature(itemId, String(user), String(expires))) ? String(user) : null;
+}
+
+// Hotspot images are signed the same way, for one image and one user
+function signedQuizImageUrl(image, email) {
+  const expires = Date.now() + FILE_LINK_TTL_MS;
+  const query = new URLSearchParams({ user: email, expires: String(expires), sig: fileLinkSignature('quiz-image:' + image, email, expires) });
+  return '/api/quiz-images/' + encodeURIComponent(image) + '?' + query;
+}
+
+// Lesson fields a trainee may see; stored file names stay on the server
+function publicLesson(item) {
+  const { filename, ai, aiIndex, ...lesson } = item;
+  if (item.media) {
+    const { thumbnail, renditions, error, ...info } = item.media;
+    lesson.media = { ...info, thumbnail: !!thumbnail, renditions: Object.keys(renditions || {}) };
+  }
+  if (item.package) {
+    const { dir, ...info } = item.package;
+    lesson.package = info;
+  }
+  return lesson;
+}
+
+// ============ LESSON PACKAGES ============
+// SCORM 1.2, xAPI and cmi5 packages are unpacked by packages.js into
+// uploads/packages/<lesson id>-<revision>/ and served from there to the
+// trainee's browser under a signed path, so the package's own relative links
+// keep working. The path carries the same signature as file links but lasts a
+// whole sitting. Package files are sent with a sandbox Content-Security-Policy
+// and framed without allow-same-origin, so package scripts run on an opaque
+// origin and cannot read the trainee's session from this site's storage. SCORM
+// pages get the runtime API from scorm-api.js, added to each page, which
+// commits to /api/scorm; xAPI and cmi5 content reports to the small LRS below,
+// which keeps no statements - only their completion, success and score, and
+// the content's state documents.
+// These end up on the trainee's progress record for the lesson as
+// packageCompleted, packagePassed and packageScore (a percentage).
+
+const PACKAGE_LINK_TTL_MS = 8 * 60 * 60 * 1000;
+const SCORM_STATUSES = ['passed', 'completed', 'failed', 'incomplete', 'browsed'];
+const SCORM_EXIT_VALUES = ['', 'time-out', 'suspend', 'logout'];
+const XAPI_VERSION = '1.0.3';
+const XAPI_VERBS = {
+  completed: 'http://adlnet.gov/expapi/verbs/completed',
+  passed: 'http://adlnet.gov/expapi/verbs/passed'
+};
+const XAPI_DOCUMENT_BYTES = 64 * 1024;
+const XAPI_MAX_DOCUMENTS = 100;
+const CMI5_SESSION_EXTENSION = 'https://w3id.org/xapi/cmi5/context/extensions/sessionid';
+// No allow-same-origin: the package must not share this site's origin
+const PACKAGE_SANDBOX = 'sandbox allow-scripts allow-forms allow-popups allow-modals';
+
+// Unpack a package upload for one revision of a lesson. Resolves to the
+// launch details stored on the lesson as `package`.
+async function unpackLesson(file, lessonId, revision) {
+  const dir = lessonId + '-' + revision;
+  const info = await packages.unpack(file, path.join(PACKAGE_DIR, dir));
+  return { ...info, dir };
+}
+
+function discardPackage(info) {
+  if (!info || !info.dir) return;
+  fs.rm(path.join(PACKAGE_DIR, path.basename(info.dir)), { recursive: true, force: true }, err => {
+    if (err) console.error('Error deleting package:', err);
+  });
+}
+
+// Whether what a package reported satisfies its moveOn rule
+function packageRequirementMet(info, record) {
+  const completed = !!record.packageCompleted;
+  const passed = !!record.packagePassed;
+  if (info.moveOn === 'Completed') return completed;
+  if (info.moveOn === 'Passed') return passed;
+  if (info.moveOn === 'CompletedAndPassed') return completed && passed;
+  if (info.moveOn === 'NotApplicable') return true;
+  return completed || passed;
+}
+
+function recordPackageResult(record, { completed, passed, score }) {
+  if (completed) record.packageCompleted = true;
+  if (passed) record.packagePassed = true;
+  if (score !== null && score !== undefined) record.packageScore = Math.round(score * 100) / 100;
+}
+
+// A SCORM score field: '' clears it, otherwise 0-100
+function scormScore(value) {
+  if (value === '' || value === null) return { value: null };
+  const score = Number(value);
+  return Number.isFinite(score) && score >= 0 && score <= 100 ? { value: score } : { error: 'Invalid score' };
+}
+
+// Save the cmi data model a SCORM 1.2 package committed. cmi uses the
+// element names after cmi.core. / cmi. with dots as underscores, and
+// session_time in seconds. Returns an error message or null.
+function applyScormData(item, record, cmi) {
+  if (!cmi || typeof cmi !== 'object') return 'Missing SCORM data';
+  const scorm = { totalSeconds: 0, ...record.scorm };
+  if (cmi.lesson_status !== undefined) {
+    if (!SCORM_STATUSES.includes(cmi.lesson_status)) return 'Invalid lesson status';
+    scorm.lessonStatus = cmi.lesson_status;
+  }
+  const texts = [['lesson_location', 'lessonLocation', 255], ['suspend_data', 'suspendData', 4096], ['comments', 'comments', 4096]];
+  for (const [key, field, max] of texts) {
+    if (cmi[key] === undefined) continue;
+    const value = String(cmi[key]);
+    if (value.length > max) return key + ' is longer than ' + max + ' characters';
+    scorm[field] = value;
+  }
+  for (const [key, field] of [['score_raw', 'scoreRaw'], ['score_min', 'scoreMin'], ['score_max', 'scoreMax']]) {
+    if (cmi[key] === undefined) continue;
+    const score = scormScore(cmi[key]);
+    if (score.error) return score.error;
+    scorm[field] = score.value;
+  }
+  if (cmi.exit !== undefined) {
+    if (!SCORM_EXIT_VALUES.includes(cmi.exit)) return 'Invalid exit value';
+    scorm.exit = cmi.exit;
+  }
+  if (cmi.session_time !== undefined) {
+    const seconds = Number(cmi.session_time);
+    if (!Number.isFinite(seconds) || seconds < 0) return 'Invalid session time';
+    scorm.totalSeconds += Math.round(seconds);
+  }
+  record.scorm = scorm;
+
+  let score = null;
+  if (scorm.scoreRaw !== null && scorm.scoreRaw !== undefined) {
+    const min = scorm.scoreMin || 0;
+    const max = scorm.scoreMax || 100;
+    score = max > min ? Math.min(100, Math.max(0, (scorm.scoreRaw - min) / (max - min) * 100)) : scorm.scoreRaw;
+  }
+  const mastery = item.package.masteryScore;
+  const status = scorm.lessonStatus;
+  recordPackageResult(record, {
+    completed: status === 'completed' || status === 'passed',
+    // With a mastery score the LMS decides a completed SCO's outcome from its score
+    passed: status === 'passed' || (status === 'completed' && mastery !== null && score !== null && score >= mastery),
+    score
+  });
+  return null;
+}
+
+// A statement's score as a percentage, or null
+function statementScore(result) {
+  const score = result && result.score;
+  if (!score || typeof score !== 'object') return null;
+  if (Number.isFinite(score.scaled)) return Math.max(0, score.scaled) * 100;
+  if (Number.isFinite(score.raw)) {
+    const min = Number.isFinite(score.min) ? score.min : 0;
+    const max = Number.isFinite(score.max) ? score.max : 100;
+    return max > min ? Math.min(100, Math.max(0, (score.raw - min) / (max - min) * 100)) : null;
+  }
+  return null;
+}
+
+// Take completion, success and score from xAPI statements about the
+// package's own activity; statements about its slides or questions don't
+// count. Returns an error message or null.
+function applyStatements(item, record, statements) {
+  if (!Array.isArray(statements) || statements.length === 0) return 'No statements';
+  if (statements.some(s => !s || typeof s !== 'object' || !s.actor || !s.verb || !s.verb.id || !s.object)) {
+    return 'Statements need an actor, a verb and an object';
+  }
+  statements.filter(s => s.object.id === item.package.activityId).forEach(s => {
+    const result = s.result || {};
+    recordPackageResult(record, {
+      completed: s.verb.id === XAPI_VERBS.completed || result.completion === true,
+      passed: s.verb.id === XAPI_VERBS.passed || result.success === true,
+      score: statementScore(result)
+    });
+  });
+  record.lastStatementAt = new Date().toISOString();
+  return null;
+}
+
+// "<email>.<expires>.<signature>", with the email base64url encoded so the
+// grant fits in one path segment
+function packageGrant(itemId, email) {
+  const expires = Date.now() + PACKAGE_LINK_TTL_MS;
+  return Buffer.from(email).toString('base64url') + '.' + expires + '.' + fileLinkSignature(itemId, email, expires);
+}
+
+// Returns the user's email when the grant is genuine and still valid
+function verifyPackageGrant(itemId, grant) {
+  const [user, expires, sig] = String(grant || '').split('.');
+  if (!user || !expires || !sig) return null;
+  return verifyFileLink(itemId, { user: Buffer.from(user, 'base64url').toString(), expires, sig });
+}
+
+// The trainee and lesson behind a package grant, as long as the trainee may
+// still work on the lesson: approved, the lesson published in a visible module
+// and not locked. null otherwise.
+function packageAccess(itemId, grant) {
+  const email = verifyPackageGrant(itemId, grant);
+  const user = email && db.users.get(email);
+  if (!user || !isApproved(normalizeUserStatus(user))) return null;
+  const item = db.moduleContent.get(itemId);
+  if (!item || !item.package || !isLessonPublished(item) || !isModuleVisible(item.module)) return null;
+  if ((lessonLocks(item.module, itemRecordsFor(email))[item.id] || []).length) return null;
+  return { item, user };
+}
+
+// A UUID that stays the same for one value
+function stableUuid(value) {
+  const hex = crypto.createHash('sha256').update(value).digest('hex');
+  return [hex.slice(0, 8), hex.slice(8, 12), '4' + hex.slice(13, 16), ((parseInt(hex[16], 16) & 3) | 8).toString(16) + hex.slice(17, 20), hex.slice(20, 32)].join('-');
+}
+
+function xapiActor(user, standard) {
+  const name = [user.firstName, user.lastName].filter(Boolean).join(' ') || user.email;
+  if (standard === 'cmi5') return { objectType: 'Agent', name, account: { homePage: APP_BASE_URL, name: user.email } };
+  return { objectType: 'Agent', name, mbox: 'mailto:' + user.email };
+}
+
+// Where the trainee's browser starts a package. xAPI and cmi5 get the LRS
+// endpoint, their credentials and the actor as launch parameters; the
+// endpoint and fetch URLs are relative to the API and made absolute by the
+// dashboard, which knows where the API is.
+function packageLaunchUrl(item, user) {
+  const info = item.package;
+  const grant = packageGrant(item.id, user.email);
+  const [launchPath, query] = info.launch.split('?');
+  const registration = stableUuid(user.email + '|' + item.id);
+  let params = {};
+  if (info.standard === 'xapi') {
+    params = {
+      endpoint: '/api/xapi/',
+      auth: 'Basic ' + Buffer.from(item.id + ':' + grant).toString('base64'),
+      actor: JSON.stringify(xapiActor(user, 'xapi')),
+      activity_id: info.activityId,
+      registration
+    };
+  } else if (info.standard === 'cmi5') {
+    params = {
+      endpoint: '/api/xapi/',
+      fetch: '/api/xapi/fetch/' + encodeURIComponent(item.id) + '/' + grant,
+      actor: JSON.stringify(xapiActor(user, 'cmi5')),
+      registration,
+      activityId: info.activityId
+    };
+  }
+  // Percent-encoded rather than URLSearchParams' form encoding: not every
+  // package reads + as a space
+  const search = [query].concat(Object.keys(params).map(key => key + '=' + encodeURIComponent(params[key]))).filter(Boolean).join('&');
+  return '/api/packages/' + encodeURIComponent(item.id) + '/' + grant + '/' + launchPath + (search ? '?' + search : '');
+}
+
+// What scorm-api.js starts a SCORM page with: the cmi values saved from the
+// trainee's last session and where to commit new ones
+function scormSession(item, user, grant) {
+  const record = db.itemProgress.get(user.email + '|' + item.id) || {};
+  const saved = record.scorm || {};
+  const value = v => (v === null || v === undefined ? '' : String(v));
+  const seconds = saved.totalSeconds || 0;
+  const pad = n => String(n).padStart(2, '0');
+  return {
+    commitUrl: '/api/scorm/' + encodeURIComponent(item.id) + '/' + grant,
+    values: {
+      'cmi.core.student_id': user.email,
+      'cmi.core.student_name': [user.lastName, user.firstName].filter(Boolean).join(', '),
+      'cmi.core.lesson_location': value(saved.lessonLocation),
+      'cmi.core.credit': 'credit',
+      'cmi.core.lesson_status': saved.lessonStatus || 'not attempted',
+      'cmi.core.entry': saved.exit === 'suspend' ? 'resume' : saved.lessonStatus ? '' : 'ab-initio',
+      'cmi.core.score.raw': value(saved.scoreRaw),
+      'cmi.core.score.min': value(saved.scoreMin),
+      'cmi.core.score.max': value(saved.scoreMax),
+      'cmi.core.total_time': pad(Math.floor(seconds / 3600)).padStart(4, '0') + ':' + pad(Math.floor(seconds / 60) % 60) + ':' + pad(seconds % 60),
+      'cmi.core.lesson_mode': 'normal',
+      'cmi.suspend_data': value(saved.suspendData),
+      'cmi.launch_data': value(item.package.launchData),
+      'cmi.comments': value(saved.comments),
+      'cmi.comments_from_lms': '',
+      'cmi.student_data.mastery_score': value(item.package.masteryScore)
+    }
+  };
+}
+
+// A SCORM package page with the runtime added at the top of <head>
+function withScormRuntime(html, session) {
+  const tags = '<script>window.SCORM_SESSION = ' + JSON.stringify(session).replace(/</g, '\\u003c') + ';</script>' +
+    '<script src="/scorm-api.js"></script>';
+  const head = /<head\b[^>]*>/i.exec(html);
+  if (head) return html.slice(0, head.index + head[0].length) + tags + html.slice(head.index + head[0].length);
+  const doctype = /^\s*<!doctype[^>]*>/i.exec(html);
+  return doctype ? doctype[0] + tags + html.slice(doctype[0].length) : tags + html;
+}
+
+// ============ QUIZ GRADING ============
+
+const QUESTION_TYPES = ['single', 'multi', 'hotspot'];
+const DEFAULT_PASS_THRESHOLD = 80;
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+function shuffle(list) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+function hasPassedQuiz(email, quizId) {
+  return quizAttemptsFor(email, quizId).some(a => a.passed);
+}
+
+function quizAttemptsFor(email, quizId) {
+  return db.quizAttempts.find({ email, quizId });
+}
+
+// Validate and normalise an admin-authored quiz. Returns { quiz } or { error }.
+function sanitizeQuiz(input, existing) {
+  const title = String(input.title || '').trim();
+  const module = String(input.module || '').trim();
+  if (!title || !module) return { error: 'Quiz title and module are required' };
+  if (!db.modules.get(module)) return { error: 'Unknown module' };
+
+  const passThreshold = input.passThreshold === undefined ? DEFAULT_PASS_THRESHOLD : Number(input.passThreshold);
+  if (!Number.isFinite(passThreshold) || passThreshold < 0 || passThreshold > 100) {
+    return { error: 'Pass threshold must be between 0 and 100' };
+  }
+  const maxAttempts = input.maxAttempts === undefined ? DEFAULT_MAX_ATTEMPTS : parseInt(input.maxAttempts, 10);
+  if (!Number.isInteger(maxAttempts) || maxAttempts < 1) return { error: 'Max attempts must be at least 1' };
+
+  const questions = [];
+  const rawQuestions = Array.isArray(input.questions) ? input.questions : [];
+  if (rawQuestions.length === 0) return { error: 'A quiz needs at least one question' };
+
+  for (let i = 0; i < rawQuestions.length; i++) {
+    const result = sanitizeQuestion(rawQuestions[i] || {}, 'Question ' + (i + 1), existing);
+    if (result.error) return result;
+    questions.push(result.question);
+  }
+
+  const now = new Date().toISOString();
+  return {
+    quiz: {
+      id: existing ? existing.id : randomBytes(8).toString('hex'),
+      module,
+      title,
+      passThreshold,
+      maxAttempts,
+      shuffleQuestions: input.shuffleQuestions !== false,
+      questions,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    }
+  };
+}
+
+// Validate one question as sent by the quiz editor. Returns { error } or
+// { question } in stored form, with the correct option ids in `correct`.
+function sanitizeQuestion(q, label, existing) {
+  const type = String(q.type || 'single');
+  const prompt = String(q.prompt || '').trim();
+  if (!QUESTION_TYPES.includes(type)) return { error: label + ': unknown type' };
+  if (!prompt) return { error: label + ': prompt is required' };
+  const question = { id: q.id || randomBytes(6).toString('hex'), type, prompt };
+
+  if (type === 'hotspot') {
+    if (!q.image) return { error: label + ': hotspot questions need an image' };
+    const regions = (Array.isArray(q.regions) ? q.regions : []).map(r => ({
+      x: Number(r.x), y: Number(r.y), width: Number(r.width), height: Number(r.height)
+    }));
+    const validRegion = r => [r.x, r.y, r.width, r.height].every(Number.isFinite) &&
+      r.x >= 0 && r.y >= 0 && r.width > 0 && r.height > 0 && r.x + r.width <= 100 && r.y + r.height <= 100;
+    if (regions.length === 0 || !regions.every(validRegion)) {
+      return { error: label + ': hotspot regions must be percentages within the image' };
+    }
+    question.image = path.basename(String(q.image));
+    question.regions = regions;
+  } else {
+    // Keep option ids stable across edits so open attempts stay valid
+    const previous = existing && existing.questions.find(p => p.id === question.id);
+    const previousId = text => {
+      const match = previous && (previous.options || []).find(o => o.text === text);
+      return match ? match.id : null;
+    };
+    const options = (Array.isArray(q.options) ? q.options : [])
+      .map(o => {
+        const text = String(o.text || '').trim();
+        return { id: o.id || previousId(text) || randomBytes(4).toString('hex'), text, correct: !!o.correct };
+      })
+      .filter(o => o.text);
+    if (options.length < 2) return { error: label + ': at least two options are required' };
+    const correctCount = options.filter(o => o.correct).length;
+    if (type === 'single' && correctCount !== 1) return { error: label + ': exactly one option must be correct' };
+    if (type === 'multi' && correctCount < 1) return { error: label + ': at least one option must be correct' };
+    question.options = options.map(({ id, text }) => ({ id, text }));
+    question.correct = options.filter(o => o.correct).map(o => o.id);
+  }
+  return { question };
+}
+
+// Question as shown to a trainee for a given attempt: no answers, options in
+// the attempt's shuffled order
+function publicQuestion(question, attempt) {
+  const out = { id: question.id, type: question.type, prompt: question.prompt };
+  if (question.type === 'hotspot') {
+    out.image = signedQuizImageUrl(question.image, attempt.email);
+  } else {
+    const order = (attempt.optionOrder || {})[question.id] || question.options.map(o => o.id);
+    out.options = order
+      .map(id => question.options.find(o => o.id === id))
+      .filter(Boolean);
+  }
+  return out;
+}
+
+function gradeAnswer(question, answer) {
+  if (question.type === 'hotspot') {
+    if (!answer || typeof answer !== 'object') return false;
+    const x = Number(answer.x);
+    const y = Number(answer.y);
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return false;
+    return question.regions.some(r => x >= r.x && x <= r.x + r.width && y >= r.y && y <= r.y + r.height);
+  }
+  const selected = Array.isArray(answer) ? answer.map(String) : (answer ? [String(answer)] : []);
+  const unique = Array.from(new Set(selected));
+  if (question.type === 'single' && unique.length !== 1) return false;
+  return unique.length === question.correct.length && unique.every(id => question.correct.includes(id));
+}
+
+// ============ CERTIFICATES ============
+
+// Ed25519 key used to sign certificates. Set CERTIFICATE_PRIVATE_KEY (PEM) in
+// production; otherwise a key is generated once and kept next to server.js.
+let certificateKey = null;
+function getCertificateKey() {
+  if (certificateKey) return certificateKey;
+  let pem = process.env.CERTIFICATE_PRIVATE_KEY;
+  if (!pem && fs.existsSync(CERT_KEY_FILE)) pem = fs.readFileSync(CERT_KEY_FILE, 'utf8');
+  if (!pem) {
+    const { privateKey } = crypto.generateKeyPairSync('ed25519');
+    pem = privateKey.export({ type: 'pkcs8', format: 'pem' });
+    fs.writeFileSync(CERT_KEY_FILE, pem, { mode: 0o600 });
+  }
+  const privateKey = crypto.createPrivateKey(pem.replace(/\\n/g, '\n'));
+  certificateKey = { privateKey, publicKey: crypto.createPublicKey(privateKey) };
+  return certificateKey;
+}
+
+// Fields covered by the signature, in a fixed order
+function certificatePayload(cert) {
+  return Buffer.from(JSON.stringify([
+    cert.id, cert.email, cert.name, cert.serial, cert.hospital, cert.module, cert.completedAt, cert.issuedAt
+  ]));
+}
+
+function signCertificate(cert) {
+  return crypto.sign(null, certificatePayload(cert), getCertificateKey().privateKey).toString('base64');
+}
+
+function verifyCertificateSignature(cert) {
+  try {
+    return crypto.verify(null, certificatePayload(cert), getCertificateKey().publicKey, Buffer.from(cert.signature, 'base64'));
+  } catch (e) {
+    return false;
+  }
+}
+
+function newCertificateId() {
+  const part = () => randomBytes(3).toString('hex').toUpperCase();
+  return 'CN-' + part() + '-' + part();
+}
+
+// Latest completion timestamp across everything counted for a module
+function moduleCompletedAt(email, module) {
+  const records = itemRecordsFor(email);
+  const stamps = moduleItems(module).map(item => records[item.id] && records[item.id].completedAt);
+  db.quizzes.find({ module }).forEach(quiz => {
+    const passed = quizAttemptsFor(email, quiz.id).filter(a => a.passed).map(a => a.submittedAt);
+    stamps.push(passed.sort()[0]);
+  });
+  return stamps.filter(Boolean).sort().pop() || new Date().toISOString();
+}
+
+// Issue a certificate for every module the user has fully completed and has
+// not been certified for yet. A revoked certificate is not replaced
+// automatically. Returns the new certificates.
+function issueCertificates(email) {
+  const user = db.users.get(email);
+  if (!user) return [];
+  const progress = computeModuleProgress(email);
+  const issued = [];
+  Object.keys(progress).forEach(module => {
+    if (progress[module] < 100) return;
+    if (db.certificates.count({ email, module }) > 0) return;
+    const cert = {
+      id: newCertificateId(),
+      email,
+      name: (user.firstName + ' ' + user.lastName).trim(),
+      serial: user.serial || '',
+      hospital: user.hospital || '',
+      module,
+      moduleName: moduleName(module),
+      completedAt: moduleCompletedAt(email, module),
+      issuedAt: new Date().toISOString()
+    };
+    cert.signature = signCertificate(cert);
+    db.certificates.put(cert);
+    issued.push(cert);
+  });
+  return issued;
+}
+
+function publicCertificate(cert) {
+  const { signature, revokedBy, ...rest } = cert;
+  return rest;
+}
+
+function renderCertificatePdf(cert, res) {
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 50 });
+  const verifyUrl = APP_BASE_URL + '/verify-certificate.html?id=' + encodeURIComponent(cert.id);
+  doc.info.Title = 'Certificate of Completion - ' + cert.moduleName;
+  doc.info.Subject = cert.id;
+  doc.info.Keywords = 'signature:' + cert.signature;
+
+  const { width, height } = doc.page;
+  doc.rect(25, 25, width - 50, height - 50).lineWidth(3).stroke('#0066CC');
+  doc.rect(35, 35, width - 70, height - 70).lineWidth(1).stroke('#00A8B5');
+
+  const logo = path.join(__dirname, 'logo.png');
+  if (fs.existsSync(logo)) doc.image(logo, width / 2 - 40, 60, { width: 80 });
+
+  doc.moveDown(4);
+  doc.font('Helvetica-Bold').fontSize(30).fillColor('#003D7A').text('Certificate of Completion', { align: 'center' });
+  doc.moveDown(0.8);
+  doc.font('Helvetica').fontSize(14).fillColor('#333333').text('This certifies that', { align: 'center' });
+  doc.moveDown(0.5);
+  doc.font('Helvetica-Bold').fontSize(26).fillColor('#0066CC').text(cert.name, { align: 'center' });
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(12).fillColor('#555555')
+    .text([cert.hospital, cert.serial ? 'Serial ' + cert.serial : ''].filter(Boolean).join('  •  '), { align: 'center' });
+  doc.moveDown(0.8);
+  doc.font('Helvetica').fontSize(14).fillColor('#333333').text('has successfully completed the Claronav training module', { align: 'center' });
+  doc.moveDown(0.4);
+  doc.font('Helvetica-Bold').fontSize(20).fillColor('#003D7A').text(cert.moduleName, { align: 'center' });
+  doc.moveDown(0.4);
+  doc.font('Helvetica').fontSize(12).fillColor('#333333')
+    .text('Completed on ' + new Date(cert.completedAt).toDateString(), { align: 'center' });
+
+  doc.font('Helvetica').fontSize(9).fillColor('#666666');
+  doc.text('Certificate ID: ' + cert.id, 60, height - 110);
+  doc.text('Verify at: ' + verifyUrl, 60, height - 96, { link: verifyUrl, underline: true });
+  doc.text('Signature (Ed25519): ' + cert.signature, 60, height - 82, { width: width - 120 });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', 'attachment; filename="certificate-' + cert.id + '.pdf"');
+  doc.pipe(res);
+  doc.end();
+}
+
+const app = express();
+app.use(cors());
+app.use(express.json());
+
+// Avatars are shown with plain <img> tags and stay public. Module files are
+// only available through /api/files, quiz images through /api/quiz-images.
+app.use('/uploads/avatars', express.static(AVATAR_DIR));
+
+// Front-end files. Only these are served from the app directory: the server's
+// code, keys, uploads and mail outbox live next to them.
+const FRONTEND_FILES = new Set([
+  'index.html', 'login.html', 'signup.html', 'verify-email.html', 'forgot-password.html', 'reset-password.html',
+  'accept-invite.html', 'dashboard.html', 'profile.html', 'verify-certificate.html',
+  'admin-login.html', 'admin-invite.html', 'admin.html',
+  'scorm-api.js', 'logo.png', 'ent-logo.png', 'spine-logo.png', 'Navient animated.mp4'
+]);
+app.get('/:file', (req, res, next) => {
+  if (!FRONTEND_FILES.has(req.params.file)) return next();
+  res.sendFile(path.join(__dirname, req.params.file));
+});
+
+// Serve index.html at root path
+app.get('/', (req, res) => {
+  res.sendFile(path.join(__dirname, 'index.html'));
+});
+
+app.post('/api/signup', (req, res) => {
+  const { email, firstName, lastName, serial, hospital, password } = req.body || {};
+  if (!email || !firstName || !lastName || !serial || !hospital || !password) return res.status(400).json({ error: 'Missing fields' });
+  const passwordError = validateNewPassword(password);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+  if (db.users.get(email)) return res.status(400).json({ error: 'Email already registered' });
+  const user = db.users.put({
+    email,
+    firstName,
+    lastName,
+    serial,
+    hospital,
+    passwordHash: hashPassword(password),
+    accountStatus: 'pending',
+    emailVerified: false,
+    registeredAt: new Date().toISOString()
+  });
+  sendVerificationEmail(user);
+  res.json({
+    success: true,
+    requiresVerification: true,
+    message: 'Account created. Check your email for a link to confirm your address. Your account will then need admin approval.'
+  });
+});
+
+app.post('/api/login', (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) return res.status(400).json({ error: 'Missing fields' });
+  const loginAudit = (action, after) =>
+    recordAudit(req, { actorType: 'user', actorEmail: email, action, targetType: 'user', targetId: email, after });
+  const lockedFor = loginLockedFor('user', email, req.ip);
+  if (lockedFor) {
+    loginAudit('user.login_blocked', { reason: 'locked out' });
+    return sendLockout(res, lockedFor);
+  }
+  const user = db.users.get(email);
+  if (!user || !checkPassword(user, password)) {
+    recordLoginFailure('user', email, req.ip);
+    loginAudit('user.login_failed', { reason: user ? 'wrong password' : 'unknown email' });
+    return res.status(401).json({ error: 'Invalid credentials' });
+  }
+  clearLoginFailures('user', email);
+  normalizeUserStatus(user);
+  // Keeps a password hash upgraded by checkPassword()
+  db.users.put(user);
+  if (!isApproved(user) || user.emailVerified === false) {
+    loginAudit('user.login_denied', { accountStatus: user.accountStatus, emailVerified: user.emailVerified !== false });
+  }
+  // Accounts created before verification existed have no emailVerified flag
+  if (user.emailVerified === false) {
+    return res.status(403).json({
+      error: 'Please confirm your email address first. Check your inbox for the verification link.',
+      requiresVerification: true
+    });
+  }
+  if (isPending(user)) {
+    return res.status(403).json({ error: 'Your account is pending admin approval. Please wait for approval.' });
+  }
+  if (isRejected(user)) {
+    return res.status(403).json({
+      error: 'Your account has been rejected. Please contact support.',
+      reason: user.rejectedReason || undefined
+    });
+  }
+  if (isRestricted(user)) {
+    return res.status(403).json({
+      error: 'Your account has been restricted by an administrator. Please contact support.'
+    });
+  }
+  pruneExpiredSessions();
+  const session = createSession(email, 'user');
+  loginAudit('user.login', null);
+  res.json({
+    success: true,
+    token: session.token,
+    expiresAt: session.expiresAt,
+    name: user.firstName + ' ' + user.lastName,
+    email: user.email,
+    serial: user.serial,
+    hospital: user.hospital
+  });
+});
+
+// Resolve the session token on a trainee request. Mirrors requireAdmin().
+function requireUser(req, res) {
+  const token = req.query.token || (req.body && req.body.token);
+  if (!token) return { ok: false, error: res.status(400).json({ error: 'Missing token' }) };
+  const session = getSession(token, 'user');
+  if (!session) return { ok: false, error: res.status(401).json({ error: 'Unauthorized' }) };
+  const user = db.users.get(session.email);
+  if (!user) return { ok: false, error: res.status(404).json({ error: 'User not found' }) };
+  normalizeUserStatus(user);
+  if (!isApproved(user)) return { ok: false, error: res.status(403).json({ error: 'Account not approved' }) };
+  return { ok: true, token, email: session.email, user, session };
+}
+
+// End the current session
+app.post('/api/logout', (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ error: 'Missing token' });
+  const session = db.sessions.get(token);
+  if (session && session.kind === 'user') db.sessions.remove(token);
+  res.json({ success: true, message: 'Logged out' });
+});
+
+// End every session for the current user, on all devices
+app.post('/api/logout-all', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const removed = revokeSessions(auth.email, 'user');
+  res.json({ success: true, message: 'Signed out everywhere', sessionsRevoked: removed });
+});
+
+app.get('/api/progress', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { email } = auth;
+  res.json({
+    success: true,
+    progress: computeModuleProgress(email),
+    items: itemRecordsFor(email)
+  });
+});
+
+// A module's sections and lessons in order, with this trainee's lock state
+app.get('/api/courses/:module', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  if (!isModuleVisible(req.params.module)) return res.status(404).json({ error: 'Module not found' });
+  res.json({
+    success: true,
+    module: req.params.module,
+    sections: courseOutline(req.params.module, itemRecordsFor(auth.email))
+  });
+});
+
+// ============ FILE DELIVERY ============
+
+// Trainee: a short-lived signed link to one lesson's file. Locked lessons and
+// hidden modules get nothing.
+app.post('/api/files/:id/link', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const item = db.moduleContent.get(req.params.id);
+  if (!item || !isLessonPublished(item) || !isModuleVisible(item.module)) return res.status(404).json({ error: 'Content not found' });
+  const lockedBy = lessonLocks(item.module, itemRecordsFor(auth.email))[item.id] || [];
+  if (lockedBy.length) return res.status(403).json({ error: 'Complete the earlier lessons first', lockedBy });
+  if (item.package) return res.json({ success: true, url: packageLaunchUrl(item, auth.user) });
+  res.json({ success: true, ...signedFileUrl(item.id, auth.email) });
+});
+
+// Download a lesson file through a signed link. sendFile answers byte-range
+// requests, which is what lets video players seek. Only the first request of a
+// download is written to the access log, not every range a player fetches.
+// ?variant=thumbnail or ?variant=low selects a derived video file.
+app.get('/api/files/:id', (req, res) => {
+  const email = verifyFileLink(req.params.id, req.query);
+  if (!email) return res.status(403).json({ error: 'This link is invalid or has expired' });
+  const user = db.users.get(email);
+  if (!user || !isApproved(normalizeUserStatus(user))) return res.status(403).json({ error: 'Account not approved' });
+  const item = db.moduleContent.get(req.params.id);
+  if (!item || !isLessonPublished(item) || !isModuleVisible(item.module)) return res.status(404).json({ error: 'Content not found' });
+  const variant = req.query.variant;
+  const derived = item.media || {};
+  let filePath = path.join(UPLOAD_DIR, path.basename(item.filename));
+  if (variant === 'thumbnail') {
+    if (!derived.thumbnail) return res.status(404).json({ error: 'No thumbnail' });
+    filePath = path.join(MEDIA_DIR, derived.thumbnail);
+  } else if (variant) {
+    const name = (derived.renditions || {})[variant];
+    if (!name) return res.status(404).json({ error: 'Rendition not available' });
+    filePath = path.join(MEDIA_DIR, name);
+  }
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File not found' });
+
+  const range = req.headers.range;
+  if (variant !== 'thumbnail' && (!range || /^bytes=0-/.test(range))) {
+    db.fileAccessLog.put({
+      id: Date.now().toString(36) + '-' + randomBytes(4).toString('hex'),
+      email,
+      itemId: item.id,
+      module: item.module,
+      title: item.title,
+      variant: variant || undefined,
+      at: new Date().toISOString(),
+      ip: req.ip,
+      userAgent: req.headers['user-agent'] || ''
+    });
+  }
+  res.setHeader('Cache-Control', 'private, no-store');
+  const downloadName = variant ? path.basename(filePath) : String(item.originalName || item.filename).replace(/[^\w. -]/g, '_');
+  res.sendFile(filePath, { headers: { 'Content-Disposition': 'inline; filename="' + downloadName + '"' } });
+});
+
+// Hotspot image of a quiz in a visible module, through a signed link
+app.get('/api/quiz-images/:name', (req, res) => {
+  const name = path.basename(req.params.name);
+  const email = verifyFileLink('quiz-image:' + name, req.query);
+  if (!email) return res.status(403).json({ error: 'This link is invalid or has expired' });
+  const user = db.users.get(email);
+  if (!user || !isApproved(normalizeUserStatus(user))) return res.status(403).json({ error: 'Account not approved' });
+  const used = db.quizzes.all().some(quiz => isModuleVisible(quiz.module) && quiz.questions.some(q => q.image === name));
+  const filePath = path.join(QUIZ_UPLOAD_DIR, name);
+  if (!used || !fs.existsSync(filePath)) return res.status(404).json({ error: 'Image not found' });
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.sendFile(filePath);
+});
+
+// Record a completion event for one content item. Module percentages are
+// always derived server-side from these records.
+app.post('/api/progress', (req, res) => {
+  const { token, itemId, event } = req.body || {};
+  if (!token || !itemId || !event) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { email } = auth;
+
+  const item = db.moduleContent.get(itemId);
+  if (!item || !isLessonPublished(item) || !isModuleVisible(item.module)) return res.status(404).json({ error: 'Content not found' });
+  const lockedBy = lessonLocks(item.module, itemRecordsFor(email))[item.id] || [];
+  if (lockedBy.length) {
+    return res.status(403).json({ error: 'Complete the earlier lessons first', lockedBy });
+  }
+
+  const result = recordProgressEvent(email, item, event, req.body);
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({
+    success: true,
+    item: result.record,
+    progress: computeModuleProgress(email),
+    certificates: result.certificates.map(publicCertificate)
+  });
+});
+
+// Get user profile
+app.get('/api/profile', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { user } = auth;
+  // Don't send password
+  const { password, passwordHash, ...userWithoutPassword } = user;
+  res.json({ success: true, user: userWithoutPassword });
+});
+
+// Upload profile photo
+app.post('/api/profile/photo', avatarUpload.single('photo'), (req, res) => {
+  const { token } = req.body || {};
+  if (!token || !req.file) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { user } = auth;
+
+  user.profilePhoto = '/uploads/avatars/' + req.file.filename;
+  db.users.put(user);
+  res.json({ success: true, photoUrl: user.profilePhoto });
+});
+
+// Update user profile
+app.post('/api/profile', (req, res) => {
+  const { token, firstName, lastName, serial, hospital } = req.body;
+  if (!token) return res.status(400).json({ error: 'Missing token' });
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { user } = auth;
+  
+  // Update user data
+  if (firstName) user.firstName = firstName;
+  if (lastName) user.lastName = lastName;
+  if (serial) user.serial = serial;
+  // Hospital decides which coordinators and hospital-wide assignments cover
+  // the user, so only an admin can change it
+  if (hospital && normalizeHospital(hospital) !== normalizeHospital(user.hospital)) {
+    return res.status(403).json({ error: 'Your hospital can only be changed by an administrator' });
+  }
+  
+  db.users.put(user);
+  res.json({ success: true, message: 'Profile updated successfully' });
+});
+
+// Change password
+app.post('/api/change-password', (req, res) => {
+  const { token, currentPassword, newPassword } = req.body;
+  if (!token || !currentPassword || !newPassword) return res.status(400).json({ error: 'Missing fields' });
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { user } = auth;
+  
+  // Verify current password
+  if (!checkPassword(user, currentPassword)) return res.status(401).json({ error: 'Current password is incorrect' });
+  
+  // Update password and sign out other devices
+  setPassword(user, newPassword);
+  db.transaction(() => {
+    db.users.put(user);
+    revokeSessions(auth.email, 'user', auth.token);
+  });
+  res.json({ success: true, message: 'Password changed successfully' });
+});
+
+// ============ LESSON PACKAGES ============
+
+// Files of a package through a signed path. Every file the package loads is
+// requested here, so nothing goes to the file access log. Pages of a SCORM
+// package come with the runtime added and are never cached, since they carry
+// the trainee's saved state.
+app.get('/api/packages/:id/:grant/*', (req, res) => {
+  const access = packageAccess(req.params.id, req.params.grant);
+  if (!access) return res.status(403).json({ error: 'This link is invalid or has expired' });
+  const { item, user } = access;
+  const base = path.join(PACKAGE_DIR, path.basename(item.package.dir));
+  const filePath = path.resolve(base, req.params[0]);
+  if (!filePath.startsWith(base + path.sep) || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  res.setHeader('Content-Security-Policy', PACKAGE_SANDBOX);
+  if (item.package.standard === 'scorm12' && /\.html?$/i.test(filePath)) {
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.type('html');
+    return res.send(withScormRuntime(fs.readFileSync(filePath, 'utf8'), scormSession(item, user, req.params.grant)));
+  }
+  res.setHeader('Cache-Control', 'private, max-age=3600');
+  res.sendFile(filePath);
+});
+
+// SCORM runtime commits. The body is JSON sent as text/plain (see scorm-api.js).
+app.post('/api/scorm/:id/:grant', express.text({ type: 'text/plain', limit: '64kb' }), (req, res) => {
+  const access = packageAccess(req.params.id, req.params.grant);
+  if (!access) return res.status(403).json({ error: 'This link is invalid or has expired' });
+  let body;
+  try {
+    body = typeof req.body === 'string' ? JSON.parse(req.body) : req.body;
+  } catch (err) {
+    return res.status(400).json({ error: 'Invalid JSON in request body' });
+  }
+  const result = recordProgressEvent(access.user.email, access.item, 'scorm', { cmi: body && body.cmi });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({ success: true });
+});
+
+// ---- Learning record store for xAPI and cmi5 packages ----
+
+// The lesson and user behind an LRS request's Basic credentials, which are
+// the lesson id and a package grant. Sends 401 and returns null otherwise.
+function xapiAuth(req, res) {
+  res.setHeader('X-Experience-API-Version', XAPI_VERSION);
+  const match = /^Basic\s+(\S+)$/i.exec(req.headers.authorization || '');
+  const [itemId, grant] = match ? Buffer.from(match[1], 'base64').toString().split(':') : [];
+  const access = itemId ? packageAccess(itemId, grant) : null;
+  if (!access) {
+    res.status(401).json({ error: 'Invalid credentials' });
+    return null;
+  }
+  return { ...access, grant };
+}
+
+app.get('/api/xapi/about', (req, res) => {
+  res.setHeader('X-Experience-API-Version', XAPI_VERSION);
+  res.json({ version: [XAPI_VERSION] });
+});
+
+// cmi5 fetch URL: hands the AU its credentials
+app.post('/api/xapi/fetch/:id/:grant', (req, res) => {
+  if (!packageAccess(req.params.id, req.params.grant)) {
+    return res.status(401).json({ 'error-code': '2', 'error-text': 'This launch has expired' });
+  }
+  res.json({ 'auth-token': Buffer.from(req.params.id + ':' + req.params.grant).toString('base64') });
+});
+
+function handleStatements(req, res) {
+  const auth = xapiAuth(req, res);
+  if (!auth) return;
+  let statements = Array.isArray(req.body) ? req.body : [req.body];
+  if (req.method === 'PUT') {
+    if (!req.query.statementId) return res.status(400).json({ error: 'statementId is required' });
+    statements = [{ ...req.body, id: req.query.statementId }];
+  }
+  const result = recordProgressEvent(auth.user.email, auth.item, 'xapi', { statements });
+  if (result.error) return res.status(400).json({ error: result.error });
+  if (req.method === 'PUT') return res.status(204).end();
+  res.json(statements.map(s => s.id || randomUUID()));
+}
+
+app.post('/api/xapi/statements', handleStatements);
+app.put('/api/xapi/statements', handleStatements);
+
+// Statements aren't kept, so there are none to give back
+app.get('/api/xapi/statements', (req, res) => {
+  if (!xapiAuth(req, res)) return;
+  if (req.query.statementId || req.query.voidedStatementId) return res.status(404).json({ error: 'Statement not found' });
+  res.json({ statements: [], more: '' });
+});
+
+// What the cmi5 AU must read before sending statements
+function cmi5LaunchData(item, grant) {
+  const info = item.package;
+  const data = {
+    contextTemplate: { extensions: { [CMI5_SESSION_EXTENSION]: stableUuid(grant) } },
+    launchMode: 'Normal',
+    moveOn: info.moveOn
+  };
+  if (info.launchParameters) data.launchParameters = info.launchParameters;
+  if (info.masteryScore !== null) data.masteryScore = info.masteryScore / 100;
+  return data;
+}
+
+// State and profile documents, kept per user and lesson on the progress
+// record (a lesson has one activity and each user one registration)
+const XAPI_DOCUMENT_KINDS = { 'activities/state': ['state', 'stateId'], 'activities/profile': ['activity', 'profileId'], 'agents/profile': ['agent', 'profileId'] };
+
+Object.keys(XAPI_DOCUMENT_KINDS).forEach(kind => {
+  const [prefix, idParam] = XAPI_DOCUMENT_KINDS[kind];
+  const route = '/api/xapi/' + kind;
+  const progressRecord = (item, email) => {
+    const id = email + '|' + item.id;
+    return db.itemProgress.get(id) || { id, email, itemId: item.id, module: item.module };
+  };
+
+  app.get(route, (req, res) => {
+    const auth = xapiAuth(req, res);
+    if (!auth) return;
+    const documents = progressRecord(auth.item, auth.user.email).xapiDocuments || {};
+    const docId = req.query[idParam];
+    if (!docId) {
+      return res.json(Object.keys(documents).filter(key => key.startsWith(prefix + ':')).map(key => key.slice(prefix.length + 1)));
+    }
+    if (kind === 'activities/state' && docId === 'LMS.LaunchData' && auth.item.package.standard === 'cmi5') {
+      return res.json(cmi5LaunchData(auth.item, auth.grant));
+    }
+    const document = documents[prefix + ':' + docId];
+    if (!document) return res.status(404).json({ error: 'Document not found' });
+    res.setHeader('Content-Type', document.contentType);
+    res.setHeader('ETag', '"' + crypto.createHash('sha1').update(document.content).digest('hex') + '"');
+    res.send(document.content);
+  });
+
+  const store = (req, res) => {
+    const auth = xapiAuth(req, res);
+    if (!auth) return;
+    const docId = req.query[idParam];
+    if (!docId) return res.status(400).json({ error: idParam + ' is required' });
+    const content = typeof req.body === 'string' ? req.body : JSON.stringify(req.body === undefined ? {} : req.body);
+    if (Buffer.byteLength(content) > XAPI_DOCUMENT_BYTES) return res.status(413).json({ error: 'Documents are limited to 64KB' });
+    const record = progressRecord(auth.item, auth.user.email);
+    const documents = { ...record.xapiDocuments };
+    const key = prefix + ':' + docId;
+    if (!documents[key] && Object.keys(documents).length >= XAPI_MAX_DOCUMENTS) {
+      return res.status(413).json({ error: 'Too many documents' });
+    }
+    let stored = content;
+    // POST merges JSON objects into the stored document
+    if (req.method === 'POST' && documents[key] && typeof req.body === 'object') {
+      try {
+        stored = JSON.stringify({ ...JSON.parse(documents[key].content), ...req.body });
+      } catch (err) {
+        return res.status(400).json({ error: 'The stored document is not JSON' });
+      }
+    }
+    documents[key] = { contentType: req.is('application/json') ? 'application/json' : (req.headers['content-type'] || 'application/octet-stream'), content: stored, updatedAt: new Date().toISOString() };
+    db.itemProgress.put({ ...record, xapiDocuments: documents });
+    res.status(204).end();
+  };
+  app.put(route, express.text({ type: () => true, limit: XAPI_DOCUMENT_BYTES }), store);
+  app.post(route, express.text({ type: () => true, limit: XAPI_DOCUMENT_BYTES }), store);
+
+  app.delete(route, (req, res) => {
+    const auth = xapiAuth(req, res);
+    if (!auth) return;
+    const record = progressRecord(auth.item, auth.user.email);
+    const documents = { ...record.xapiDocuments };
+    Object.keys(documents).forEach(key => {
+      if (req.query[idParam] ? key === prefix + ':' + req.query[idParam] : key.startsWith(prefix + ':')) delete documents[key];
+    });
+    if (db.itemProgress.get(record.id)) db.itemProgress.put({ ...record, xapiDocuments: documents });
+    res.status(204).end();
+  });
+});
+
+// ============ EMAIL VERIFICATION & PASSWORD RESET ============
+
+// Confirm an email address from the link sent at signup
+app.post('/api/verify-email', (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ error: 'Missing token' });
+  const email = consumeAccountToken(token, 'verify-email');
+  const user = email && db.users.get(email);
+  if (!user) return res.status(400).json({ error: 'This verification link is invalid or has expired' });
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date().toISOString();
+  db.users.put(user);
+  recordAudit(req, { actorType: 'user', actorEmail: email, action: 'user.verify_email', targetType: 'user', targetId: email });
+  normalizeUserStatus(user);
+  // Admins hear about a signup once there is a confirmed address to approve
+  if (isPending(user)) notifications.emit('user.signup', { email });
+  res.json({
+    success: true,
+    pendingApproval: isPending(user),
+    message: isPending(user)
+      ? 'Email confirmed. Your account is pending admin approval.'
+      : 'Email confirmed. You can now sign in.'
+  });
+});
+
+// Send a fresh verification link. Always succeeds so it can't be used to
+// find out which emails are registered.
+app.post('/api/resend-verification', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const user = db.users.get(email);
+  // Imported users confirm their address by accepting the invitation
+  if (user && user.invitePending) sendUserInviteEmail(user);
+  else if (user && user.emailVerified === false) sendVerificationEmail(user);
+  res.json({ success: true, message: 'If that account still needs confirming, a new link is on its way.' });
+});
+
+// Start a password reset. Same response whether or not the account exists.
+app.post('/api/forgot-password', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const user = db.users.get(email);
+  if (user) sendPasswordResetEmail(user);
+  res.json({ success: true, message: 'If an account exists for that email, a password reset link has been sent.' });
+});
+
+// Finish a password reset and sign the account out everywhere
+app.post('/api/reset-password', (req, res) => {
+  const { token, newPassword } = req.body || {};
+  if (!token || !newPassword) return res.status(400).json({ error: 'Missing fields' });
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  const email = consumeAccountToken(token, 'reset-password');
+  const user = email && db.users.get(email);
+  if (!user) return res.status(400).json({ error: 'This reset link is invalid or has expired' });
+
+  setPassword(user, newPassword);
+  // Following the emailed link proves the address too
+  if (user.emailVerified === false) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date().toISOString();
+  }
+  // A reset also answers an outstanding import invitation
+  delete user.invitePending;
+  db.transaction(() => {
+    db.users.put(user);
+    revokeSessions(email, 'user');
+  });
+  recordAudit(req, { actorType: 'user', actorEmail: email, action: 'user.password_reset', targetType: 'user', targetId: email });
+  clearLoginFailures('user', email);
+  res.json({ success: true, message: 'Your password has been reset. You can now sign in.' });
+});
+
+// An imported user chooses their password
+app.post('/api/accept-invite', (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) return res.status(400).json({ error: 'Missing fields' });
+  const passwordError = validateNewPassword(password);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  const email = consumeAccountToken(token, 'user-invite');
+  const user = email && db.users.get(email);
+  if (!user || !user.invitePending) return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+
+  setPassword(user, password);
+  delete user.invitePending;
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date().toISOString();
+  user.acceptedAt = user.emailVerifiedAt;
+  db.users.put(user);
+  recordAudit(req, { actorType: 'user', actorEmail: email, action: 'user.accept_invite', targetType: 'user', targetId: email });
+  clearLoginFailures('user', email);
+  res.json({ success: true, message: 'Your account is ready. You can now sign in.', email });
+});
+
+// ============ ADMIN ENDPOINTS ============
+
+// What each admin role may do. Admins created before roles existed have no
+// role and keep full access as super-admins.
+const ADMIN_ROLES = {
+  'super-admin': [
+    'users.view', 'users.manage', 'content.view', 'content.manage', 'certificates.view',
+    'certificates.manage', 'ai.view', 'ai.manage', 'admins.manage', 'audit.view'
+  ],
+  'content-editor': ['content.view', 'content.manage', 'ai.view', 'ai.manage'],
+  // Limited to users (and their certificates) from the admin's own hospital
+  'hospital-coordinator': ['users.view', 'users.manage', 'certificates.view'],
+  'auditor': ['users.view', 'content.view', 'certificates.view', 'ai.view', 'audit.view']
+};
+const ADMIN_INVITE_TTL_MS = (Number(process.env.ADMIN_INVITE_TTL_DAYS) || 7) * 24 * 60 * 60 * 1000;
+
+function adminRole(admin) {
+  return admin.role || 'super-admin';
+}
+
+function adminPermissions(admin) {
+  return ADMIN_ROLES[adminRole(admin)] || [];
+}
+
+function hasPermission(admin, permission) {
+  return adminPermissions(admin).includes(permission);
+}
+
+function normalizeHospital(hospital) {
+  return String(hospital || '').trim().toLowerCase();
+}
+
+// Whether a user from this hospital is visible to the admin
+function inAdminScope(admin, hospital) {
+  if (adminRole(admin) !== 'hospital-coordinator') return true;
+  return !!normalizeHospital(admin.hospital) && normalizeHospital(admin.hospital) === normalizeHospital(hospital);
+}
+
+// Load a user the admin is allowed to manage, or send the error response
+function findManagedUser(res, admin, email) {
+  const user = db.users.get(email);
+  if (!user) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+  if (!inAdminScope(admin, user.hospital)) {
+    res.status(403).json({ error: 'You can only manage users from your own hospital' });
+    return null;
+  }
+  return user;
+}
+
+function activeSuperAdminCount() {
+  return db.admins.all().filter(a => adminRole(a) === 'super-admin' && !a.invitePending).length;
+}
+
+function publicAdmin(admin) {
+  return {
+    email: admin.email,
+    name: admin.name || '',
+    role: adminRole(admin),
+    hospital: admin.hospital || '',
+    status: admin.invitePending ? 'invited' : 'active',
+    invitedBy: admin.invitedBy || undefined,
+    createdAt: admin.createdAt || undefined,
+    lastLoginAt: admin.lastLoginAt || undefined
+  };
+}
+
+// Validate role/hospital from a request. Returns { role, hospital } or { error }.
+function parseAdminRole(body) {
+  const role = String(body.role || '');
+  if (!ADMIN_ROLES[role]) return { error: 'Role must be one of: ' + Object.keys(ADMIN_ROLES).join(', ') };
+  const hospital = String(body.hospital || '').trim();
+  if (role === 'hospital-coordinator' && !hospital) return { error: 'Hospital coordinators need a hospital' };
+  return { role, hospital: role === 'hospital-coordinator' ? hospital : '' };
+}
+
+function sendAdminInviteEmail(admin, invitedBy) {
+  const token = issueAccountToken(admin.email, 'admin-invite', ADMIN_INVITE_TTL_MS);
+  if (!token) return null;
+  const link = APP_BASE_URL + '/admin-invite.html?token=' + token;
+  mailer.sendMail({
+    to: admin.email,
+    subject: 'You have been invited to administer Claronav LMS',
+    text: 'Hi' + (admin.name ? ' ' + admin.name : '') + ',\n\n' +
+      invitedBy + ' has invited you to the Claronav LMS admin panel as ' + adminRole(admin) + '.\n' +
+      'Choose your password here:\n' + link + '\n\n' +
+      'The invitation expires in ' + Math.round(ADMIN_INVITE_TTL_MS / 86400000) + ' days.'
+  }).catch(err => console.error('Error sending admin invite email:', err));
+  return link;
+}
+
+// permission: required permission, or null for any signed-in admin
+function requireAdmin(req, res, permission, options) {
+  const token = req.query.token || req.body.token;
+  if (!token) return { ok: false, error: res.status(400).json({ error: 'Missing token' }) };
+  const session = getSession(token, 'admin');
+  if (!session) {
+    return { ok: false, error: res.status(401).json({ error: 'Unauthorized' }) };
+  }
+  const admin = db.admins.get(session.email);
+  if (!admin) return { ok: false, error: res.status(401).json({ error: 'Unauthorized' }) };
+  if (admin.mustChangePassword && !(options && options.allowPasswordChange)) {
+    return {
+      ok: false,
+      error: res.status(403).json({ error: 'You must change the default admin password first', mustChangePassword: true })
+    };
+  }
+  if (permission && !hasPermission(admin, permission)) {
+    return { ok: false, error: res.status(403).json({ error: 'Your admin role does not allow this action' }) };
+  }
+  return { ok: true, token, admin };
+}
+
+// Admin login
+app.post('/api/admin/login', (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) return res.status(400).json({ error: 'Missing fields' });
+  const loginAudit = (action, after) =>
+    recordAudit(req, { actorType: 'admin', actorEmail: email, action, targetType: 'admin', targetId: email, after });
+  const lockedFor = loginLockedFor('admin', email, req.ip);
+  if (lockedFor) {
+    loginAudit('admin.login_blocked', { reason: 'locked out' });
+    return sendLockout(res, lockedFor);
+  }
+  
+  const admin = db.admins.get(email);
+  if (!admin || !checkPassword(admin, password)) {
+    recordLoginFailure('admin', email, req.ip);
+    loginAudit('admin.login_failed', { reason: admin ? 'wrong password' : 'unknown email' });
+    return res.status(401).json({ error: 'Invalid admin credentials' });
+  }
+  clearLoginFailures('admin', email);
+  // Accounts still on the old seeded default must pick a new password
+  if (email === DEFAULT_ADMIN_EMAIL && password === DEFAULT_ADMIN_PASSWORD) admin.mustChangePassword = true;
+  admin.lastLoginAt = new Date().toISOString();
+  db.admins.put(admin);
+  
+  pruneExpiredSessions();
+  const session = createSession(email, 'admin');
+  loginAudit('admin.login', null);
+  
+  res.json({
+    success: true,
+    token: session.token,
+    email,
+    expiresAt: session.expiresAt,
+    role: adminRole(admin),
+    hospital: admin.hospital || '',
+    permissions: adminPermissions(admin),
+    mustChangePassword: !!admin.mustChangePassword
+  });
+});
+
+// Admin logout
+app.post('/api/admin/logout', (req, res) => {
+  const { token } = req.body || {};
+  if (!token) return res.status(400).json({ error: 'Missing token' });
+  const session = db.sessions.get(token);
+  if (session && session.kind === 'admin') {
+    db.sessions.remove(token);
+    recordAudit(req, { actorEmail: session.email, action: 'admin.logout', targetType: 'admin', targetId: session.email });
+  }
+  res.json({ success: true, message: 'Logged out' });
+});
+
+// Admin change password (also completes the first-run bootstrap)
+app.post('/api/admin/change-password', (req, res) => {
+  const { currentPassword, newPassword } = req.body || {};
+  if (!currentPassword || !newPassword) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, null, { allowPasswordChange: true });
+  if (!auth.ok) return;
+
+  if (!checkPassword(auth.admin, currentPassword)) return res.status(401).json({ error: 'Current password is incorrect' });
+  const passwordError = validateNewPassword(newPassword);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+  if (newPassword === currentPassword) return res.status(400).json({ error: 'New password must be different' });
+
+  setPassword(auth.admin, newPassword);
+  delete auth.admin.mustChangePassword;
+  db.transaction(() => {
+    db.admins.put(auth.admin);
+    revokeSessions(auth.admin.email, 'admin', auth.token);
+  });
+  auditAdmin(req, auth, 'admin.change_password', 'admin', auth.admin.email);
+  res.json({ success: true, message: 'Password changed successfully' });
+});
+
+// Current admin's role and permissions, used by admin.html to build its tabs
+app.get('/api/admin/me', (req, res) => {
+  const auth = requireAdmin(req, res, null);
+  if (!auth.ok) return;
+  res.json({ success: true, admin: { ...publicAdmin(auth.admin), permissions: adminPermissions(auth.admin) } });
+});
+
+// ============ ADMIN MANAGEMENT ============
+
+app.get('/api/admin/admins', (req, res) => {
+  const auth = requireAdmin(req, res, 'admins.manage');
+  if (!auth.ok) return;
+  res.json({ success: true, admins: db.admins.all().map(publicAdmin), roles: Object.keys(ADMIN_ROLES) });
+});
+
+// Invite a new admin, or re-send a pending invitation. The invitee picks their
+// own password from the emailed link.
+app.post('/api/admin/admins/invite', (req, res) => {
+  const { email, name } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'admins.manage');
+  if (!auth.ok) return;
+
+  const parsed = parseAdminRole(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const existing = db.admins.get(email);
+  if (existing && !existing.invitePending) return res.status(400).json({ error: 'An admin with that email already exists' });
+
+  const admin = {
+    ...(existing || { createdAt: new Date().toISOString() }),
+    email,
+    name: String(name || '').trim(),
+    role: parsed.role,
+    hospital: parsed.hospital,
+    invitePending: true,
+    invitedBy: auth.admin.email
+  };
+  const inviteUrl = sendAdminInviteEmail(admin, auth.admin.email);
+  if (!inviteUrl) return res.status(429).json({ error: 'An invitation was sent less than a minute ago' });
+  db.admins.put(admin);
+  auditAdmin(req, auth, 'admin.invite', 'admin', email, auditSnapshot(existing), auditSnapshot(admin));
+  res.json({ success: true, message: 'Invitation sent to ' + email, admin: publicAdmin(admin), inviteUrl });
+});
+
+// Change another admin's role
+app.post('/api/admin/admins/update', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'admins.manage');
+  if (!auth.ok) return;
+
+  const admin = db.admins.get(email);
+  if (!admin) return res.status(404).json({ error: 'Admin not found' });
+  const parsed = parseAdminRole(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  if (adminRole(admin) === 'super-admin' && parsed.role !== 'super-admin') {
+    if (email === auth.admin.email) return res.status(400).json({ error: 'You cannot change your own role' });
+    if (!admin.invitePending && activeSuperAdminCount() <= 1) {
+      return res.status(400).json({ error: 'There must be at least one super-admin' });
+    }
+  }
+  const before = auditSnapshot(admin);
+  admin.role = parsed.role;
+  admin.hospital = parsed.hospital;
+  db.admins.put(admin);
+  auditAdmin(req, auth, 'admin.update', 'admin', email, before, auditSnapshot(admin));
+  res.json({ success: true, message: 'Admin updated', admin: publicAdmin(admin) });
+});
+
+// Remove an admin (or withdraw an invitation) and end their sessions
+app.delete('/api/admin/admins', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'admins.manage');
+  if (!auth.ok) return;
+
+  const admin = db.admins.get(email);
+  if (!admin) return res.status(404).json({ error: 'Admin not found' });
+  if (email === auth.admin.email) return res.status(400).json({ error: 'You cannot remove yourself' });
+  if (adminRole(admin) === 'super-admin' && !admin.invitePending && activeSuperAdminCount() <= 1) {
+    return res.status(400).json({ error: 'There must be at least one super-admin' });
+  }
+  db.transaction(() => {
+    db.admins.remove(email);
+    revokeSessions(email, 'admin');
+    db.accountTokens.removeWhere({ email, type: 'admin-invite' });
+  });
+  auditAdmin(req, auth, 'admin.remove', 'admin', email, auditSnapshot(admin), null);
+  res.json({ success: true, message: 'Admin removed' });
+});
+
+// Accept an invitation by choosing a password
+app.post('/api/admin/accept-invite', (req, res) => {
+  const { token, password } = req.body || {};
+  if (!token || !password) return res.status(400).json({ error: 'Missing fields' });
+  const passwordError = validateNewPassword(password);
+  if (passwordError) return res.status(400).json({ error: passwordError });
+
+  const email = consumeAccountToken(token, 'admin-invite');
+  const admin = email && db.admins.get(email);
+  if (!admin || !admin.invitePending) return res.status(400).json({ error: 'This invitation is invalid or has expired' });
+
+  setPassword(admin, password);
+  delete admin.invitePending;
+  admin.acceptedAt = new Date().toISOString();
+  db.admins.put(admin);
+  recordAudit(req, { actorEmail: email, action: 'admin.accept_invite', targetType: 'admin', targetId: email });
+  res.json({ success: true, message: 'Invitation accepted. You can now sign in.', email });
+});
+
+// Users the admin may see, narrowed by the list filters: hospital, status,
+// compliance (overall assignment status) and from/to on the registration date
+function queryUsers(admin, query) {
+  const hospital = query.hospital ? normalizeHospital(query.hospital) : null;
+  const status = query.status ? String(query.status).toLowerCase() : null;
+  const compliance = query.compliance ? String(query.compliance).toLowerCase() : null;
+  const from = query.from ? Date.parse(query.from) : NaN;
+  let to = query.to ? Date.parse(query.to) : NaN;
+  // A bare date means the whole of that day
+  if (!isNaN(to) && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to += 24 * 60 * 60 * 1000 - 1;
+  return db.users.all()
+    .map(normalizeUserStatus)
+    .filter(u => inAdminScope(admin, u.hospital))
+    .filter(u => !hospital || normalizeHospital(u.hospital) === hospital)
+    .filter(u => !status || u.accountStatus === status)
+    .filter(u => {
+      const at = Date.parse(u.registeredAt);
+      return (isNaN(from) || at >= from) && (isNaN(to) || at <= to);
+    })
+    .filter(u => !compliance || userCompliance(u).status === compliance);
+}
+
+// Get all users with progress
+app.get('/api/admin/users', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+  
+  const users = queryUsers(auth.admin, req.query).map(u => ({
+    email: u.email,
+    firstName: u.firstName,
+    lastName: u.lastName,
+    hospital: u.hospital,
+    serial: u.serial,
+    accountStatus: u.accountStatus,
+    emailVerified: u.emailVerified !== false,
+    invitePending: !!u.invitePending,
+    registeredAt: u.registeredAt,
+    rejectedReason: u.rejectedReason || null,
+    activeSessions: countSessions(u.email, 'user')
+  }));
+  
+  const progress = {};
+  const compliance = {};
+  const assignments = db.assignments.all();
+  users.forEach(u => {
+    progress[u.email] = computeModuleProgress(u.email);
+    const standing = userCompliance(u, assignmentsFor(u, assignments));
+    compliance[u.email] = {
+      status: standing.status,
+      assigned: standing.assignments.length,
+      overdue: standing.assignments.filter(entry => entry.status === 'overdue').length
+    };
+  });
+
+  res.json({ 
+    success: true, 
+    users,
+    progress,
+    compliance,
+    modules: allModules().map(module => ({ id: module.id, name: module.name, visible: module.visible })),
+    // Every hospital in the admin's scope, for the filter
+    hospitals: [...new Set(db.users.all().map(u => u.hospital).filter(h => h && inAdminScope(auth.admin, h)))].sort()
+  });
+});
+
+// Account status changes an admin can make. Rejected and restricted users are
+// signed out everywhere.
+const USER_STATUS_ACTIONS = {
+  approve: { status: 'approved' },
+  reject: { status: 'rejected', reason: 'Rejected by admin' },
+  restrict: { status: 'restricted', reason: 'Restricted by admin' }
+};
+
+function setUserStatus(req, auth, user, action, reason) {
+  const change = USER_STATUS_ACTIONS[action];
+  normalizeUserStatus(user);
+  const before = auditSnapshot(user);
+  user.accountStatus = change.status;
+  user.rejectedReason = change.reason ? reason || change.reason : undefined;
+  db.transaction(() => {
+    db.users.put(user);
+    if (change.reason) revokeSessions(user.email, 'user');
+  });
+  auditAdmin(req, auth, 'user.' + action, 'user', user.email, before, auditSnapshot(user));
+  if (before.accountStatus !== change.status) {
+    notifications.emit('user.status_changed', { email: user.email, status: change.status, reason: user.rejectedReason });
+  }
+}
+
+// Approve user
+app.post('/api/admin/users/approve', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+
+  const user = findManagedUser(res, auth.admin, email);
+  if (!user) return;
+  setUserStatus(req, auth, user, 'approve');
+  res.json({ success: true, message: 'User approved' });
+});
+
+// Reject user (optional)
+app.post('/api/admin/users/reject', (req, res) => {
+  const { email, reason } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+
+  const user = findManagedUser(res, auth.admin, email);
+  if (!user) return;
+  setUserStatus(req, auth, user, 'reject', reason);
+  res.json({ success: true, message: 'User rejected' });
+});
+
+// Restrict user (disable login)
+app.post('/api/admin/users/restrict', (req, res) => {
+  const { email, reason } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+
+  const user = findManagedUser(res, auth.admin, email);
+  if (!user) return;
+  setUserStatus(req, auth, user, 'restrict', reason);
+  res.json({ success: true, message: 'User restricted' });
+});
+
+// Approve, reject or restrict several users at once. Users the admin may not
+// manage are reported back instead of failing the whole request.
+app.post('/api/admin/users/bulk', (req, res) => {
+  const { emails, action, reason } = req.body || {};
+  if (!Array.isArray(emails) || emails.length === 0 || !action) return res.status(400).json({ error: 'Missing fields' });
+  if (!USER_STATUS_ACTIONS[action]) return res.status(400).json({ error: 'Action must be approve, reject or restrict' });
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+
+  const updated = [];
+  const failed = [];
+  [...new Set(emails.map(String))].forEach(email => {
+    const user = db.users.get(email);
+    if (!user) return failed.push({ email, error: 'User not found' });
+    if (!inAdminScope(auth.admin, user.hospital)) return failed.push({ email, error: 'You can only manage users from your own hospital' });
+    setUserStatus(req, auth, user, action, reason);
+    updated.push(email);
+  });
+  res.json({ success: true, updated, failed });
+});
+
+const MAX_IMPORT_ROWS = 1000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Import sheet header (lowercase letters only) -> user field
+const IMPORT_COLUMNS = {
+  email: 'email', emailaddress: 'email', mail: 'email',
+  firstname: 'firstName', first: 'firstName', givenname: 'firstName',
+  lastname: 'lastName', last: 'lastName', surname: 'lastName', familyname: 'lastName',
+  name: 'name', fullname: 'name',
+  hospital: 'hospital', site: 'hospital', institution: 'hospital',
+  serial: 'serial', serialnumber: 'serial', systemserial: 'serial'
+};
+
+// Check the rows of an import sheet. Returns { error } or { users, skipped },
+// where skipped lists { row, email, error } for rows that can't be imported.
+// Hospital and serial fall back to `defaults`, then to a coordinator's own hospital.
+function parseImportRows(rows, admin, defaults) {
+  if (rows.length < 2) return { error: 'The file has no users. The first row must name the columns.' };
+  if (rows.length - 1 > MAX_IMPORT_ROWS) return { error: 'At most ' + MAX_IMPORT_ROWS + ' users can be imported at once' };
+  const fields = rows[0].map(header => IMPORT_COLUMNS[header.toLowerCase().replace(/[^a-z]/g, '')] || null);
+  if (!fields.includes('email')) return { error: 'No Email column found in the first row' };
+
+  const users = [];
+  const skipped = [];
+  const seen = new Set();
+  rows.slice(1).forEach((cells, i) => {
+    const row = i + 2;
+    const values = {};
+    fields.forEach((field, column) => {
+      // A sheet saved from the user export has a ' before formula-like text (see csvCell)
+      const cell = cells[column] && cells[column].replace(/^'(?=[=+\-@])/, '');
+      if (field && cell && !values[field]) values[field] = cell;
+    });
+    if (values.name && !values.firstName && !values.lastName) {
+      const parts = values.name.split(/\s+/);
+      values.lastName = parts.length > 1 ? parts.pop() : '';
+      values.firstName = parts.join(' ');
+    }
+    const email = values.email || '';
+    const hospital = values.hospital || defaults.hospital || (adminRole(admin) === 'hospital-coordinator' ? admin.hospital : '');
+    const skip = error => skipped.push({ row, email, error });
+    if (!EMAIL_PATTERN.test(email)) return skip('Invalid email address');
+    if (seen.has(email.toLowerCase())) return skip('Listed more than once');
+    seen.add(email.toLowerCase());
+    if (!values.firstName || !values.lastName) return skip('First and last name are required');
+    if (!hospital) return skip('Hospital is required');
+    if (!inAdminScope(admin, hospital)) return skip('You can only add users to your own hospital');
+    if (db.users.get(email)) return skip('Already registered');
+    users.push({ row, email, firstName: values.firstName, lastName: values.lastName, hospital, serial: values.serial || defaults.serial || '' });
+  });
+  return { users, skipped };
+}
+
+// The token comes in the query string, so the admin is checked before the
+// sheet is read into memory
+function requireUserManager(req, res, next) {
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+  res.locals.auth = auth;
+  next();
+}
+
+// Create approved accounts from a CSV or XLSX sheet and email each user an
+// invitation to choose a password. With dryRun the rows are only checked.
+app.post('/api/admin/users/import', requireUserManager, importUpload.single('file'), async (req, res) => {
+  const auth = res.locals.auth;
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+
+  let rows;
+  try {
+    rows = await spreadsheet.readRows(req.file.buffer, req.file.originalname);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const parsed = parseImportRows(rows, auth.admin, {
+    hospital: String(req.body.hospital || '').trim(),
+    serial: String(req.body.serial || '').trim()
+  });
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  if (req.body.dryRun === true || req.body.dryRun === 'true') {
+    return res.json({ success: true, dryRun: true, users: parsed.users, skipped: parsed.skipped });
+  }
+
+  const now = new Date().toISOString();
+  const created = [];
+  parsed.users.forEach(({ row, ...fields }) => {
+    const user = {
+      ...fields,
+      accountStatus: 'approved',
+      emailVerified: false,
+      invitePending: true,
+      importedBy: auth.admin.email,
+      registeredAt: now
+    };
+    db.users.put(user);
+    auditAdmin(req, auth, 'user.import', 'user', user.email, null, auditSnapshot(user));
+    created.push({ row, email: user.email, firstName: user.firstName, lastName: user.lastName, hospital: user.hospital, inviteUrl: sendUserInviteEmail(user) });
+  });
+  res.json({ success: true, created, skipped: parsed.skipped });
+});
+
+// Send an imported user a fresh invitation
+app.post('/api/admin/users/resend-invite', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+
+  const user = findManagedUser(res, auth.admin, email);
+  if (!user) return;
+  if (!user.invitePending) return res.status(400).json({ error: 'This user has already chosen a password' });
+  const inviteUrl = sendUserInviteEmail(user);
+  if (!inviteUrl) return res.status(429).json({ error: 'An invitation was sent less than a minute ago' });
+  auditAdmin(req, auth, 'user.invite', 'user', email, null, null);
+  res.json({ success: true, message: 'Invitation sent to ' + email, inviteUrl });
+});
+
+// One row per user: the account, then per module the progress and the date
+// its last lesson or quiz was completed, then per quiz the best score and the
+// date it was first passed
+app.get('/api/admin/users/export', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+
+  const users = queryUsers(auth.admin, req.query);
+  const modules = allModules();
+  const quizzes = db.quizzes.all();
+  const header = ['email', 'firstName', 'lastName', 'hospital', 'serial', 'accountStatus', 'emailVerified', 'registeredAt']
+    .concat(...modules.map(m => [m.name + ' progress %', m.name + ' completed at']))
+    .concat(...quizzes.map(q => [q.title + ' best score %', q.title + ' passed at']));
+  const lines = [header.map(csvCell).join(',')];
+
+  users.forEach(user => {
+    const progress = computeModuleProgress(user.email);
+    const attempts = db.quizAttempts.find({ email: user.email }).filter(a => a.submittedAt);
+    const passedAt = quiz => attempts.filter(a => a.quizId === quiz.id && a.passed).map(a => a.submittedAt).sort()[0] || null;
+    const cells = [user.email, user.firstName, user.lastName, user.hospital, user.serial, user.accountStatus, user.emailVerified !== false, user.registeredAt];
+    modules.forEach(m => {
+      cells.push(progress[m.id] || 0, progress[m.id] === 100 ? moduleCompletedAt(user.email, m.id) : null);
+    });
+    quizzes.forEach(q => {
+      const scores = attempts.filter(a => a.quizId === q.id).map(a => a.score);
+      cells.push(scores.length ? Math.max(...scores) : null, passedAt(q));
+    });
+    lines.push(cells.map(csvCell).join(','));
+  });
+
+  const { token, ...filters } = req.query;
+  auditAdmin(req, auth, 'user.export', 'user-list', null, null, { ...filters, count: users.length });
+  const filename = 'users-' + new Date().toISOString().slice(0, 10) + '.csv';
+  res.setHeader('Content-Disposition', 'attachment; filename="' + filename + '"');
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.send(lines.join('\r\n') + '\r\n');
+});
+
+// Sign a user out of every device
+app.post('/api/admin/users/revoke-sessions', (req, res) => {
+  const { email } = req.body || {};
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+
+  if (!findManagedUser(res, auth.admin, email)) return;
+  const removed = revokeSessions(email, 'user');
+  auditAdmin(req, auth, 'user.revoke_sessions', 'user', email, null, { sessionsRevoked: removed });
+  res.json({ success: true, message: 'Sessions revoked', sessionsRevoked: removed });
+});
+
+// Move a user to another hospital. Coordinators can only move users within
+// their own hospital's scope.
+app.post('/api/admin/users/hospital', (req, res) => {
+  const { email } = req.body || {};
+  const hospital = String((req.body || {}).hospital || '').trim();
+  if (!email || !hospital) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+
+  const user = findManagedUser(res, auth.admin, email);
+  if (!user) return;
+  if (!inAdminScope(auth.admin, hospital)) return res.status(403).json({ error: 'You can only manage users from your own hospital' });
+  const before = auditSnapshot(user);
+  user.hospital = hospital;
+  db.users.put(user);
+  auditAdmin(req, auth, 'user.hospital', 'user', email, before, auditSnapshot(user));
+  res.json({ success: true, message: 'Hospital updated' });
+});
+
+// Files one user has opened, newest first
+app.get('/api/admin/users/file-access', (req, res) => {
+  const { email } = req.query;
+  if (!email) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+
+  if (!findManagedUser(res, auth.admin, email)) return;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const entries = db.fileAccessLog.find({ email }).reverse();
+  res.json({ success: true, total: entries.length, entries: entries.slice(offset, offset + limit) });
+});
+
+// ============ TRAINING MODULES ============
+
+// Public: modules offered to trainees, in display order
+app.get('/api/modules', (req, res) => {
+  res.json({ success: true, modules: allModules().filter(module => module.visible).map(publicModule) });
+});
+
+// Every module, including hidden ones, with what it contains
+app.get('/api/admin/modules', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.view');
+  if (!auth.ok) return;
+  const modules = allModules().map(module => ({
+    ...module,
+    lessonCount: db.moduleContent.count({ module: module.id }),
+    quizCount: db.quizzes.count({ module: module.id })
+  }));
+  res.json({ success: true, modules });
+});
+
+// Create a module. The id is used in URLs and defaults to a slug of the name.
+app.post('/api/admin/modules', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const parsed = parseModuleFields(req.body || {}, true);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const id = req.body.id ? String(req.body.id).trim().toLowerCase() : slugify(parsed.fields.name);
+  if (!MODULE_ID_PATTERN.test(id)) {
+    return res.status(400).json({ error: 'Module id may only contain lowercase letters, numbers and dashes' });
+  }
+
+  const module = db.transaction(() => {
+    if (db.modules.get(id)) return null;
+    const last = allModules().pop();
+    return db.modules.put({
+      id,
+      description: '',
+      icon: '',
+      productLine: '',
+      visible: true,
+      ...parsed.fields,
+      position: last ? last.position + 1 : 0,
+      createdAt: new Date().toISOString()
+    });
+  });
+  if (!module) return res.status(409).json({ error: 'A module with this id already exists' });
+  auditAdmin(req, auth, 'module.create', 'module', module.id, null, module);
+  res.json({ success: true, module });
+});
+
+// Update a module's name, description, icon, product line or visibility
+app.post('/api/admin/modules/update', (req, res) => {
+  const { id } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const module = db.modules.get(id);
+  if (!module) return res.status(404).json({ error: 'Module not found' });
+  const parsed = parseModuleFields(req.body, false);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const updated = db.modules.put({ ...module, ...parsed.fields, updatedAt: new Date().toISOString() });
+  auditAdmin(req, auth, 'module.update', 'module', id, module, updated);
+  if (!!updated.aiIndex !== !!module.aiIndex) syncModuleKnowledge(id);
+  res.json({ success: true, module: updated });
+});
+
+// Set the display order: { ids: [moduleId, ...] } listing every module once
+app.post('/api/admin/modules/reorder', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const ids = Array.isArray(req.body.ids) ? req.body.ids.map(String) : null;
+  const current = listModules();
+  if (!ids || ids.length !== current.length || new Set(ids).size !== ids.length || !ids.every(id => current.includes(id))) {
+    return res.status(409).json({ error: 'The module list has changed since it was loaded. Reload and try again.' });
+  }
+  db.transaction(() => {
+    ids.forEach((id, position) => db.modules.put({ ...db.modules.get(id), position }));
+  });
+  auditAdmin(req, auth, 'module.reorder', 'module', null, { ids: current }, { ids });
+  res.json({ success: true, modules: allModules() });
+});
+
+// Delete an empty module. Modules with lessons or quizzes can be hidden instead.
+app.delete('/api/admin/modules', (req, res) => {
+  const { id } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const module = db.modules.get(id);
+  if (!module) return res.status(404).json({ error: 'Module not found' });
+  if (db.moduleContent.count({ module: id }) > 0 || db.quizzes.count({ module: id }) > 0) {
+    return res.status(409).json({ error: 'Delete this module\'s lessons and quizzes first, or hide it' });
+  }
+  if (db.assignments.count({ module: id }) > 0) {
+    return res.status(409).json({ error: 'Remove this module\'s training assignments first' });
+  }
+  db.transaction(() => {
+    db.sections.removeWhere({ module: id });
+    db.modules.remove(id);
+  });
+  auditAdmin(req, auth, 'module.delete', 'module', id, module, null);
+  res.json({ success: true, message: 'Module deleted' });
+});
+
+// Get module content
+app.get('/api/admin/modules/content', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.view');
+  if (!auth.ok) return;
+  
+  res.json({ success: true, content: contentByModule() });
+});
+
+// Trainee: lessons of the visible modules, without file locations
+app.get('/api/modules/content', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const module = req.query.module;
+
+  if (module) {
+    return res.json({ success: true, content: isModuleVisible(module) ? moduleItems(module).map(publicLesson) : [] });
+  }
+  const content = {};
+  listModules().filter(isModuleVisible).forEach(id => { content[id] = moduleItems(id).map(publicLesson); });
+  return res.json({ success: true, content });
+});
+
+// Upload module content
+app.post('/api/admin/modules/upload', upload.single('file'), async (req, res) => {
+  const { module, type, title, token } = req.body;
+  
+  if (!module || !type || !title || !token || !req.file) {
+    if (req.file) discardFile(req.file.path);
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) {
+    // Clean up uploaded file
+    discardFile(req.file.path);
+    return;
+  }
+
+  const result = await createLessonFromUpload(req, auth, req.body, {
+    path: req.file.path,
+    originalName: req.file.originalname,
+    size: req.file.size
+  });
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  
+  res.json({ 
+    success: true, 
+    message: 'Content uploaded successfully',
+    content: result.lesson
+  });
+});
+
+// ============ CHUNKED UPLOADS ============
+// 1. POST   /api/admin/uploads                    { filename, size, module, type, title, ...lesson settings }
+// 2. PUT    /api/admin/uploads/:id/chunks/:index  raw bytes, X-Chunk-Checksum: <sha256 hex>
+// 3. GET    /api/admin/uploads/:id                which chunks have arrived, to resume
+// 4. POST   /api/admin/uploads/:id/complete       validates the file and creates the lesson
+//    DELETE /api/admin/uploads/:id                abandons the upload
+
+// An upload session belongs to the admin who started it
+function findUploadSession(res, auth, id) {
+  const session = db.uploadSessions.get(id);
+  if (!session || session.adminEmail !== auth.admin.email) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  return session;
+}
+
+app.post('/api/admin/uploads', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const { filename, module, type, title } = req.body || {};
+  const size = Number(req.body.size);
+  if (!filename || !module || !type || !title || !Number.isInteger(size)) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  if (size < 1 || size > MAX_UPLOAD_BYTES) return res.status(400).json({ error: 'Files must be between 1 byte and 500MB' });
+  // Checked again on completion, but a mistake should not cost the upload
+  const parsed = parseUploadFields(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const now = new Date().toISOString();
+  const session = {
+    id: randomBytes(12).toString('hex'),
+    adminEmail: auth.admin.email,
+    filename: String(filename),
+    size,
+    fields: {
+      module,
+      type,
+      title,
+      sectionId: req.body.sectionId,
+      description: req.body.description,
+      requiresPrevious: req.body.requiresPrevious,
+      prerequisites: req.body.prerequisites,
+      aiIndex: req.body.aiIndex,
+      draft: req.body.draft,
+      publishAt: req.body.publishAt
+    },
+    received: [],
+    createdAt: now,
+    updatedAt: now
+  };
+  fs.writeFileSync(partialPath(session.id), '');
+  db.uploadSessions.put(session);
+  res.json({ success: true, upload: publicUploadSession(session) });
+});
+
+app.get('/api/admin/uploads/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const session = findUploadSession(res, auth, req.params.id);
+  if (!session) return;
+  res.json({ success: true, upload: publicUploadSession(session) });
+});
+
+// Store one chunk. Sending the same chunk twice is harmless, so clients can
+// simply retry whatever failed.
+// The token comes in the query string, so the admin and the upload are
+// checked before the chunk is read into memory
+function requireUploadSession(req, res, next) {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const session = findUploadSession(res, auth, req.params.id);
+  if (!session) return;
+  res.locals.uploadSession = session;
+  next();
+}
+
+app.put('/api/admin/uploads/:id/chunks/:index', requireUploadSession, express.raw({ type: () => true, limit: UPLOAD_CHUNK_BYTES + 1024 }), (req, res) => {
+  const session = res.locals.uploadSession;
+
+  const index = Number(req.params.index);
+  const totalChunks = uploadChunkCount(session.size);
+  if (!Number.isInteger(index) || index < 0 || index >= totalChunks) return res.status(400).json({ error: 'Invalid chunk index' });
+  const data = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const expectedLength = index === totalChunks - 1 ? session.size - index * UPLOAD_CHUNK_BYTES : UPLOAD_CHUNK_BYTES;
+  if (data.length !== expectedLength) {
+    return res.status(400).json({ error: 'Chunk ' + index + ' should be ' + expectedLength + ' bytes, got ' + data.length });
+  }
+  const checksum = String(req.headers['x-chunk-checksum'] || '').toLowerCase();
+  if (!checksum) return res.status(400).json({ error: 'Missing X-Chunk-Checksum header' });
+  if (crypto.createHash('sha256').update(data).digest('hex') !== checksum) {
+    return res.status(422).json({ error: 'Checksum mismatch for chunk ' + index + '. Send it again.' });
+  }
+
+  const fd = fs.openSync(partialPath(session.id), 'r+');
+  try {
+    fs.writeSync(fd, data, 0, data.length, index * UPLOAD_CHUNK_BYTES);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const updated = db.transaction(() => {
+    const current = db.uploadSessions.get(session.id);
+    if (!current) return null;
+    if (!current.received.includes(index)) current.received.push(index);
+    current.received.sort((a, b) => a - b);
+    current.updatedAt = new Date().toISOString();
+    return db.uploadSessions.put(current);
+  });
+  if (!updated) return res.status(404).json({ error: 'Upload not found' });
+  res.json({ success: true, received: updated.received.length, totalChunks });
+});
+
+app.post('/api/admin/uploads/:id/complete', async (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const session = findUploadSession(res, auth, req.params.id);
+  if (!session) return;
+  const totalChunks = uploadChunkCount(session.size);
+  const missing = [];
+  for (let i = 0; i < totalChunks; i++) {
+    if (!session.received.includes(i)) missing.push(i);
+  }
+  if (missing.length) return res.status(409).json({ error: 'Some chunks have not arrived yet', missing });
+
+  // One completion at a time, so a retried request cannot create the lesson twice
+  const claimed = db.transaction(() => {
+    const current = db.uploadSessions.get(session.id);
+    if (!current || current.completing) return false;
+    db.uploadSessions.put({ ...current, completing: true });
+    return true;
+  });
+  if (!claimed) return res.status(409).json({ error: 'This upload is already being completed' });
+
+  const result = await createLessonFromUpload(req, auth, session.fields, {
+    path: partialPath(session.id),
+    originalName: session.filename,
+    size: session.size,
+    keepOnError: true
+  });
+  // A refused file is gone with its session; after a server error both stay
+  // so the client can complete the upload again
+  if (result.status === 500) {
+    db.uploadSessions.put({ ...session, updatedAt: new Date().toISOString() });
+  } else {
+    db.uploadSessions.remove(session.id);
+  }
+  if (result.error) return res.status(result.status).json({ error: result.error });
+  res.json({ success: true, message: 'Content uploaded successfully', content: result.lesson });
+});
+
+app.delete('/api/admin/uploads/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const session = findUploadSession(res, auth, req.params.id);
+  if (!session) return;
+  db.uploadSessions.remove(session.id);
+  discardFile(partialPath(session.id));
+  res.json({ success: true, message: 'Upload cancelled' });
+});
+
+// Delete a lesson by id. Other lessons stop listing it as a prerequisite.
+app.delete('/api/admin/modules/content', (req, res) => {
+  const { id, token } = req.body;
+  
+  if (!id || !token) {
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  
+  const content = db.moduleContent.get(id);
+  if (!content) {
+    return res.status(404).json({ error: 'Content not found' });
+  }
+  
+  removeLessonFiles(content);
+  
+  db.transaction(() => {
+    db.lessonRevisions.removeWhere({ lessonId: content.id });
+    db.moduleContent.remove(content.id);
+    db.moduleContent.find({ module: content.module }).forEach(item => {
+      if ((item.prerequisites || []).includes(content.id)) {
+        db.moduleContent.put({ ...item, prerequisites: item.prerequisites.filter(p => p !== content.id) });
+      }
+    });
+  });
+  auditAdmin(req, auth, 'content.delete', 'content', content.id, content, null);
+  syncLessonKnowledge(content.id);
+  
+  res.json({ success: true, message: 'Content deleted successfully' });
+});
+
+// ============ COURSE STRUCTURE ============
+
+// Sections and lessons of one module, in order
+app.get('/api/admin/courses/:module', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.view');
+  if (!auth.ok) return;
+  res.json({ success: true, module: req.params.module, sections: courseOutline(req.params.module) });
+});
+
+// Add a section at the end of a module
+app.post('/api/admin/courses/:module/sections', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  if (!db.modules.get(req.params.module)) return res.status(404).json({ error: 'Module not found' });
+  const title = String(req.body.title || '').trim();
+  if (!title) return res.status(400).json({ error: 'Title is required' });
+  const section = db.transaction(() => createSection(req.params.module, title));
+  auditAdmin(req, auth, 'course.section_create', 'section', section.id, null, section);
+  res.json({ success: true, section });
+});
+
+// Rename a section
+app.post('/api/admin/courses/sections/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const section = db.sections.get(req.params.id);
+  if (!section) return res.status(404).json({ error: 'Section not found' });
+  const title = String(req.body.title || '').trim();
+  if (!title) return res.status(400).json({ error: 'Title is required' });
+  const updated = db.sections.put({ ...section, title, updatedAt: new Date().toISOString() });
+  auditAdmin(req, auth, 'course.section_update', 'section', section.id, section, updated);
+  res.json({ success: true, section: updated });
+});
+
+// Remove an empty section
+app.delete('/api/admin/courses/sections/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const section = db.sections.get(req.params.id);
+  if (!section) return res.status(404).json({ error: 'Section not found' });
+  if (db.moduleContent.count({ sectionId: section.id }) > 0) {
+    return res.status(409).json({ error: 'Move or delete the lessons in this section first' });
+  }
+  db.sections.remove(section.id);
+  auditAdmin(req, auth, 'course.section_delete', 'section', section.id, section, null);
+  res.json({ success: true, message: 'Section deleted' });
+});
+
+// Replace the order of sections and lessons in one go:
+//   { sections: [{ id, lessons: [lessonId, ...] }, ...] }
+// Every section and lesson of the module must be listed exactly once, so an
+// admin working from a stale copy gets a 409 instead of losing someone else's
+// changes.
+app.post('/api/admin/courses/:module/reorder', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const module = req.params.module;
+  const layout = req.body.sections;
+  if (!Array.isArray(layout)) return res.status(400).json({ error: 'sections must be an array' });
+
+  const sameSet = (a, b) => a.length === b.length && new Set(a).size === a.length && a.every(id => b.includes(id));
+  const sectionIds = moduleSections(module).map(section => section.id);
+  const lessonIds = moduleItems(module, true).map(item => item.id);
+  const listedSections = layout.map(entry => String(entry && entry.id));
+  const listedLessons = [].concat(...layout.map(entry => (Array.isArray(entry && entry.lessons) ? entry.lessons.map(String) : [])));
+  if (!sameSet(listedSections, sectionIds) || !sameSet(listedLessons, lessonIds)) {
+    return res.status(409).json({ error: 'The course has changed since it was loaded. Reload and try again.' });
+  }
+
+  const before = courseOutline(module);
+  db.transaction(() => {
+    layout.forEach((entry, sectionPosition) => {
+      db.sections.put({ ...db.sections.get(entry.id), position: sectionPosition });
+      entry.lessons.forEach((lessonId, position) => {
+        db.moduleContent.put({ ...db.moduleContent.get(lessonId), sectionId: entry.id, position });
+      });
+    });
+  });
+  const order = outline => outline.map(section => ({ id: section.id, lessons: section.lessons.map(item => item.id) }));
+  const sections = courseOutline(module);
+  auditAdmin(req, auth, 'course.reorder', 'module', module, { sections: order(before) }, { sections: order(sections) });
+  res.json({ success: true, sections });
+});
+
+// Edit a lesson's title, description, section and unlock rules without
+// re-uploading its file. Moving it to another section appends it there.
+app.post('/api/admin/lessons/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const lesson = db.moduleContent.get(req.params.id);
+  if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+  const settings = parseLessonSettings(lesson.module, req.body, lesson.id);
+  if (settings.error) return res.status(400).json({ error: settings.error });
+
+  const updated = db.transaction(() => {
+    const next = { ...lesson, ...settings.fields, updatedAt: new Date().toISOString() };
+    if (next.sectionId !== lesson.sectionId) next.position = nextLessonPosition(next.sectionId);
+    return db.moduleContent.put(next);
+  });
+  auditAdmin(req, auth, 'content.update', 'content', lesson.id, lesson, updated);
+  syncLessonKnowledge(lesson.id);
+  res.json({ success: true, lesson: updated });
+});
+
+// Re-run video processing, e.g. after installing ffmpeg or a failed encode
+app.post('/api/admin/lessons/:id/process-media', async (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const lesson = db.moduleContent.get(req.params.id);
+  if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+  if (lesson.type !== 'video') return res.status(400).json({ error: 'Only videos are processed' });
+  const file = path.join(UPLOAD_DIR, path.basename(lesson.filename));
+  if (!fs.existsSync(file)) return res.status(404).json({ error: 'File not found' });
+
+  const info = await describeVideo(lesson.id, file);
+  const updated = updateLessonMedia(lesson.id, { ...info, error: info.error || undefined });
+  if (!updated) return res.status(404).json({ error: 'Lesson not found' });
+  auditAdmin(req, auth, 'content.process_media', 'content', lesson.id, { media: lesson.media }, { media: updated.media });
+  if (info.status === 'processing') encodeLowRendition(lesson.id, file);
+  res.json({ success: true, lesson: updated });
+});
+
+// Upload a new revision of a lesson's file, of the same type. It is published
+// straight away unless sent as a draft or with publishAt; the file it replaces
+// is kept for rollback. major flags trainees who finished an earlier revision.
+app.post('/api/admin/lessons/:id/file', upload.single('file'), async (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) {
+    if (req.file) discardFile(req.file.path);
+    return;
+  }
+  if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+  const lesson = db.moduleContent.get(req.params.id);
+  if (!lesson) {
+    discardFile(req.file.path);
+    return res.status(404).json({ error: 'Lesson not found' });
+  }
+  let packageInfo;
+  let revision;
+  let schedule;
+  try {
+    const format = sniffFileType(req.file.path);
+    if (!format || format.type !== lesson.type) {
+      discardFile(req.file.path);
+      return res.status(400).json({ error: 'The file is not a valid ' + lesson.type.toUpperCase() + (format ? ' (it looks like a ' + format.type.toUpperCase() + ')' : '') });
+    }
+    schedule = parsePublishAt(req.body.publishAt);
+    if (schedule.error) {
+      discardFile(req.file.path);
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const filePath = req.file.path;
+    let pageCount;
+    if (lesson.type === 'pdf') {
+      try {
+        const parsed = await pdfParse(fs.readFileSync(filePath));
+        if (parsed && parsed.numpages) pageCount = parsed.numpages;
+      } catch (e) {
+        console.error('Error reading PDF page count:', e);
+      }
+    }
+
+    if (!db.moduleContent.get(lesson.id)) {
+      discardFile(filePath);
+      return res.status(404).json({ error: 'Lesson not found' });
+    }
+    const now = new Date().toISOString();
+    const number = Math.max(0, ...lessonRevisions(lesson.id).map(r => r.number)) + 1;
+    if (lesson.type === 'package') {
+      try {
+        packageInfo = await unpackLesson(filePath, lesson.id, number);
+      } catch (err) {
+        discardFile(filePath);
+        return res.status(400).json({ error: err.message });
+      }
+    }
+    revision = revisionFromLesson({
+      id: lesson.id,
+      filename: path.basename(filePath),
+      originalName: req.file.originalname,
+      mimeType: format.mime,
+      size: req.file.size,
+      pageCount,
+      package: packageInfo,
+      uploadedAt: now
+    }, number, {
+      major: req.body.major === true || req.body.major === 'true',
+      notes: String(req.body.notes || '').trim(),
+      status: 'draft',
+      publishAt: schedule.publishAt,
+      createdBy: auth.admin.email
+    });
+    db.transaction(() => {
+      db.lessonRevisions.put(revision);
+      auditAdmin(req, auth, 'content.replace', 'content', lesson.id, null, revision);
+    });
+  } catch (err) {
+    console.error('Error saving lesson revision:', err);
+    discardFile(req.file.path);
+    discardPackage(packageInfo);
+    return res.status(500).json({ error: 'The new file could not be saved. Please try again.' });
+  }
+
+  if (req.body.draft === true || req.body.draft === 'true' || schedule.publishAt) {
+    return res.json({ success: true, lesson, revision });
+  }
+  try {
+    const result = await publishRevision(req, auth, revision);
+    if (!result) return res.status(404).json({ error: 'Lesson not found' });
+    res.json({ success: true, lesson: result.lesson, revision: db.lessonRevisions.get(revision.id), flagged: result.flagged });
+  } catch (err) {
+    console.error('Error publishing lesson revision:', err);
+    res.status(500).json({ error: 'The file was saved as draft revision ' + revision.number + ' but could not be published', revision });
+  }
+});
+
+// Read the lesson's document into the AI knowledge base again, e.g. after a
+// failed attempt or installing the OCR tools
+app.post('/api/admin/lessons/:id/ai-index', async (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const lesson = db.moduleContent.get(req.params.id);
+  if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+  if (!lessonIndexed(lesson)) return res.status(400).json({ error: 'AI indexing is off for this lesson' });
+
+  try {
+    await syncLessonKnowledge(lesson.id, true);
+  } catch (err) {
+    console.error('Error indexing lesson:', err);
+    return res.status(500).json({ error: 'The lesson could not be indexed. Please try again.' });
+  }
+  const updated = db.moduleContent.get(lesson.id);
+  if (!updated) return res.status(404).json({ error: 'Lesson not found' });
+  auditAdmin(req, auth, 'content.ai_index', 'content', lesson.id, { ai: lesson.ai }, { ai: updated.ai });
+  res.json({ success: true, lesson: updated });
+});
+
+// Publish a draft lesson now, or at publishAt. publishAt: null keeps it a
+// draft and cancels a scheduled publication.
+app.post('/api/admin/lessons/:id/publish', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const lesson = db.moduleContent.get(req.params.id);
+  if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+  if (isLessonPublished(lesson)) return res.status(409).json({ error: 'This lesson is already published' });
+  const body = req.body || {};
+  const schedule = parsePublishAt(body.publishAt);
+  if (schedule.error) return res.status(400).json({ error: schedule.error });
+
+  if (body.publishAt === null || (schedule.publishAt && schedule.publishAt > new Date().toISOString())) {
+    const updated = db.moduleContent.put({ ...lesson, publishAt: schedule.publishAt, updatedAt: new Date().toISOString() });
+    auditAdmin(req, auth, 'content.schedule', 'content', lesson.id, { publishAt: lesson.publishAt || null }, { publishAt: updated.publishAt });
+    return res.json({ success: true, lesson: updated });
+  }
+  res.json({ success: true, lesson: publishLesson(req, auth, lesson) });
+});
+
+// Every revision of a lesson, newest first, and the trainees still flagged
+// for a major revision
+app.get('/api/admin/lessons/:id/revisions', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.view');
+  if (!auth.ok) return;
+  const lesson = db.moduleContent.get(req.params.id);
+  if (!lesson) return res.status(404).json({ error: 'Lesson not found' });
+  const outdated = db.itemProgress.find({ itemId: lesson.id })
+    .filter(record => record.reviewRevision)
+    .map(record => ({ email: record.email, completedRevision: record.previousRevision || record.completedRevision || 1, flaggedAt: record.flaggedAt }));
+  res.json({ success: true, lesson, revisions: lessonRevisions(lesson.id), outdated });
+});
+
+// Download any revision's file, e.g. to check a draft before publishing it
+app.get('/api/admin/lessons/:id/revisions/:number/file', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.view');
+  if (!auth.ok) return;
+  const revision = db.lessonRevisions.findOne({ lessonId: req.params.id, number: Number(req.params.number) });
+  if (!revision) return res.status(404).json({ error: 'Revision not found' });
+  const filePath = path.join(UPLOAD_DIR, path.basename(revision.filename));
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'File not found' });
+  res.setHeader('Cache-Control', 'private, no-store');
+  const downloadName = String(revision.originalName || revision.filename).replace(/[^\w. -]/g, '_');
+  res.sendFile(filePath, { headers: { 'Content-Disposition': 'inline; filename="' + downloadName + '"' } });
+});
+
+// Publish a draft revision, or roll back to an archived one, now or at
+// publishAt. major (default: as uploaded) flags trainees who finished an
+// earlier revision. publishAt: null cancels a scheduled publication.
+app.post('/api/admin/lessons/:id/revisions/:number/publish', async (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const revision = db.lessonRevisions.findOne({ lessonId: req.params.id, number: Number(req.params.number) });
+  if (!revision) return res.status(404).json({ error: 'Revision not found' });
+  if (revision.status === 'current') return res.status(409).json({ error: 'This revision is already the published one' });
+  const body = req.body || {};
+  const schedule = parsePublishAt(body.publishAt);
+  if (schedule.error) return res.status(400).json({ error: schedule.error });
+  const major = body.major === undefined ? undefined : body.major === true || body.major === 'true';
+
+  if (body.publishAt === null || (schedule.publishAt && schedule.publishAt > new Date().toISOString())) {
+    const updated = { ...revision, publishAt: schedule.publishAt };
+    if (major !== undefined) updated.major = major;
+    db.lessonRevisions.put(updated);
+    auditAdmin(req, auth, 'content.schedule', 'content', revision.lessonId,
+      { revision: revision.number, publishAt: revision.publishAt }, { revision: updated.number, publishAt: updated.publishAt, major: updated.major });
+    return res.json({ success: true, revision: updated });
+  }
+  try {
+    const result = await publishRevision(req, auth, revision, major);
+    if (!result) return res.status(404).json({ error: 'Lesson not found' });
+    res.json({ success: true, lesson: result.lesson, flagged: result.flagged });
+  } catch (err) {
+    console.error('Error publishing lesson revision:', err);
+    res.status(500).json({ error: 'The revision could not be published. Please try again.' });
+  }
+});
+
+// Discard a draft or archived revision and its file
+app.delete('/api/admin/lessons/:id/revisions/:number', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const revision = db.lessonRevisions.findOne({ lessonId: req.params.id, number: Number(req.params.number) });
+  if (!revision) return res.status(404).json({ error: 'Revision not found' });
+  if (revision.status === 'current') return res.status(409).json({ error: 'The published revision cannot be deleted' });
+  db.lessonRevisions.remove(revision.id);
+  discardFile(path.join(UPLOAD_DIR, path.basename(revision.filename)));
+  discardPackage(revision.package);
+  auditAdmin(req, auth, 'content.revision_delete', 'content', revision.lessonId, revision, null);
+  res.json({ success: true, message: 'Revision deleted' });
+});
+
+// ============ ASSESSMENTS ============
+
+// List quizzes with answers (admin authoring view)
+app.get('/api/admin/quizzes', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.view');
+  if (!auth.ok) return;
+
+  const module = req.query.module;
+  const quizzes = module ? db.quizzes.find({ module }) : db.quizzes.all();
+  res.json({ success: true, quizzes });
+});
+
+// Create or update a quiz
+app.post('/api/admin/quizzes', (req, res) => {
+  const { quiz } = req.body || {};
+  if (!quiz) return res.status(400).json({ error: 'Missing required fields' });
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+
+  const existing = quiz.id ? db.quizzes.get(quiz.id) : null;
+  if (quiz.id && !existing) return res.status(404).json({ error: 'Quiz not found' });
+
+  const result = sanitizeQuiz(quiz, existing);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  db.quizzes.put(result.quiz);
+  auditAdmin(req, auth, existing ? 'quiz.update' : 'quiz.create', 'quiz', result.quiz.id, existing, result.quiz);
+  res.json({ success: true, quiz: result.quiz });
+});
+
+// Delete a quiz and its attempts
+app.delete('/api/admin/quizzes', (req, res) => {
+  const { id } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'Missing required fields' });
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+
+  const quiz = db.quizzes.get(id);
+  if (!quiz) return res.status(404).json({ error: 'Quiz not found' });
+  const attemptsRemoved = db.transaction(() => {
+    db.quizzes.remove(id);
+    return db.quizAttempts.removeWhere({ quizId: id });
+  });
+  auditAdmin(req, auth, 'quiz.delete', 'quiz', id, quiz, { attemptsRemoved });
+  res.json({ success: true, message: 'Quiz deleted' });
+});
+
+// Upload an image for a hotspot question
+app.post('/api/admin/quizzes/image', quizImageUpload.single('image'), (req, res) => {
+  const { token } = req.body || {};
+  if (!token || !req.file) {
+    if (req.file) fs.unlinkSync(req.file.path);
+    return res.status(400).json({ error: 'Missing required fields' });
+  }
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) {
+    fs.unlinkSync(req.file.path);
+    return;
+  }
+  auditAdmin(req, auth, 'quiz.image_upload', 'file', req.file.filename, null, { originalName: req.file.originalname, size: req.file.size });
+  res.json({ success: true, image: req.file.filename, url: '/api/admin/quizzes/images/' + req.file.filename });
+});
+
+// Preview a hotspot image in the quiz editor
+app.get('/api/admin/quizzes/images/:name', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.view');
+  if (!auth.ok) return;
+  const filePath = path.join(QUIZ_UPLOAD_DIR, path.basename(req.params.name));
+  if (!fs.existsSync(filePath)) return res.status(404).json({ error: 'Image not found' });
+  res.setHeader('Cache-Control', 'private, no-store');
+  res.sendFile(filePath);
+});
+
+// ---- Question drafts ----
+// Candidate questions drafted from a knowledge base document wait in
+// quizDrafts until an admin edits and approves them into a quiz, or discards
+// them. Prompts already drafted for a document are not drafted again.
+
+const MAX_DRAFTS_PER_REQUEST = 20;
+const DRAFT_STATUSES = ['pending', 'approved', 'discarded'];
+
+// Page or slide of the document a drafted question was taken from
+function draftSource(entryId, sourceText) {
+  const sentence = String(sourceText || '').replace(/\s+/g, ' ').trim();
+  if (!sentence) return null;
+  const passage = db.aiPassages.find({ entryId }).find(p => p.text.replace(/\s+/g, ' ').includes(sentence));
+  return { text: sentence, page: passage ? passage.page : null, unit: passage && passage.page ? passage.unit || 'page' : null };
+}
+
+function findPendingDraft(req, res) {
+  const draft = db.quizDrafts.get(req.params.id);
+  if (!draft) {
+    res.status(404).json({ error: 'Draft not found' });
+    return null;
+  }
+  if (draft.status !== 'pending') {
+    res.status(409).json({ error: 'This draft has already been ' + draft.status });
+    return null;
+  }
+  return draft;
+}
+
+// Draft questions from a knowledge base document into the review queue
+app.post('/api/admin/ai/knowledge/:id/drafts', async (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const entry = db.aiKnowledge.get(req.params.id);
+  if (!entry) return res.status(404).json({ error: 'Entry not found' });
+  const count = req.body.count === undefined ? 5 : parseInt(req.body.count, 10);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_DRAFTS_PER_REQUEST) {
+    return res.status(400).json({ error: 'Count must be between 1 and ' + MAX_DRAFTS_PER_REQUEST });
+  }
+
+  const exclude = db.quizDrafts.find({ entryId: entry.id }).map(draft => draft.question.prompt);
+  const { questions, generatedBy } = await quizgen.draftQuestions({ title: entry.title, text: entry.text || '', count, exclude });
+  const now = new Date().toISOString();
+  const drafts = db.transaction(() => questions.map(({ sourceText, ...question }) => db.quizDrafts.put({
+    id: randomBytes(8).toString('hex'),
+    entryId: entry.id,
+    entryTitle: entry.title,
+    module: entry.module || null,
+    question,
+    source: draftSource(entry.id, sourceText),
+    generatedBy,
+    status: 'pending',
+    createdBy: auth.admin.email,
+    createdAt: now
+  })));
+  auditAdmin(req, auth, 'quiz.draft_generate', 'knowledge', entry.id, null, { count: drafts.length, generatedBy });
+  res.json({
+    success: true,
+    generatedBy,
+    drafts,
+    message: drafts.length ? undefined : 'No more questions could be drafted from this document'
+  });
+});
+
+// Review queue, newest first
+app.get('/api/admin/quiz-drafts', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.view');
+  if (!auth.ok) return;
+  const status = req.query.status || 'pending';
+  if (status !== 'all' && !DRAFT_STATUSES.includes(status)) return res.status(400).json({ error: 'Unknown status' });
+
+  let drafts = status === 'all' ? db.quizDrafts.all() : db.quizDrafts.find({ status });
+  if (req.query.entryId) drafts = drafts.filter(draft => draft.entryId === req.query.entryId);
+  drafts.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+  res.json({ success: true, drafts });
+});
+
+// Edit a pending draft's prompt and options
+app.post('/api/admin/quiz-drafts/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const draft = findPendingDraft(req, res);
+  if (!draft) return;
+  const input = req.body.question || {};
+  if (input.type === 'hotspot') return res.status(400).json({ error: 'Drafts are multiple-choice questions' });
+  const checked = sanitizeQuestion(input, 'Question');
+  if (checked.error) return res.status(400).json({ error: checked.error });
+
+  const { id, correct, options, ...rest } = checked.question;
+  const question = { ...rest, options: options.map(option => ({ text: option.text, correct: correct.includes(option.id) })) };
+  const updated = db.quizDrafts.put({ ...draft, question, updatedAt: new Date().toISOString() });
+  auditAdmin(req, auth, 'quiz.draft_update', 'quizDraft', draft.id, draft, updated);
+  res.json({ success: true, draft: updated });
+});
+
+// Add a draft to an existing quiz ({ quizId }) or to a new one ({ module, title })
+app.post('/api/admin/quiz-drafts/:id/approve', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const draft = findPendingDraft(req, res);
+  if (!draft) return;
+  const { quizId, module, title } = req.body || {};
+
+  let quiz;
+  let before = null;
+  if (quizId) {
+    before = db.quizzes.get(quizId);
+    if (!before) return res.status(404).json({ error: 'Quiz not found' });
+    const checked = sanitizeQuestion(draft.question, 'Question');
+    if (checked.error) return res.status(400).json({ error: checked.error });
+    quiz = { ...before, questions: before.questions.concat(checked.question), updatedAt: new Date().toISOString() };
+  } else {
+    const result = sanitizeQuiz({ module: module || draft.module, title, questions: [draft.question] });
+    if (result.error) return res.status(400).json({ error: result.error });
+    quiz = result.quiz;
+  }
+
+  const question = quiz.questions[quiz.questions.length - 1];
+  const updated = db.transaction(() => {
+    db.quizzes.put(quiz);
+    return db.quizDrafts.put({
+      ...draft,
+      status: 'approved',
+      quizId: quiz.id,
+      questionId: question.id,
+      reviewedBy: auth.admin.email,
+      reviewedAt: new Date().toISOString()
+    });
+  });
+  auditAdmin(req, auth, before ? 'quiz.update' : 'quiz.create', 'quiz', quiz.id, before, quiz);
+  auditAdmin(req, auth, 'quiz.draft_approve', 'quizDraft', draft.id, draft, updated);
+  res.json({ success: true, draft: updated, quiz });
+});
+
+app.post('/api/admin/quiz-drafts/:id/discard', (req, res) => {
+  const auth = requireAdmin(req, res, 'content.manage');
+  if (!auth.ok) return;
+  const draft = findPendingDraft(req, res);
+  if (!draft) return;
+  const updated = db.quizDrafts.put({ ...draft, status: 'discarded', reviewedBy: auth.admin.email, reviewedAt: new Date().toISOString() });
+  auditAdmin(req, auth, 'quiz.draft_discard', 'quizDraft', draft.id, draft, updated);
+  res.json({ success: true, draft: updated });
+});
+
+// Trainee: quizzes for a module with attempt summary
+app.get('/api/quizzes', (req, res) => {
+  const { token, module } = req.query;
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { email } = auth;
+
+  const cycleStarts = quizCycleStarts(email);
+  const quizzes = (module ? db.quizzes.find({ module }) : db.quizzes.all())
+    .filter(q => isModuleVisible(q.module))
+    .map(q => {
+      const attempts = currentQuizAttempts(email, q, cycleStarts);
+      const submitted = attempts.filter(a => a.submittedAt);
+      return {
+        id: q.id,
+        module: q.module,
+        title: q.title,
+        questionCount: q.questions.length,
+        passThreshold: q.passThreshold,
+        maxAttempts: q.maxAttempts,
+        attemptsUsed: attempts.length,
+        bestScore: submitted.length ? Math.max(...submitted.map(a => a.score)) : null,
+        passed: submitted.some(a => a.passed),
+        inProgress: attempts.some(a => !a.submittedAt)
+      };
+    });
+  res.json({ success: true, quizzes });
+});
+
+// Trainee: start (or resume) an attempt
+app.post('/api/quizzes/start', (req, res) => {
+  const { token, quizId } = req.body || {};
+  if (!token || !quizId) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { email } = auth;
+
+  const quiz = db.quizzes.get(quizId);
+  if (!quiz || !isModuleVisible(quiz.module)) return res.status(404).json({ error: 'Quiz not found' });
+
+  const attempts = currentQuizAttempts(email, quiz, quizCycleStarts(email));
+  let attempt = attempts.find(a => !a.submittedAt);
+  if (!attempt) {
+    if (attempts.some(a => a.passed)) return res.status(409).json({ error: 'You have already passed this quiz' });
+    if (attempts.length >= quiz.maxAttempts) return res.status(403).json({ error: 'No attempts remaining' });
+
+    const questionIds = quiz.questions.map(q => q.id);
+    const optionOrder = {};
+    quiz.questions.forEach(q => {
+      if (q.options) optionOrder[q.id] = shuffle(q.options.map(o => o.id));
+    });
+    attempt = {
+      id: randomBytes(8).toString('hex'),
+      quizId: quiz.id,
+      email,
+      number: attempts.length + 1,
+      questionOrder: quiz.shuffleQuestions ? shuffle(questionIds) : questionIds,
+      optionOrder,
+      startedAt: new Date().toISOString()
+    };
+    db.quizAttempts.put(attempt);
+  }
+
+  const questions = attempt.questionOrder
+    .map(id => quiz.questions.find(q => q.id === id))
+    .filter(Boolean)
+    .map(q => publicQuestion(q, attempt));
+
+  res.json({
+    success: true,
+    attempt: {
+      id: attempt.id,
+      number: attempt.number,
+      maxAttempts: quiz.maxAttempts,
+      passThreshold: quiz.passThreshold,
+      title: quiz.title,
+      questions
+    }
+  });
+});
+
+// Trainee: submit answers for server-side grading
+app.post('/api/quizzes/submit', (req, res) => {
+  const { token, attemptId, answers } = req.body || {};
+  if (!token || !attemptId || !answers || typeof answers !== 'object') {
+    return res.status(400).json({ error: 'Missing fields' });
+  }
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { email } = auth;
+
+  const attempt = db.quizAttempts.get(attemptId);
+  if (!attempt || attempt.email !== email) return res.status(404).json({ error: 'Attempt not found' });
+  if (attempt.submittedAt) return res.status(409).json({ error: 'Attempt already submitted' });
+  // The module may have been hidden since the attempt started
+  const quiz = db.quizzes.get(attempt.quizId);
+  if (!quiz || !isModuleVisible(quiz.module)) return res.status(404).json({ error: 'Quiz not found' });
+
+  const questions = attempt.questionOrder
+    .map(id => quiz.questions.find(q => q.id === id))
+    .filter(Boolean);
+  const results = questions.map(q => ({ questionId: q.id, correct: gradeAnswer(q, answers[q.id]) }));
+  const correctCount = results.filter(r => r.correct).length;
+  const score = questions.length ? Math.round((correctCount / questions.length) * 100) : 0;
+
+  attempt.answers = answers;
+  attempt.score = score;
+  attempt.passed = score >= quiz.passThreshold;
+  attempt.submittedAt = new Date().toISOString();
+  const certificates = db.transaction(() => {
+    db.quizAttempts.put(attempt);
+    return issueCertificates(email);
+  });
+
+  res.json({
+    success: true,
+    score,
+    passed: attempt.passed,
+    passThreshold: quiz.passThreshold,
+    attemptsRemaining: Math.max(0, quiz.maxAttempts - currentQuizAttempts(email, quiz, quizCycleStarts(email)).length),
+    results,
+    progress: computeModuleProgress(email),
+    certificates: certificates.map(publicCertificate)
+  });
+});
+
+// ============ CERTIFICATES ============
+
+// Trainee: own certificates
+app.get('/api/certificates', (req, res) => {
+  const token = req.query.token;
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { email } = auth;
+
+  const certificates = db.certificates.find({ email }).map(publicCertificate);
+  res.json({ success: true, certificates });
+});
+
+// Download a certificate PDF (owner or admin)
+app.get('/api/certificates/:id/pdf', (req, res) => {
+  const token = req.query.token;
+  if (!token) return res.status(400).json({ error: 'Missing token' });
+  const cert = db.certificates.get(req.params.id);
+  if (!cert) return res.status(404).json({ error: 'Certificate not found' });
+
+  const userSession = getSession(token, 'user');
+  const isOwner = !!userSession && userSession.email === cert.email;
+  const adminSession = !isOwner && getSession(token, 'admin');
+  const admin = adminSession && db.admins.get(adminSession.email);
+  const isAdmin = !!admin && hasPermission(admin, 'certificates.view') && inAdminScope(admin, cert.hospital);
+  if (!isOwner && !isAdmin) return res.status(401).json({ error: 'Unauthorized' });
+  if (cert.revokedAt && !isAdmin) return res.status(410).json({ error: 'Certificate has been revoked' });
+
+  renderCertificatePdf(cert, res);
+});
+
+// Public: confirm a certificate is genuine
+app.get('/api/certificates/:id/verify', (req, res) => {
+  const cert = db.certificates.get(String(req.params.id).toUpperCase());
+  if (!cert) return res.status(404).json({ success: false, valid: false, error: 'Certificate not found' });
+
+  const signatureValid = verifyCertificateSignature(cert);
+  res.json({
+    success: true,
+    valid: signatureValid && !cert.revokedAt,
+    signatureValid,
+    revoked: !!cert.revokedAt,
+    revokedAt: cert.revokedAt || undefined,
+    revokedReason: cert.revokedReason || undefined,
+    certificate: {
+      id: cert.id,
+      name: cert.name,
+      serial: cert.serial,
+      hospital: cert.hospital,
+      module: cert.moduleName,
+      completedAt: cert.completedAt,
+      issuedAt: cert.issuedAt
+    }
+  });
+});
+
+// Admin: list all certificates
+app.get('/api/admin/certificates', (req, res) => {
+  const auth = requireAdmin(req, res, 'certificates.view');
+  if (!auth.ok) return;
+
+  const certificates = db.certificates.all()
+    .filter(c => inAdminScope(auth.admin, c.hospital))
+    .map(c => ({ ...publicCertificate(c), revokedBy: c.revokedBy || undefined }))
+    .sort((a, b) => String(b.issuedAt).localeCompare(String(a.issuedAt)));
+  res.json({ success: true, certificates });
+});
+
+// Admin: revoke a certificate
+app.post('/api/admin/certificates/revoke', (req, res) => {
+  const { id, reason } = req.body || {};
+  if (!id) return res.status(400).json({ error: 'Missing fields' });
+  const auth = requireAdmin(req, res, 'certificates.manage');
+  if (!auth.ok) return;
+
+  const cert = db.certificates.get(id);
+  if (!cert) return res.status(404).json({ error: 'Certificate not found' });
+  if (cert.revokedAt) return res.status(409).json({ error: 'Certificate already revoked' });
+  const before = auditSnapshot(cert);
+  cert.revokedAt = new Date().toISOString();
+  cert.revokedReason = reason || 'Revoked by admin';
+  cert.revokedBy = auth.admin.email;
+  db.certificates.put(cert);
+  auditAdmin(req, auth, 'certificate.revoke', 'certificate', id, before, auditSnapshot(cert));
+  res.json({ success: true, message: 'Certificate revoked' });
+});
+
+// ============ TRAINING ASSIGNMENTS ============
+// Admins assign a module, or some of its lessons, to one user or to everyone
+// at a hospital, due by a date. With recertifyMonths the training must be
+// done again that many months after each completion. Statuses are computed
+// from progress records on demand rather than stored.
+
+// 'empty' is an assignment whose lessons and quizzes have all been deleted or
+// unpublished: there is nothing to do, so it neither counts as done nor as due.
+const ASSIGNMENT_STATUSES = ['not_started', 'in_progress', 'overdue', 'compliant', 'empty'];
+// Reminders go out this many days before a due date, and a refresher can be
+// done this long before the previous completion expires
+const ASSIGNMENT_REMINDER_DAYS = Number(process.env.ASSIGNMENT_REMINDER_DAYS) || 14;
+const MAX_RECERTIFY_MONTHS = 120;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function addMonths(iso, months) {
+  const date = new Date(iso);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  return date.toISOString();
+}
+
+// The lessons and quizzes an assignment asks for. Lessons deleted since the
+// assignment was made drop out.
+function assignmentPieces(assignment) {
+  if (assignment.lessonIds) {
+    return {
+      items: assignment.lessonIds.map(id => db.moduleContent.get(id))
+        .filter(item => item && item.module === assignment.module && isLessonPublished(item)),
+      quizzes: []
+    };
+  }
+  return { items: moduleItems(assignment.module), quizzes: db.quizzes.find({ module: assignment.module }) };
+}
+
+function assignmentTitle(assignment) {
+  if (!assignment.lessonIds) return moduleName(assignment.module);
+  const items = assignmentPieces(assignment).items;
+  return items.length === 1
+    ? items[0].title + ' (' + moduleName(assignment.module) + ')'
+    : items.length + ' lessons in ' + moduleName(assignment.module);
+}
+
+function assignmentLink(assignment) {
+  const lessons = assignment.lessonIds || [];
+  return '/dashboard.html?module=' + encodeURIComponent(assignment.module) +
+    (lessons.length === 1 ? '&lesson=' + encodeURIComponent(lessons[0]) : '');
+}
+
+// Users an assignment applies to: the named user, or the approved trainees
+// of the hospital
+function assignmentUsers(assignment) {
+  if (assignment.email) {
+    const user = db.users.get(assignment.email);
+    return user ? [normalizeUserStatus(user)] : [];
+  }
+  return activeTrainees().filter(u => normalizeHospital(u.hospital) === normalizeHospital(assignment.hospital));
+}
+
+// The assignments, of all or of the given ones, that apply to a user
+function assignmentsFor(user, assignments) {
+  return (assignments || db.assignments.all()).filter(a => a.email
+    ? a.email === user.email
+    : normalizeHospital(a.hospital) === normalizeHospital(user.hospital));
+}
+
+// How much of an assignment a trainee has done since `since` (any time when
+// null). A lesson finished before `since` must be finished again (see
+// restartedProgress) and a quiz passed again.
+// completedAt is when the last piece was done.
+function cycleProgress(pieces, records, attempts, since) {
+  const after = at => !!at && (!since || at >= since);
+  let started = false;
+  const stamps = pieces.items.map(item => {
+    const record = records[item.id];
+    if (!record) return null;
+    if (after(record.lastOpenedAt || record.openedAt)) started = true;
+    return itemCompletions(record).find(after) || null;
+  });
+  pieces.quizzes.forEach(quiz => {
+    const own = attempts.filter(a => a.quizId === quiz.id);
+    if (own.some(a => after(a.startedAt))) started = true;
+    stamps.push(own.filter(a => a.passed && after(a.submittedAt)).map(a => a.submittedAt).sort()[0] || null);
+  });
+  const done = stamps.filter(Boolean);
+  return {
+    done: done.length,
+    started,
+    completedAt: done.length === stamps.length ? done.sort().pop() : null
+  };
+}
+
+// A trainee's standing on one assignment: status, the date the current cycle
+// is due, the last full completion and, with recertification, how long that
+// completion stays valid. renewing marks a compliant trainee whose refresher
+// window is open but not yet done.
+function assignmentStatus(assignment, email, records, attempts) {
+  const pieces = assignmentPieces(assignment);
+  const total = pieces.items.length + pieces.quizzes.length;
+  const now = new Date().toISOString();
+  const result = {
+    status: 'not_started',
+    dueDate: assignment.dueDate,
+    completedAt: null,
+    validUntil: null,
+    renewing: false,
+    done: 0,
+    total
+  };
+  if (total === 0) return { ...result, status: 'empty' };
+
+  let cycle = cycleProgress(pieces, records, attempts, null);
+  let due = assignment.dueDate + 'T23:59:59.999Z';
+  // Follow the chain of recertifications up to the current cycle
+  while (cycle.completedAt && assignment.recertifyMonths) {
+    result.completedAt = cycle.completedAt;
+    due = addMonths(cycle.completedAt, assignment.recertifyMonths);
+    const since = new Date(Date.parse(due) - ASSIGNMENT_REMINDER_DAYS * DAY_MS).toISOString();
+    const next = cycleProgress(pieces, records, attempts, since);
+    if (next.completedAt && next.completedAt > cycle.completedAt) {
+      cycle = next;
+      continue;
+    }
+    result.validUntil = due;
+    result.dueDate = due.slice(0, 10);
+    if (now < due) {
+      result.renewing = now >= since;
+      return { ...result, status: 'compliant', done: result.renewing ? next.done : total };
+    }
+    return { ...result, status: 'overdue', done: next.done };
+  }
+  result.done = cycle.done;
+  if (cycle.completedAt) return { ...result, status: 'compliant', completedAt: cycle.completedAt };
+  if (now > due) return { ...result, status: 'overdue' };
+  return { ...result, status: cycle.started || cycle.done > 0 ? 'in_progress' : 'not_started' };
+}
+
+// Every assignment of a user with its status, and the user's overall status:
+// overdue if anything is, compliant if everything is, otherwise in progress
+// once any of it has been started. null without assignments or when all of
+// them are empty.
+function userCompliance(user, assignments) {
+  const mine = assignments || assignmentsFor(user);
+  if (mine.length === 0) return { status: null, assignments: [] };
+  const records = itemRecordsFor(user.email);
+  const attempts = db.quizAttempts.find({ email: user.email });
+  const list = mine.map(assignment => ({ assignment, ...assignmentStatus(assignment, user.email, records, attempts) }));
+  const statuses = list.map(entry => entry.status).filter(s => s !== 'empty');
+  if (statuses.length === 0) return { status: null, assignments: list };
+  let status = 'not_started';
+  if (statuses.includes('overdue')) status = 'overdue';
+  else if (statuses.every(s => s === 'compliant')) status = 'compliant';
+  else if (statuses.some(s => s !== 'not_started')) status = 'in_progress';
+  return { status, assignments: list };
+}
+
+// Module id -> when the earliest open refresher window of the user's
+// recertified module-wide assignments for it started. Computed once per
+// request and handed to currentQuizAttempts.
+function quizCycleStarts(email) {
+  const starts = {};
+  const user = db.users.get(email);
+  if (!user) return starts;
+  userCompliance(user, assignmentsFor(user).filter(a => !a.lessonIds && a.recertifyMonths)).assignments
+    .filter(entry => entry.renewing || (entry.status === 'overdue' && entry.validUntil))
+    .forEach(entry => {
+      const since = new Date(Date.parse(entry.validUntil) - ASSIGNMENT_REMINDER_DAYS * DAY_MS).toISOString();
+      const module = entry.assignment.module;
+      if (!starts[module] || since < starts[module]) starts[module] = since;
+    });
+  return starts;
+}
+
+// Attempts at a quiz that count now. An open refresher window for the
+// quiz's module starts the count again, so a trainee can retake a quiz
+// passed in an earlier cycle.
+function currentQuizAttempts(email, quiz, cycleStarts) {
+  const attempts = quizAttemptsFor(email, quiz.id);
+  const since = cycleStarts[quiz.module];
+  return since ? attempts.filter(a => a.startedAt >= since) : attempts;
+}
+
+// When the earliest open refresher window of a recertified assignment that
+// covers the lesson started, or null
+function lessonRenewalStart(email, item) {
+  const user = db.users.get(email);
+  if (!user) return null;
+  const covering = assignmentsFor(user)
+    .filter(a => a.recertifyMonths && assignmentPieces(a).items.some(piece => piece.id === item.id));
+  if (covering.length === 0) return null;
+  return userCompliance(user, covering).assignments
+    .filter(entry => entry.renewing || (entry.status === 'overdue' && entry.validUntil))
+    .map(entry => new Date(Date.parse(entry.validUntil) - ASSIGNMENT_REMINDER_DAYS * DAY_MS).toISOString())
+    .sort()[0] || null;
+}
+
+function publicAssignment(assignment) {
+  return {
+    ...assignment,
+    title: assignmentTitle(assignment),
+    moduleName: moduleName(assignment.module)
+  };
+}
+
+function inAssignmentScope(admin, assignment) {
+  if (assignment.hospital) return inAdminScope(admin, assignment.hospital);
+  const user = db.users.get(assignment.email);
+  return !!user && inAdminScope(admin, user.hospital);
+}
+
+// Validate an assignment from a request. Returns { fields } or { error }.
+// When updating, the target and module stay as they are.
+function parseAssignment(body, admin, existing) {
+  const fields = {};
+  if (!existing) {
+    const module = String(body.module || '');
+    if (!db.modules.get(module)) return { error: 'Module not found' };
+    if (!isModuleVisible(module)) return { error: 'Publish the module before assigning it' };
+    fields.module = module;
+
+    const email = String(body.email || '').trim();
+    const hospital = String(body.hospital || '').trim();
+    if ((email && hospital) || (!email && !hospital)) return { error: 'Assign to either a user email or a hospital' };
+    if (email) {
+      const user = db.users.get(email);
+      if (!user) return { error: 'User not found' };
+      if (!inAdminScope(admin, user.hospital)) return { error: 'You can only assign training to users from your own hospital' };
+      fields.email = user.email;
+      fields.hospital = null;
+    } else {
+      if (!inAdminScope(admin, hospital)) return { error: 'You can only assign training to your own hospital' };
+      fields.email = null;
+      fields.hospital = hospital;
+    }
+  }
+  const module = existing ? existing.module : fields.module;
+
+  if (!existing || body.lessonIds !== undefined) {
+    if (body.lessonIds === null || (Array.isArray(body.lessonIds) && body.lessonIds.length === 0) || body.lessonIds === undefined) {
+      fields.lessonIds = null;
+    } else if (!Array.isArray(body.lessonIds)) {
+      return { error: 'lessonIds must be a list' };
+    } else {
+      const ids = [...new Set(body.lessonIds.map(String))];
+      const unknown = ids.find(id => {
+        const item = db.moduleContent.get(id);
+        return !item || item.module !== module;
+      });
+      if (unknown) return { error: 'Lesson ' + unknown + ' is not in this module' };
+      fields.lessonIds = ids;
+    }
+  }
+  if (!existing || body.dueDate !== undefined) {
+    const dueDate = String(body.dueDate || '');
+    if (!DATE_PATTERN.test(dueDate) || isNaN(Date.parse(dueDate))) return { error: 'Due date must be a date (YYYY-MM-DD)' };
+    fields.dueDate = dueDate;
+  }
+  if (!existing || body.recertifyMonths !== undefined) {
+    if (body.recertifyMonths === null || body.recertifyMonths === '' || body.recertifyMonths === undefined) {
+      fields.recertifyMonths = null;
+    } else {
+      const months = Number(body.recertifyMonths);
+      if (!Number.isInteger(months) || months < 1 || months > MAX_RECERTIFY_MONTHS) {
+        return { error: 'Recertification interval must be 1 to ' + MAX_RECERTIFY_MONTHS + ' months' };
+      }
+      fields.recertifyMonths = months;
+    }
+  }
+  return { fields };
+}
+
+// Counts per status for a list of users' compliance entries
+function statusCounts(statuses) {
+  const counts = {};
+  ASSIGNMENT_STATUSES.forEach(status => { counts[status] = 0; });
+  statuses.forEach(status => { if (status) counts[status] += 1; });
+  return counts;
+}
+
+// Send due-soon and overdue reminders, once per trainee and due date
+function checkAssignmentDeadlines() {
+  const now = Date.now();
+  db.assignments.all().forEach(assignment => {
+    assignmentUsers(assignment).filter(user => isApproved(user)).forEach(user => {
+      const standing = assignmentStatus(assignment, user.email, itemRecordsFor(user.email), db.quizAttempts.find({ email: user.email }));
+      const dueIn = Date.parse((standing.validUntil || standing.dueDate + 'T23:59:59.999Z')) - now;
+      let event = null;
+      if (standing.status === 'empty') return;
+      if (standing.status === 'overdue') event = 'overdue';
+      else if ((standing.status !== 'compliant' || standing.renewing) && dueIn <= ASSIGNMENT_REMINDER_DAYS * DAY_MS) event = 'due_soon';
+      if (!event) return;
+      const id = [assignment.id, user.email, standing.dueDate, event].join(':');
+      if (db.assignmentNotices.get(id)) return;
+      db.assignmentNotices.put({ id, assignmentId: assignment.id, email: user.email, dueDate: standing.dueDate, event, sentAt: new Date().toISOString() });
+      notifications.emit('assignment.' + event, { assignmentId: assignment.id, email: user.email, dueDate: standing.dueDate });
+    });
+  });
+}
+
+// Trainee: assigned training with status, soonest due first
+app.get('/api/assignments', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const compliance = userCompliance(auth.user);
+  const assignments = compliance.assignments
+    .filter(standing => standing.status !== 'empty')
+    .map(({ assignment, ...standing }) => ({
+      id: assignment.id,
+      module: assignment.module,
+      moduleName: moduleName(assignment.module),
+      lessonIds: assignment.lessonIds,
+      title: assignmentTitle(assignment),
+      recertifyMonths: assignment.recertifyMonths,
+      ...standing
+    }))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+  res.json({ success: true, status: compliance.status, assignments });
+});
+
+// Assignments in the admin's scope with per-status counts, plus the modules
+// and lessons that can be assigned
+app.get('/api/admin/assignments', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+  const assignments = db.assignments.all()
+    .filter(a => inAssignmentScope(auth.admin, a))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .map(assignment => {
+      const statuses = assignmentUsers(assignment).map(user =>
+        assignmentStatus(assignment, user.email, itemRecordsFor(user.email), db.quizAttempts.find({ email: user.email })).status);
+      return { ...publicAssignment(assignment), users: statuses.length, counts: statusCounts(statuses) };
+    });
+  const modules = allModules().filter(m => m.visible).map(m => ({
+    id: m.id,
+    name: m.name,
+    lessons: moduleItems(m.id).map(item => ({ id: item.id, title: item.title }))
+  }));
+  res.json({ success: true, assignments, modules });
+});
+
+// Users' overall compliance grouped by hospital, least compliant first
+app.get('/api/admin/assignments/compliance', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+  const assignments = db.assignments.all();
+  const byHospital = {};
+  activeTrainees().filter(u => inAdminScope(auth.admin, u.hospital)).forEach(user => {
+    const mine = assignmentsFor(user, assignments);
+    const key = normalizeHospital(user.hospital);
+    if (!byHospital[key]) byHospital[key] = { hospital: user.hospital || '', users: 0, assigned: 0, statuses: [] };
+    const entry = byHospital[key];
+    entry.users += 1;
+    const status = mine.length ? userCompliance(user, mine).status : null;
+    if (!status) return;
+    entry.assigned += 1;
+    entry.statuses.push(status);
+  });
+  const hospitals = Object.values(byHospital)
+    .map(({ statuses, ...entry }) => ({
+      ...entry,
+      ...statusCounts(statuses),
+      compliantPercent: entry.assigned ? Math.round(statuses.filter(s => s === 'compliant').length / entry.assigned * 100) : null
+    }))
+    .sort((a, b) => (a.compliantPercent === null) - (b.compliantPercent === null) ||
+      (a.compliantPercent - b.compliantPercent) || a.hospital.localeCompare(b.hospital));
+  res.json({ success: true, hospitals });
+});
+
+// One assignment with the status of everyone it applies to
+app.get('/api/admin/assignments/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+  const assignment = db.assignments.get(req.params.id);
+  if (!assignment || !inAssignmentScope(auth.admin, assignment)) return res.status(404).json({ error: 'Assignment not found' });
+  const users = assignmentUsers(assignment).map(user => ({
+    email: user.email,
+    firstName: user.firstName,
+    lastName: user.lastName,
+    hospital: user.hospital,
+    ...assignmentStatus(assignment, user.email, itemRecordsFor(user.email), db.quizAttempts.find({ email: user.email }))
+  }));
+  res.json({ success: true, assignment: publicAssignment(assignment), users });
+});
+
+app.post('/api/admin/assignments', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+  const parsed = parseAssignment(req.body || {}, auth.admin, null);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const now = new Date().toISOString();
+  const assignment = {
+    id: randomBytes(8).toString('hex'),
+    ...parsed.fields,
+    createdBy: auth.admin.email,
+    createdAt: now,
+    updatedAt: now
+  };
+  db.assignments.put(assignment);
+  auditAdmin(req, auth, 'assignment.create', 'assignment', assignment.id, null, assignment);
+  res.json({ success: true, assignment: publicAssignment(assignment) });
+});
+
+// Change the lessons, due date or recertification interval
+app.post('/api/admin/assignments/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+  const before = db.assignments.get(req.params.id);
+  if (!before || !inAssignmentScope(auth.admin, before)) return res.status(404).json({ error: 'Assignment not found' });
+  const parsed = parseAssignment(req.body || {}, auth.admin, before);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const assignment = { ...before, ...parsed.fields, updatedAt: new Date().toISOString() };
+  db.assignments.put(assignment);
+  auditAdmin(req, auth, 'assignment.update', 'assignment', assignment.id, before, assignment);
+  res.json({ success: true, assignment: publicAssignment(assignment) });
+});
+
+app.delete('/api/admin/assignments/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.manage');
+  if (!auth.ok) return;
+  const assignment = db.assignments.get(req.params.id);
+  if (!assignment || !inAssignmentScope(auth.admin, assignment)) return res.status(404).json({ error: 'Assignment not found' });
+  db.transaction(() => {
+    db.assignmentNotices.removeWhere({ assignmentId: assignment.id });
+    db.assignments.remove(assignment.id);
+  });
+  auditAdmin(req, auth, 'assignment.delete', 'assignment', assignment.id, assignment, null);
+  res.json({ success: true, message: 'Assignment removed' });
+});
+
+// ============ ANALYTICS ============
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ANALYTICS_INTERVALS = ['day', 'week', 'month'];
+const MAX_SERIES_BUCKETS = 400;
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const average = values => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+const round1 = value => (value === null ? null : Math.round(value * 10) / 10);
+
+// Bucket an ISO date (or YYYY-MM-DD day) falls into: the day itself, the
+// Monday starting its week, or YYYY-MM. All in UTC.
+function periodKey(date, interval) {
+  const day = String(date).slice(0, 10);
+  if (interval === 'month') return day.slice(0, 7);
+  if (interval === 'week') {
+    const at = new Date(day + 'T00:00:00Z');
+    return new Date(at.getTime() - ((at.getUTCDay() + 6) % 7) * DAY_MS).toISOString().slice(0, 10);
+  }
+  return day;
+}
+
+// Every bucket key from one date to another, in order
+function periodKeys(from, to, interval) {
+  const keys = [];
+  let at = new Date(periodKey(from, interval).padEnd(10, '-01') + 'T00:00:00Z');
+  const last = periodKey(to, interval);
+  while (keys.length < MAX_SERIES_BUCKETS) {
+    const key = periodKey(at.toISOString(), interval);
+    if (key > last) break;
+    keys.push(key);
+    if (interval === 'month') at.setUTCMonth(at.getUTCMonth() + 1);
+    else at = new Date(at.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+  }
+  return keys;
+}
+
+// What the analytics endpoints aggregate: users in the admin's scope
+// (optionally one hospital), the approved ones among them as trainees with
+// their progress, and the modules asked for (all by default). Certificates
+// that were revoked don't count.
+function analyticsData(admin, query) {
+  const users = queryUsers(admin, { hospital: query.hospital });
+  const modules = allModules().filter(m => !query.module || m.id === query.module);
+  const trainees = users.filter(isApproved).map(user => ({
+    user,
+    progress: computeModuleProgress(user.email),
+    records: itemRecordsFor(user.email),
+    certificates: db.certificates.find({ email: user.email }).filter(c => !c.revokedAt),
+    attempts: db.quizAttempts.find({ email: user.email }).filter(a => a.submittedAt)
+  }));
+  return { users, modules, trainees };
+}
+
+// Days from registration to each module certificate
+function daysToCertificate(trainee, moduleIds) {
+  const registered = Date.parse(trainee.user.registeredAt);
+  if (isNaN(registered)) return [];
+  return trainee.certificates
+    .filter(c => moduleIds.includes(c.module))
+    .map(c => Math.max(0, (Date.parse(c.completedAt || c.issuedAt) - registered) / DAY_MS));
+}
+
+// Seconds a trainee spent on a module's lessons
+function moduleTime(trainee, items) {
+  return items.reduce((sum, item) => sum + ((trainee.records[item.id] || {}).timeSpent || 0), 0);
+}
+
+// Completion figures for one module over a group of trainees
+function moduleSummary(module, trainees) {
+  const items = moduleItems(module.id);
+  const quizIds = db.quizzes.find({ module: module.id }).map(q => q.id);
+  const started = trainees.filter(t => items.some(item => t.records[item.id]) || t.attempts.some(a => quizIds.includes(a.quizId)));
+  const completed = trainees.filter(t => t.progress[module.id] === 100);
+  const time = trainees.map(t => moduleTime(t, items));
+  return {
+    module: module.id,
+    name: module.name,
+    trainees: trainees.length,
+    started: started.length,
+    completed: completed.length,
+    certified: trainees.filter(t => t.certificates.some(c => c.module === module.id)).length,
+    completionRate: trainees.length ? Math.round((completed.length / trainees.length) * 100) : null,
+    averageProgress: round1(average(trainees.map(t => t.progress[module.id] || 0))),
+    medianDaysToCertificate: round1(median([].concat(...trainees.map(t => daysToCertificate(t, [module.id]))))),
+    timeSpent: time.reduce((sum, t) => sum + t, 0),
+    averageTimePerStarter: started.length ? Math.round(time.reduce((sum, t) => sum + t, 0) / started.length) : null
+  };
+}
+
+// When a trainee last worked on a lesson or submitted a quiz
+function lastActivity(trainee) {
+  const stamps = Object.values(trainee.records).map(r => r.updatedAt || r.lastOpenedAt || r.openedAt)
+    .concat(trainee.attempts.map(a => a.submittedAt));
+  return stamps.filter(Boolean).sort().pop() || null;
+}
+
+// Headline figures for the charts tab
+app.get('/api/admin/analytics/overview', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+
+  const { users, modules, trainees } = analyticsData(auth.admin, req.query);
+  const statuses = {};
+  users.forEach(u => { statuses[u.accountStatus] = (statuses[u.accountStatus] || 0) + 1; });
+  const since = new Date(Date.now() - 30 * DAY_MS).toISOString();
+  const moduleIds = modules.map(m => m.id);
+  res.json({
+    success: true,
+    users: users.length,
+    statuses,
+    trainees: trainees.length,
+    activeLast30Days: trainees.filter(t => (lastActivity(t) || '') >= since).length,
+    certificates: trainees.reduce((sum, t) => sum + t.certificates.filter(c => moduleIds.includes(c.module)).length, 0),
+    timeSpent: trainees.reduce((sum, t) => sum + modules.reduce((s, m) => s + moduleTime(t, moduleItems(m.id)), 0), 0),
+    medianDaysToCertificate: round1(median([].concat(...trainees.map(t => daysToCertificate(t, moduleIds))))),
+    modules: modules.map(m => moduleSummary(m, trainees))
+  });
+});
+
+// Per hospital and module: how far its trainees have got. Sorted with the
+// hospitals furthest behind first.
+app.get('/api/admin/analytics/hospitals', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+
+  const { users, modules, trainees } = analyticsData(auth.admin, req.query);
+  const groups = new Map();
+  users.forEach(u => {
+    const key = normalizeHospital(u.hospital);
+    if (!groups.has(key)) groups.set(key, { hospital: u.hospital || '(none)', users: 0, trainees: [] });
+    groups.get(key).users++;
+  });
+  trainees.forEach(t => groups.get(normalizeHospital(t.user.hospital)).trainees.push(t));
+
+  const hospitals = Array.from(groups.values()).map(group => {
+    const summaries = modules.map(m => moduleSummary(m, group.trainees));
+    return {
+      hospital: group.hospital,
+      users: group.users,
+      trainees: group.trainees.length,
+      averageProgress: round1(average(summaries.map(s => s.averageProgress).filter(v => v !== null))),
+      lastActivity: group.trainees.map(lastActivity).filter(Boolean).sort().pop() || null,
+      modules: summaries
+    };
+  }).sort((a, b) => (a.averageProgress === null) - (b.averageProgress === null) ||
+    (a.averageProgress - b.averageProgress) || a.hospital.localeCompare(b.hospital));
+  res.json({ success: true, modules: modules.map(m => ({ id: m.id, name: m.name })), hospitals });
+});
+
+// Per module completion, certification and time
+app.get('/api/admin/analytics/modules', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+
+  const { modules, trainees } = analyticsData(auth.admin, req.query);
+  res.json({ success: true, modules: modules.map(m => moduleSummary(m, trainees)) });
+});
+
+// Per lesson: who opened and finished it, how long they spent on it and, for
+// packages, the average score they reported. Lessons nobody has opened come first.
+app.get('/api/admin/analytics/content', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+
+  const { modules, trainees } = analyticsData(auth.admin, req.query);
+  const items = [].concat(...modules.map(m => moduleItems(m.id).map(item => ({ item, moduleName: m.name }))));
+  const content = items.map(({ item, moduleName }) => {
+    const records = trainees.map(t => t.records[item.id]).filter(r => r && r.openedAt);
+    const timeSpent = records.reduce((sum, r) => sum + (r.timeSpent || 0), 0);
+    const completed = records.filter(r => r.completedAt).length;
+    const scores = records.map(r => r.packageScore).filter(Number.isFinite);
+    return {
+      id: item.id,
+      title: item.title,
+      type: item.type,
+      module: item.module,
+      moduleName,
+      openedBy: records.length,
+      completedBy: completed,
+      openRate: trainees.length ? Math.round((records.length / trainees.length) * 100) : null,
+      completionRate: records.length ? Math.round((completed / records.length) * 100) : null,
+      timeSpent,
+      averageTime: records.length ? Math.round(timeSpent / records.length) : null,
+      averageScore: scores.length ? Math.round(scores.reduce((sum, score) => sum + score, 0) / scores.length) : null,
+      lastOpenedAt: records.map(r => r.lastOpenedAt || r.openedAt).sort().pop() || null
+    };
+  }).sort((a, b) => a.openedBy - b.openedBy || a.moduleName.localeCompare(b.moduleName));
+  res.json({ success: true, trainees: trainees.length, content });
+});
+
+// Signup cohorts by the week or month of registeredAt: how many of each
+// cohort completed every module and how long certification took them
+app.get('/api/admin/analytics/cohorts', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+  const interval = req.query.interval || 'month';
+  if (!ANALYTICS_INTERVALS.includes(interval)) return res.status(400).json({ error: 'Interval must be day, week or month' });
+
+  const { users, modules, trainees } = analyticsData(auth.admin, req.query);
+  const cohorts = new Map();
+  const cohortOf = user => (user.registeredAt ? periodKey(user.registeredAt, interval) : 'unknown');
+  users.forEach(u => {
+    const key = cohortOf(u);
+    if (!cohorts.has(key)) cohorts.set(key, { registered: 0, trainees: [] });
+    cohorts.get(key).registered++;
+  });
+  trainees.forEach(t => cohorts.get(cohortOf(t.user)).trainees.push(t));
+
+  const moduleIds = modules.map(m => m.id);
+  res.json({
+    success: true,
+    interval,
+    modules: modules.map(m => ({ id: m.id, name: m.name })),
+    cohorts: Array.from(cohorts.entries()).sort(([a], [b]) => a.localeCompare(b)).map(([cohort, group]) => ({
+      cohort,
+      registered: group.registered,
+      trainees: group.trainees.length,
+      certified: group.trainees.filter(t => t.certificates.some(c => moduleIds.includes(c.module))).length,
+      medianDaysToCertificate: round1(median([].concat(...group.trainees.map(t => daysToCertificate(t, moduleIds))))),
+      modules: modules.map(m => {
+        const completed = group.trainees.filter(t => t.progress[m.id] === 100).length;
+        return {
+          module: m.id,
+          completed,
+          completionRate: group.trainees.length ? Math.round((completed / group.trainees.length) * 100) : null
+        };
+      })
+    }))
+  });
+});
+
+// Activity per day, week or month between from and to (default: the last 90
+// days): signups, lessons started and completed, quiz attempts and passes,
+// certificates, active trainees and time spent
+app.get('/api/admin/analytics/timeseries', (req, res) => {
+  const auth = requireAdmin(req, res, 'users.view');
+  if (!auth.ok) return;
+  const interval = req.query.interval || 'day';
+  if (!ANALYTICS_INTERVALS.includes(interval)) return res.status(400).json({ error: 'Interval must be day, week or month' });
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+  const from = req.query.from ? new Date(req.query.from) : new Date(to.getTime() - 89 * DAY_MS);
+  if (isNaN(from) || isNaN(to) || from > to) return res.status(400).json({ error: 'Invalid date range' });
+
+  const { users, modules, trainees } = analyticsData(auth.admin, req.query);
+  const keys = periodKeys(from.toISOString(), to.toISOString(), interval);
+  const buckets = new Map(keys.map(key => [key, {
+    period: key, signups: 0, lessonsStarted: 0, lessonsCompleted: 0, quizAttempts: 0, quizzesPassed: 0,
+    certificates: 0, timeSpent: 0, active: new Set()
+  }]));
+  const add = (date, field, amount, email) => {
+    const bucket = date && buckets.get(periodKey(date, interval));
+    if (!bucket) return;
+    bucket[field] += amount;
+    if (email) bucket.active.add(email);
+  };
+
+  const moduleIds = modules.map(m => m.id);
+  const quizIds = new Set(db.quizzes.all().filter(q => moduleIds.includes(q.module)).map(q => q.id));
+  users.forEach(u => add(u.registeredAt, 'signups', 1));
+  trainees.forEach(t => {
+    const email = t.user.email;
+    Object.values(t.records).filter(r => moduleIds.includes(r.module)).forEach(r => {
+      add(r.openedAt, 'lessonsStarted', 1, email);
+      add(r.completedAt, 'lessonsCompleted', 1, email);
+      Object.entries(r.timeByDay || {}).forEach(([day, seconds]) => add(day, 'timeSpent', seconds, email));
     });
-  }
-  if (isRestricted(user)) {
-    return res.status(403).json({
-      error: 'Your account has been restricted by an administrator. Please contact support.'
+    t.attempts.filter(a => quizIds.has(a.quizId)).forEach(a => {
+      add(a.submittedAt, 'quizAttempts', 1, email);
+      if (a.passed) add(a.submittedAt, 'quizzesPassed', 1);
     });
-  }
-  const token = randomBytes(16).toString('hex');
-  data.sessions[token] = email;
-  writeData(data);
-  res.json({ success: true, token, name: user.firstName + ' ' + user.lastName, email: user.email, serial: user.serial, hospital: user.hospital });
-});
+    t.certificates.filter(c => moduleIds.includes(c.module)).forEach(c => add(c.issuedAt, 'certificates', 1));
+  });
 
-app.get('/api/progress', (req, res) => {
-  const token = req.query.token;
-  const data = readData();
-  const email = data.sessions[token];
-  if (!email) return res.status(401).json({ error: 'Unauthorized' });
-  const user = normalizeUserStatus(data.users[email]);
-  if (!isApproved(user)) return res.status(403).json({ error: 'Account not approved' });
-  const prog = data.progress[email] || {};
-  res.json({ success: true, progress: prog });
+  res.json({
+    success: true,
+    interval,
+    from: keys[0],
+    to: keys[keys.length - 1],
+    series: Array.from(buckets.values()).map(({ active, ...bucket }) => ({ ...bucket, activeTrainees: active.size }))
+  });
 });
 
-app.post('/api/progress', (req, res) => {
-  const { token, section, value } = req.body;
-  if (!token || !section) return res.status(400).json({ error: 'Missing fields' });
-  const data = readData();
-  const email = data.sessions[token];
-  if (!email) return res.status(401).json({ error: 'Unauthorized' });
-  const user = normalizeUserStatus(data.users[email]);
-  if (!isApproved(user)) return res.status(403).json({ error: 'Account not approved' });
-  data.progress[email] = data.progress[email] || {};
-  data.progress[email][section] = value;
-  writeData(data);
-  res.json({ success: true });
-});
+// ============ NOTIFICATIONS ============
+// Routes and jobs publish events with notifications.emit(); the handlers
+// below pick the recipients. Templates live in notifications.js.
 
-// Get user profile
-app.get('/api/profile', (req, res) => {
-  const token = req.query.token;
-  if (!token) return res.status(400).json({ error: 'Missing token' });
-  const data = readData();
-  const email = data.sessions[token];
-  if (!email) return res.status(401).json({ error: 'Unauthorized' });
-  const user = data.users[email];
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  normalizeUserStatus(user);
-  if (!isApproved(user)) return res.status(403).json({ error: 'Account not approved' });
-  // Don't send password
-  const { password, ...userWithoutPassword } = user;
-  res.json({ success: true, user: userWithoutPassword });
-});
+const userRecipient = user => ({ email: user.email, type: 'user', name: user.firstName });
 
-// Upload profile photo
-app.post('/api/profile/photo', avatarUpload.single('photo'), (req, res) => {
-  const { token } = req.body || {};
-  if (!token || !req.file) return res.status(400).json({ error: 'Missing fields' });
-  const data = readData();
-  const email = data.sessions[token];
-  if (!email) return res.status(401).json({ error: 'Unauthorized' });
-  const user = data.users[email];
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  normalizeUserStatus(user);
-  if (!isApproved(user)) return res.status(403).json({ error: 'Account not approved' });
+// Approved trainees who can sign in
+function activeTrainees() {
+  return db.users.all().filter(u => isApproved(normalizeUserStatus(u)) && u.emailVerified !== false);
+}
 
-  user.profilePhoto = '/uploads/avatars/' + req.file.filename;
-  writeData(data);
-  res.json({ success: true, photoUrl: user.profilePhoto });
+notifications.on('user.status_changed', ({ email, status, reason }) => {
+  const user = db.users.get(email);
+  const event = { approved: 'account.approved', rejected: 'account.rejected', restricted: 'account.restricted' }[status];
+  if (!user || !event) return;
+  return notifications.send([userRecipient(user)], event, { reason });
 });
 
-// Update user profile
-app.post('/api/profile', (req, res) => {
-  const { token, firstName, lastName, serial, hospital } = req.body;
-  if (!token) return res.status(400).json({ error: 'Missing token' });
-  const data = readData();
-  const email = data.sessions[token];
-  if (!email) return res.status(401).json({ error: 'Unauthorized' });
-  const user = data.users[email];
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  normalizeUserStatus(user);
-  if (!isApproved(user)) return res.status(403).json({ error: 'Account not approved' });
-  
-  // Update user data
-  if (firstName) user.firstName = firstName;
-  if (lastName) user.lastName = lastName;
-  if (serial) user.serial = serial;
-  if (hospital) user.hospital = hospital;
-  
-  writeData(data);
-  res.json({ success: true, message: 'Profile updated successfully' });
+// Every active admin who may approve this user
+notifications.on('user.signup', ({ email }) => {
+  const user = db.users.get(email);
+  if (!user) return;
+  const admins = db.admins.all().filter(a => !a.invitePending && hasPermission(a, 'users.manage') && inAdminScope(a, user.hospital));
+  if (admins.length === 0) return;
+  return notifications.send(admins.map(a => ({ email: a.email, type: 'admin', name: a.name })), 'admin.signup', {
+    email: user.email,
+    name: (user.firstName + ' ' + user.lastName).trim(),
+    hospital: user.hospital
+  });
 });
 
-// Change password
-app.post('/api/change-password', (req, res) => {
-  const { token, currentPassword, newPassword } = req.body;
-  if (!token || !currentPassword || !newPassword) return res.status(400).json({ error: 'Missing fields' });
-  const data = readData();
-  const email = data.sessions[token];
-  if (!email) return res.status(401).json({ error: 'Unauthorized' });
-  const user = data.users[email];
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  normalizeUserStatus(user);
-  if (!isApproved(user)) return res.status(403).json({ error: 'Account not approved' });
-  
-  // Verify current password
-  if (user.password !== currentPassword) return res.status(401).json({ error: 'Current password is incorrect' });
-  
-  // Update password
-  user.password = newPassword;
-  writeData(data);
-  res.json({ success: true, message: 'Password changed successfully' });
+notifications.on('content.added', ({ lessonId }) => {
+  const lesson = db.moduleContent.get(lessonId);
+  if (!lesson || !isModuleVisible(lesson.module)) return;
+  const trainees = activeTrainees();
+  if (trainees.length === 0) return;
+  return notifications.send(trainees.map(userRecipient), 'content.added', {
+    lessonId: lesson.id,
+    title: lesson.title,
+    type: lesson.type,
+    module: lesson.module,
+    moduleName: moduleName(lesson.module)
+  });
 });
 
-// ============ ADMIN ENDPOINTS ============
-
-function requireAdmin(req, res, data) {
-  const token = req.query.token || req.body.token;
-  if (!token) return { ok: false, error: res.status(400).json({ error: 'Missing token' }) };
-  if (!data.adminSessions || !data.adminSessions[token]) {
-    return { ok: false, error: res.status(401).json({ error: 'Unauthorized' }) };
-  }
-  return { ok: true, token };
-}
-
-// Admin login
-app.post('/api/admin/login', (req, res) => {
-  const { email, password } = req.body;
-  if (!email || !password) return res.status(400).json({ error: 'Missing fields' });
-  
-  const data = readData();
-  
-  // Initialize admin storage if needed and create default admin
-  if (!data.admins) data.admins = {};
-  if (!data.admins['admin@claronav.com']) {
-    data.admins['admin@claronav.com'] = { email: 'admin@claronav.com', password: 'admin123' };
-    writeData(data);
-  }
-  
-  const admin = data.admins[email];
-  if (!admin || admin.password !== password) return res.status(401).json({ error: 'Invalid admin credentials' });
-  
-  const token = randomBytes(16).toString('hex');
-  if (!data.adminSessions) data.adminSessions = {};
-  data.adminSessions[token] = email;
-  writeData(data);
-  
-  res.json({ success: true, token, email });
+// Trainees flagged by a major revision of a lesson they had finished
+notifications.on('content.revised', ({ lessonId, emails }) => {
+  const lesson = db.moduleContent.get(lessonId);
+  if (!lesson || !isLessonPublished(lesson) || !isModuleVisible(lesson.module)) return;
+  const users = emails.map(email => db.users.get(email)).filter(u => u && isApproved(normalizeUserStatus(u)));
+  if (users.length === 0) return;
+  return notifications.send(users.map(userRecipient), 'content.revised', {
+    lessonId: lesson.id,
+    title: lesson.title,
+    module: lesson.module,
+    moduleName: moduleName(lesson.module)
+  });
 });
 
-// Get all users with progress
-app.get('/api/admin/users', (req, res) => {
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
-  if (!auth.ok) return;
-  
-  const users = Object.values(data.users || {}).map(u => ({
-    email: u.email,
-    firstName: u.firstName,
-    lastName: u.lastName,
-    hospital: u.hospital,
-    serial: u.serial,
-    accountStatus: normalizeUserStatus(u).accountStatus,
-    registeredAt: u.registeredAt,
-    rejectedReason: u.rejectedReason || null
-  }));
-  
-  res.json({ 
-    success: true, 
-    users,
-    progress: data.progress || {}
+// Reminders from checkAssignmentDeadlines()
+['due_soon', 'overdue'].forEach(kind => {
+  notifications.on('assignment.' + kind, ({ assignmentId, email, dueDate }) => {
+    const assignment = db.assignments.get(assignmentId);
+    const user = db.users.get(email);
+    if (!assignment || !user) return;
+    return notifications.send([userRecipient(user)], 'training.' + kind, {
+      title: assignmentTitle(assignment),
+      dueDate,
+      link: assignmentLink(assignment)
+    });
   });
 });
 
-// Approve user
-app.post('/api/admin/users/approve', (req, res) => {
-  const { email } = req.body || {};
-  if (!email) return res.status(400).json({ error: 'Missing fields' });
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
+const publicNotification = ({ recipient, recipientType, ...rest }) => rest;
+
+// Trainee inbox, newest first. ?unread=true for unread only.
+app.get('/api/notifications', (req, res) => {
+  const auth = requireUser(req, res);
   if (!auth.ok) return;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const result = notifications.inbox(auth.email, 'user', { unreadOnly: req.query.unread === 'true', limit });
+  res.json({ success: true, unread: result.unread, notifications: result.notifications.map(publicNotification) });
+});
 
-  const user = data.users[email];
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  normalizeUserStatus(user);
-  user.accountStatus = 'approved';
-  user.rejectedReason = undefined;
-  writeData(data);
-  res.json({ success: true, message: 'User approved' });
+// Mark notifications read: the given ids, or all of them
+app.post('/api/notifications/read', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { ids } = req.body || {};
+  if (ids !== undefined && !Array.isArray(ids)) return res.status(400).json({ error: 'ids must be a list' });
+  res.json({ success: true, updated: notifications.markRead(auth.email, 'user', ids) });
 });
 
-// Reject user (optional)
-app.post('/api/admin/users/reject', (req, res) => {
-  const { email, reason } = req.body || {};
-  if (!email) return res.status(400).json({ error: 'Missing fields' });
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
+app.get('/api/admin/notifications', (req, res) => {
+  const auth = requireAdmin(req, res, null);
   if (!auth.ok) return;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const result = notifications.inbox(auth.admin.email, 'admin', { unreadOnly: req.query.unread === 'true', limit });
+  res.json({ success: true, unread: result.unread, notifications: result.notifications.map(publicNotification) });
+});
 
-  const user = data.users[email];
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  normalizeUserStatus(user);
-  user.accountStatus = 'rejected';
-  user.rejectedReason = reason || 'Rejected by admin';
-  writeData(data);
-  res.json({ success: true, message: 'User rejected' });
+app.post('/api/admin/notifications/read', (req, res) => {
+  const auth = requireAdmin(req, res, null);
+  if (!auth.ok) return;
+  const { ids } = req.body || {};
+  if (ids !== undefined && !Array.isArray(ids)) return res.status(400).json({ error: 'ids must be a list' });
+  res.json({ success: true, updated: notifications.markRead(auth.admin.email, 'admin', ids) });
 });
 
-// Restrict user (disable login)
-app.post('/api/admin/users/restrict', (req, res) => {
-  const { email, reason } = req.body || {};
-  if (!email) return res.status(400).json({ error: 'Missing fields' });
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
+// ============ AUDIT LOG ============
+
+// Filter the audit log by ?action, ?actor, ?target and an inclusive ?from/?to
+// date range. Newest entries first.
+function queryAuditLog(query) {
+  const where = {};
+  if (query.action) where.action = String(query.action);
+  if (query.actor) where.actorEmail = String(query.actor);
+  if (query.target) where.targetId = String(query.target);
+  const from = query.from ? Date.parse(query.from) : NaN;
+  let to = query.to ? Date.parse(query.to) : NaN;
+  // A bare date means the whole of that day
+  if (!isNaN(to) && /^\d{4}-\d{2}-\d{2}$/.test(query.to)) to += 24 * 60 * 60 * 1000 - 1;
+  return db.auditLog.find(where)
+    .filter(entry => {
+      const at = Date.parse(entry.at);
+      return (isNaN(from) || at >= from) && (isNaN(to) || at <= to);
+    })
+    .reverse();
+}
+
+app.get('/api/admin/audit', (req, res) => {
+  const auth = requireAdmin(req, res, 'audit.view');
   if (!auth.ok) return;
 
-  const user = data.users[email];
-  if (!user) return res.status(404).json({ error: 'User not found' });
-  normalizeUserStatus(user);
-  user.accountStatus = 'restricted';
-  user.rejectedReason = reason || 'Restricted by admin';
-  writeData(data);
-  res.json({ success: true, message: 'User restricted' });
+  const entries = queryAuditLog(req.query);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  res.json({ success: true, total: entries.length, offset, limit, entries: entries.slice(offset, offset + limit) });
 });
 
-// Get module content
-app.get('/api/admin/modules/content', (req, res) => {
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
+// Download the filtered log as CSV (default) or JSON
+app.get('/api/admin/audit/export', (req, res) => {
+  const auth = requireAdmin(req, res, 'audit.view');
   if (!auth.ok) return;
-  
-  const content = data.moduleContent || { cranial: [], spine: [], ent: [] };
-  
-  res.json({ success: true, content });
-});
 
-// Public: Get module content (no admin token required)
-app.get('/api/modules/content', (req, res) => {
-  const module = req.query.module;
-  const data = readData();
-  const content = data.moduleContent || { cranial: [], spine: [], ent: [] };
+  const entries = queryAuditLog(req.query);
+  const format = req.query.format === 'json' ? 'json' : 'csv';
+  const { token, ...filters } = req.query;
+  auditAdmin(req, auth, 'audit.export', 'audit-log', null, null, { ...filters, format, count: entries.length });
 
-  if (module) {
-    return res.json({ success: true, content: content[module] || [] });
-  }
-  return res.json({ success: true, content });
+  const filename = 'audit-log-' + new Date().toISOString().slice(0, 10) + '.' + format;
+  res.setHeader('Content-Disposition', 'attachment; filename="' + filename + '"');
+  if (format === 'json') return res.json(entries);
+
+  const columns = ['at', 'actorType', 'actorEmail', 'action', 'targetType', 'targetId', 'ip', 'before', 'after'];
+  const lines = [columns.join(',')].concat(entries.map(entry => columns.map(c => csvCell(entry[c])).join(',')));
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.send(lines.join('\r\n') + '\r\n');
 });
 
-// Upload module content
-app.post('/api/admin/modules/upload', upload.single('file'), (req, res) => {
-  const { module, type, title, token } = req.body;
-  
-  if (!module || !type || !title || !token || !req.file) {
-    return res.status(400).json({ error: 'Missing required fields' });
+// ============ AI KNOWLEDGE BASE ============
+// Uploaded documents are cut into passages whose term counts are stored in
+// aiPassages; the BM25 index over all of them is built on first use and
+// dropped whenever a document is added or removed. Module lessons can be
+// indexed too: their entry is kept in step with the lesson by
+// syncLessonKnowledge().
+
+const AI_TOP_PASSAGES = 4;
+const AI_ANSWER_SENTENCES = 3;
+// Earlier turns of a conversation given as context to a follow-up question
+const AI_HISTORY_TURNS = 3;
+let knowledgeIndex = null;
+
+function getKnowledgeIndex() {
+  if (!knowledgeIndex) knowledgeIndex = retrieval.createIndex(db.aiPassages.all());
+  return knowledgeIndex;
+}
+
+// Replace a document's passages. Runs inside the caller's transaction if any.
+function indexKnowledgeEntry(entry, pages) {
+  const passages = retrieval.chunkPages(pages);
+  db.transaction(() => {
+    db.aiPassages.removeWhere({ entryId: entry.id });
+    passages.forEach((passage, i) => {
+      db.aiPassages.put({
+        id: entry.id + ':' + i,
+        entryId: entry.id,
+        module: entry.module || null,
+        title: entry.title,
+        page: passage.page,
+        unit: passage.unit,
+        text: passage.text,
+        ...retrieval.termCounts(passage.text)
+      });
+    });
+  });
+  knowledgeIndex = null;
+  return passages.length;
+}
+
+function removeKnowledgeEntry(id) {
+  const removed = db.transaction(() => {
+    db.aiPassages.removeWhere({ entryId: id });
+    return db.aiKnowledge.remove(id);
+  });
+  knowledgeIndex = null;
+  return removed;
+}
+
+// ---- Lessons in the knowledge base ----
+
+const INDEXABLE_LESSON_TYPES = ['pdf', 'ppt'];
+
+function lessonKnowledgeId(lessonId) {
+  return 'lesson-' + lessonId;
+}
+
+// A lesson's own aiIndex setting wins; null means "as the module says"
+function lessonIndexed(lesson) {
+  if (!INDEXABLE_LESSON_TYPES.includes(lesson.type) || !isLessonPublished(lesson)) return false;
+  if (typeof lesson.aiIndex === 'boolean') return lesson.aiIndex;
+  const module = db.modules.get(lesson.module);
+  return !!(module && module.aiIndex);
+}
+
+function setLessonAiState(lessonId, ai) {
+  return db.transaction(() => {
+    const lesson = db.moduleContent.get(lessonId);
+    if (!lesson) return null;
+    if (ai) lesson.ai = ai;
+    else delete lesson.ai;
+    return db.moduleContent.put(lesson);
+  });
+}
+
+// Add, refresh or remove a lesson's knowledge entry to match its settings.
+// The file is only read again when it has changed since it was indexed, or
+// when `force` is set. Never throws; failures are kept in lesson.ai.
+async function syncLessonKnowledge(lessonId, force) {
+  const entryId = lessonKnowledgeId(lessonId);
+  const lesson = db.moduleContent.get(lessonId);
+  if (!lesson || !lessonIndexed(lesson)) {
+    if (db.aiKnowledge.get(entryId)) removeKnowledgeEntry(entryId);
+    if (lesson && lesson.ai) setLessonAiState(lessonId, null);
+    return;
   }
-  
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
-  if (!auth.ok) {
-    // Clean up uploaded file
-    if (req.file) fs.unlinkSync(req.file.path);
+  const existing = db.aiKnowledge.get(entryId);
+  if (existing && existing.lessonFile === lesson.filename && !force) {
+    if (existing.title !== lesson.title) db.aiKnowledge.put({ ...existing, title: lesson.title });
     return;
   }
-  
-  // Initialize moduleContent if needed
-  if (!data.moduleContent) data.moduleContent = { cranial: [], spine: [], ent: [] };
-  if (!data.moduleContent[module]) data.moduleContent[module] = [];
-  
-  // Add content entry
-  const contentEntry = {
-    title,
-    type,
-    filename: req.file.filename,
-    originalName: req.file.originalname,
-    size: req.file.size,
-    uploadedAt: new Date().toISOString()
+
+  setLessonAiState(lessonId, { status: 'indexing' });
+  try {
+    const filePath = path.join(UPLOAD_DIR, path.basename(lesson.filename));
+    const pages = await documents.extractPages(filePath, lesson.mimeType, lesson.originalName);
+    const text = pages.map(page => page.text).join('\n\n').trim();
+    if (!text) throw new Error('No readable text found in file');
+
+    // The lesson may have been deleted, replaced or switched off meanwhile
+    const current = db.moduleContent.get(lessonId);
+    if (!current || current.filename !== lesson.filename || !lessonIndexed(current)) return;
+    const entry = {
+      id: entryId,
+      title: current.title,
+      source: 'lesson',
+      lessonId,
+      module: current.module,
+      lessonFile: current.filename,
+      originalName: current.originalName,
+      mimeType: current.mimeType,
+      size: current.size,
+      text,
+      pageCount: pages.some(page => page.page) ? pages.length : null,
+      pageUnit: pages.some(page => page.page) ? pages[0].unit : null,
+      ocrPages: pages.filter(page => page.ocr).map(page => page.page),
+      uploadedAt: new Date().toISOString()
+    };
+    db.transaction(() => {
+      db.aiKnowledge.put(entry);
+      const passageCount = indexKnowledgeEntry(entry, pages);
+      setLessonAiState(lessonId, { status: 'indexed', indexedAt: entry.uploadedAt, passageCount });
+    });
+  } catch (err) {
+    console.error('Error indexing lesson ' + lessonId + ' for the AI assistant:', err.message);
+    if (db.aiKnowledge.get(entryId)) removeKnowledgeEntry(entryId);
+    setLessonAiState(lessonId, { status: 'failed', error: err.message });
+  }
+}
+
+// One lesson at a time: documents can be large and OCR is slow
+async function syncModuleKnowledge(moduleId) {
+  for (const lesson of db.moduleContent.find({ module: moduleId })) {
+    await syncLessonKnowledge(lesson.id);
+  }
+}
+
+// Documents uploaded before passages existed only have their full text. Their
+// files are read again where possible so answers can cite pages.
+async function migrateKnowledgePassages() {
+  for (const entry of db.aiKnowledge.all()) {
+    if (db.aiPassages.count({ entryId: entry.id })) continue;
+    let pages = [{ page: null, text: entry.text }];
+    const stored = entry.lessonFile ? path.join(UPLOAD_DIR, path.basename(entry.lessonFile)) : path.join(AI_UPLOAD_DIR, path.basename(entry.filename || ''));
+    const filePath = entry.lessonFile || entry.filename ? stored : null;
+    if (filePath && fs.existsSync(filePath)) {
+      try {
+        pages = await documents.extractPages(filePath, entry.mimeType, entry.originalName);
+      } catch (err) {
+        console.error('Error re-reading AI file ' + entry.filename + ':', err.message);
+      }
+    }
+    const count = indexKnowledgeEntry(entry, pages);
+    console.log('Indexed ' + count + ' passage(s) for AI document "' + entry.title + '"');
+  }
+}
+
+// Where the dashboard shows a lesson
+function lessonUrl(lesson) {
+  return '/dashboard.html?module=' + encodeURIComponent(lesson.module) + '&lesson=' + encodeURIComponent(lesson.id);
+}
+
+// Titles come from the entry rather than the passage so renamed lessons are
+// cited by their current name
+function citePassage(result, i) {
+  const { passage, score } = result;
+  const entry = db.aiKnowledge.get(passage.entryId) || {};
+  const lesson = entry.lessonId ? db.moduleContent.get(entry.lessonId) : null;
+  return {
+    ref: i + 1,
+    entryId: passage.entryId,
+    title: entry.title || passage.title,
+    page: passage.page,
+    unit: passage.page ? passage.unit || 'page' : null,
+    lesson: lesson ? { id: lesson.id, module: lesson.module, title: lesson.title, url: lessonUrl(lesson) } : null,
+    text: passage.text,
+    score: Math.round(score * 100) / 100
   };
-  
-  data.moduleContent[module].push(contentEntry);
-  writeData(data);
-  
-  res.json({ 
-    success: true, 
-    message: 'Content uploaded successfully',
-    content: contentEntry
-  });
-});
+}
 
-// Delete module content
-app.delete('/api/admin/modules/content', (req, res) => {
-  const { module, index, token } = req.body;
-  
-  if (!module || index === undefined || !token) {
-    return res.status(400).json({ error: 'Missing required fields' });
+// Stitch the best matching sentences together, citing each run of sentences
+// taken from the same passage once
+function extractiveAnswer(index, question, results, context) {
+  const picks = retrieval.bestSentences(index, question, results, AI_ANSWER_SENTENCES, context);
+  return picks.map((pick, i) => {
+    const next = picks[i + 1];
+    return next && next.rank === pick.rank ? pick.sentence : pick.sentence + ' [' + (pick.rank + 1) + ']';
+  }).join(' ');
+}
+
+// Retrieve passages for a question and answer from them. `history` holds the
+// conversation's earlier turns, oldest first; `module` limits retrieval to
+// that module's indexed lessons. Returns { answer, sources, generatedBy }.
+async function answerQuestion(question, history, module) {
+  const recent = (history || []).slice(-AI_HISTORY_TURNS);
+  const context = recent.map(turn => turn.question).join(' ');
+  const index = getKnowledgeIndex();
+  if (!index.size) {
+    return { answer: 'No training material is available yet. Please try again later.', sources: [], generatedBy: 'none' };
   }
-  
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
-  if (!auth.ok) return;
-  
-  if (!data.moduleContent || !data.moduleContent[module] || !data.moduleContent[module][index]) {
-    return res.status(404).json({ error: 'Content not found' });
+  let results = index.search(question, {
+    limit: AI_TOP_PASSAGES,
+    context,
+    filter: module ? passage => passage.module === module : null
+  });
+  // Weak matches far below the best one are noise rather than context
+  if (results.length) results = results.filter(result => result.score >= results[0].score * 0.35);
+  if (!results.length) {
+    return {
+      answer: 'I could not find a relevant answer in the training material. Try rephrasing your question.',
+      sources: [],
+      generatedBy: 'none'
+    };
   }
-  
-  const content = data.moduleContent[module][index];
-  
-  // Delete file if it exists
-  const filePath = path.join(UPLOAD_DIR, content.filename);
-  if (fs.existsSync(filePath)) {
+
+  const sources = results.map(citePassage);
+  if (llm.isEnabled()) {
     try {
-      fs.unlinkSync(filePath);
-    } catch (e) {
-      console.error('Error deleting file:', e);
+      const conversation = [].concat(...recent.map(turn => [
+        { role: 'user', content: turn.question },
+        { role: 'assistant', content: turn.answer }
+      ]));
+      const answer = await llm.generate({ question, passages: sources, history: conversation });
+      return { answer, sources, generatedBy: 'llm' };
+    } catch (err) {
+      console.error('LLM generation failed, answering extractively:', err.message);
     }
   }
-  
-  // Remove from array
-  data.moduleContent[module].splice(index, 1);
-  writeData(data);
-  
-  res.json({ success: true, message: 'Content deleted successfully' });
-});
+  return { answer: extractiveAnswer(index, question, results, context), sources, generatedBy: 'extractive' };
+}
 
-// ============ AI KNOWLEDGE BASE ============
+// A turn as the trainee sees it; passage text stays on the server
+function publicTurn(turn) {
+  const { email, review, ...rest } = turn;
+  return { ...rest, sources: turn.sources.map(({ text, ...source }) => source) };
+}
+
+// Turns that need an admin's attention: no answer found, or rated down
+function needsReview(turn) {
+  return !turn.answered || turn.rating === 'down';
+}
 
 // List AI knowledge entries
 app.get('/api/admin/ai/knowledge', (req, res) => {
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
+  const auth = requireAdmin(req, res, 'ai.view');
   if (!auth.ok) return;
 
-  ensureAiKnowledge(data);
-  const entries = data.aiKnowledge.map(({ id, title, originalName, mimeType, size, uploadedAt }) => ({
+  const entries = db.aiKnowledge.all().map(({ id, title, source, lessonId, module, originalName, mimeType, size, pageCount, pageUnit, ocrPages, uploadedAt }) => ({
     id,
     title,
+    source: source || 'upload',
+    lessonId,
+    module,
     originalName,
     mimeType,
     size,
+    pageCount,
+    pageUnit,
+    ocrPages: ocrPages || [],
+    passageCount: db.aiPassages.count({ entryId: id }),
     uploadedAt
   }));
 
@@ -572,8 +5411,7 @@ app.post('/api/admin/ai/upload', aiUpload.single('file'), async (req, res) => {
     return res.status(400).json({ error: 'Missing required fields' });
   }
 
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
+  const auth = requireAdmin(req, res, 'ai.manage');
   if (!auth.ok) {
     if (req.file && req.file.path) {
       try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore */ }
@@ -582,9 +5420,8 @@ app.post('/api/admin/ai/upload', aiUpload.single('file'), async (req, res) => {
   }
 
   try {
-    ensureAiKnowledge(data);
-    const extractedText = await extractTextFromFile(req.file.path, req.file.mimetype, req.file.originalname);
-    const cleanedText = String(extractedText || '').trim();
+    const pages = await documents.extractPages(req.file.path, req.file.mimetype, req.file.originalname);
+    const cleanedText = pages.map(page => page.text).join('\n\n').trim();
 
     if (!cleanedText) {
       try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore */ }
@@ -599,13 +5436,20 @@ app.post('/api/admin/ai/upload', aiUpload.single('file'), async (req, res) => {
       mimeType: req.file.mimetype,
       size: req.file.size,
       text: cleanedText,
+      pageCount: pages.some(page => page.page) ? pages.length : null,
+      pageUnit: pages.some(page => page.page) ? pages[0].unit : null,
+      ocrPages: pages.filter(page => page.ocr).map(page => page.page),
       uploadedAt: new Date().toISOString()
     };
 
-    data.aiKnowledge.push(entry);
-    writeData(data);
+    db.transaction(() => {
+      db.aiKnowledge.put(entry);
+      entry.passageCount = indexKnowledgeEntry(entry, pages);
+    });
+    const { text, ...entrySummary } = entry;
+    auditAdmin(req, auth, 'ai.upload', 'ai-knowledge', entry.id, null, entrySummary);
 
-    res.json({ success: true, entry: { id: entry.id, title: entry.title, originalName: entry.originalName } });
+    res.json({ success: true, entry: { id: entry.id, title: entry.title, originalName: entry.originalName, passageCount: entry.passageCount } });
   } catch (err) {
     if (req.file && req.file.path) {
       try { fs.unlinkSync(req.file.path); } catch (e) { /* ignore */ }
@@ -620,86 +5464,223 @@ app.delete('/api/admin/ai/knowledge', (req, res) => {
 
   if (!id || !token) return res.status(400).json({ error: 'Missing required fields' });
 
-  const data = readData();
-  const auth = requireAdmin(req, res, data);
+  const auth = requireAdmin(req, res, 'ai.manage');
   if (!auth.ok) return;
 
-  ensureAiKnowledge(data);
-  const idx = data.aiKnowledge.findIndex(item => item.id === id);
-  if (idx === -1) return res.status(404).json({ error: 'Entry not found' });
+  const entry = db.aiKnowledge.get(id);
+  if (!entry) return res.status(404).json({ error: 'Entry not found' });
+  if (entry.source === 'lesson') {
+    return res.status(409).json({ error: 'This document comes from a module lesson. Turn off AI indexing for the lesson instead.' });
+  }
 
-  const entry = data.aiKnowledge[idx];
   const filePath = path.join(AI_UPLOAD_DIR, entry.filename || '');
   if (entry.filename && fs.existsSync(filePath)) {
     try { fs.unlinkSync(filePath); } catch (e) { console.error('Error deleting AI file:', e); }
   }
 
-  data.aiKnowledge.splice(idx, 1);
-  writeData(data);
+  removeKnowledgeEntry(id);
+  const { text, ...entrySummary } = entry;
+  auditAdmin(req, auth, 'ai.delete', 'ai-knowledge', id, entrySummary, null);
 
   res.json({ success: true, message: 'Entry deleted' });
 });
 
-// Public AI chat endpoint
-app.post('/api/ai/chat', (req, res) => {
-  const { question } = req.body || {};
+// Ask the assistant. Without a conversationId a new conversation is started;
+// with one, the question is answered as a follow-up to its earlier turns.
+// `module` keeps retrieval to the lessons of the module being viewed. The
+// answer cites its sources as [n], matching the ref of each entry in
+// `sources`; sources from a lesson carry a link to it.
+app.post('/api/ai/chat', async (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { question, conversationId } = req.body || {};
   if (!question || !String(question).trim()) {
     return res.status(400).json({ error: 'Missing question' });
   }
+  const text = String(question).trim().slice(0, 1000);
+  const module = req.body.module || null;
+  if (module && !isModuleVisible(module)) return res.status(404).json({ error: 'Module not found' });
 
-  const data = readData();
-  ensureAiKnowledge(data);
-
-  if (data.aiKnowledge.length === 0) {
-    return res.json({
-      success: true,
-      answer: 'No training material is available yet. Please try again later.'
-    });
+  let conversation = null;
+  if (conversationId) {
+    conversation = db.aiConversations.get(conversationId);
+    if (!conversation || conversation.email !== auth.email) return res.status(404).json({ error: 'Conversation not found' });
   }
 
-  const questionTokens = tokenize(question);
-  let best = { score: 0, sentence: '', title: '' };
+  try {
+    const history = conversation ? db.aiTurns.find({ conversationId: conversation.id }) : [];
+    const result = await answerQuestion(text, history, module);
 
-  data.aiKnowledge.forEach(entry => {
-    const sentences = splitSentences(entry.text);
-    sentences.forEach(sentence => {
-      const tokens = tokenize(sentence);
-      let overlap = 0;
-      questionTokens.forEach(q => {
-        if (tokens.includes(q)) overlap += 1;
-      });
-      if (overlap > best.score) {
-        best = { score: overlap, sentence: sentence.trim(), title: entry.title };
+    const now = new Date().toISOString();
+    const turn = db.transaction(() => {
+      if (!conversation) {
+        conversation = {
+          id: randomBytes(8).toString('hex'),
+          email: auth.email,
+          title: text.length > 80 ? text.slice(0, 77) + '...' : text,
+          createdAt: now
+        };
       }
+      conversation.updatedAt = now;
+      db.aiConversations.put(conversation);
+      return db.aiTurns.put({
+        id: randomBytes(8).toString('hex'),
+        conversationId: conversation.id,
+        email: auth.email,
+        question: text,
+        answer: result.answer,
+        sources: result.sources,
+        generatedBy: result.generatedBy,
+        module,
+        answered: result.sources.length > 0,
+        rating: null,
+        createdAt: now
+      });
     });
-  });
 
-  if (!best.sentence) {
-    return res.json({
+    res.json({
       success: true,
-      answer: 'I could not find a relevant answer in the training material. Try rephrasing your question.'
+      conversationId: conversation.id,
+      turnId: turn.id,
+      answer: result.answer,
+      sources: result.sources,
+      sourceTitle: result.sources.length ? result.sources[0].title : undefined,
+      generatedBy: result.generatedBy
     });
+  } catch (err) {
+    console.error('Error answering question:', err);
+    res.status(500).json({ error: 'The assistant could not answer right now. Please try again.' });
   }
+});
 
-  res.json({
-    success: true,
-    answer: best.sentence,
-    sourceTitle: best.title || undefined
+// The current user's conversations, most recent first
+app.get('/api/ai/conversations', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const conversations = db.aiConversations.find({ email: auth.email })
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+    .map(conversation => ({ ...conversation, turnCount: db.aiTurns.count({ conversationId: conversation.id }) }));
+  res.json({ success: true, conversations });
+});
+
+app.get('/api/ai/conversations/:id', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const conversation = db.aiConversations.get(req.params.id);
+  if (!conversation || conversation.email !== auth.email) return res.status(404).json({ error: 'Conversation not found' });
+  res.json({ success: true, conversation, turns: db.aiTurns.find({ conversationId: conversation.id }).map(publicTurn) });
+});
+
+// Thumbs up or down on an answer; rating null clears it
+app.post('/api/ai/turns/:id/feedback', (req, res) => {
+  const auth = requireUser(req, res);
+  if (!auth.ok) return;
+  const { rating, comment } = req.body || {};
+  if (![null, 'up', 'down'].includes(rating === undefined ? null : rating)) {
+    return res.status(400).json({ error: 'Rating must be up, down or null' });
+  }
+  const turn = db.aiTurns.get(req.params.id);
+  if (!turn || turn.email !== auth.email) return res.status(404).json({ error: 'Answer not found' });
+
+  turn.rating = rating || null;
+  turn.comment = comment ? String(comment).trim().slice(0, 1000) : null;
+  turn.ratedAt = turn.rating ? new Date().toISOString() : null;
+  db.aiTurns.put(turn);
+  res.json({ success: true, turn: publicTurn(turn) });
+});
+
+// ============ AI REVIEW QUEUE ============
+
+// Questions with no answer or a thumbs down, for deciding what material to add.
+// filter: attention (default) | unanswered | down | up | all
+// status: open (default) | resolved | all
+app.get('/api/admin/ai/review', (req, res) => {
+  const auth = requireAdmin(req, res, 'ai.view');
+  if (!auth.ok) return;
+  const filter = req.query.filter || 'attention';
+  const status = req.query.status || 'open';
+  const FILTERS = {
+    attention: needsReview,
+    unanswered: turn => !turn.answered,
+    down: turn => turn.rating === 'down',
+    up: turn => turn.rating === 'up',
+    all: () => true
+  };
+  if (!FILTERS[filter]) return res.status(400).json({ error: 'Unknown filter' });
+
+  const users = {};
+  const userFor = email => {
+    if (!(email in users)) users[email] = db.users.get(email);
+    return users[email];
+  };
+  const turns = db.aiTurns.all().filter(turn => {
+    if (!FILTERS[filter](turn)) return false;
+    if (status === 'open' && turn.review) return false;
+    if (status === 'resolved' && !turn.review) return false;
+    const user = userFor(turn.email);
+    return inAdminScope(auth.admin, user && user.hospital);
+  }).reverse();
+
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const entries = turns.slice(offset, offset + limit).map(turn => {
+    const user = userFor(turn.email) || {};
+    return {
+      ...turn,
+      userName: [user.firstName, user.lastName].filter(Boolean).join(' '),
+      hospital: user.hospital || null,
+      sources: turn.sources.map(({ text, ...source }) => source)
+    };
   });
+  res.json({ success: true, total: turns.length, entries });
 });
 
-// Serve uploaded files
-app.use('/uploads', express.static(UPLOAD_DIR));
+// Mark a reviewed question as dealt with (or reopen it), with an optional note
+app.post('/api/admin/ai/review/:id', (req, res) => {
+  const auth = requireAdmin(req, res, 'ai.manage');
+  if (!auth.ok) return;
+  const turn = db.aiTurns.get(req.params.id);
+  if (!turn) return res.status(404).json({ error: 'Question not found' });
+  const user = db.users.get(turn.email);
+  if (!inAdminScope(auth.admin, user && user.hospital)) return res.status(404).json({ error: 'Question not found' });
+
+  const before = { review: turn.review || null };
+  const resolved = req.body.resolved !== false;
+  turn.review = resolved
+    ? { by: auth.admin.email, at: new Date().toISOString(), note: req.body.note ? String(req.body.note).trim().slice(0, 1000) : null }
+    : null;
+  db.aiTurns.put(turn);
+  auditAdmin(req, auth, resolved ? 'ai.review_resolve' : 'ai.review_reopen', 'ai-turn', turn.id, before, { review: turn.review });
+  res.json({ success: true, entry: turn });
+});
 
-// JSON parse error handler - return JSON instead of HTML and log raw body
+// JSON parse error handler - return JSON instead of HTML. Request bodies are
+// never logged: they can hold passwords.
 app.use((err, req, res, next) => {
   if (err && (err.type === 'entity.parse.failed' || err instanceof SyntaxError)) {
     console.error('JSON parse error:', err && err.message);
-    console.error('Raw body at error:', req && req.rawBody);
     return res.status(400).json({ error: 'Invalid JSON in request body' });
   }
   next(err);
 });
 
+// Deployments that predate the database keep their accounts in data.json
+if (db.users.count() === 0 && fs.existsSync(path.join(__dirname, 'data.json'))) {
+  console.log('No users in ' + db.DB_FILE + '. Run `npm run import-data` to import data.json.');
+}
+bootstrapAdmin();
+seedModules();
+migrateCourseSections();
+migrateLessonRevisions();
+cleanupUploads();
+migrateKnowledgePassages().catch(err => console.error('Error indexing AI documents:', err));
+setInterval(cleanupUploads, 60 * 60 * 1000).unref();
+checkAssignmentDeadlines();
+setInterval(checkAssignmentDeadlines, 60 * 60 * 1000).unref();
+publishScheduledContent().catch(err => console.error('Error publishing scheduled content:', err));
+setInterval(() => {
+  publishScheduledContent().catch(err => console.error('Error publishing scheduled content:', err));
+}, PUBLISH_CHECK_INTERVAL_MS).unref();
+
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
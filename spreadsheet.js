@@ -0,0 +1,138 @@
+// Rows of an uploaded CSV or Excel (.xlsx) sheet, for bulk imports.
+// readRows() returns the first worksheet as an array of rows, each an array
+// of trimmed cell strings; blank rows are dropped.
+const path = require('path');
+const JSZip = require('jszip');
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function decodeXml(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, name) => {
+    if (name[0] === '#') {
+      const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return code > 0 && code < 0x110000 ? String.fromCodePoint(code) : '';
+    }
+    return ENTITIES[name.toLowerCase()] === undefined ? match : ENTITIES[name.toLowerCase()];
+  });
+}
+
+// ---- CSV ----
+
+// RFC 4180 with the usual leniencies: ; or tab as separator when the header
+// uses them, a UTF-8 byte order mark, and CR, LF or CRLF line ends
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, '');
+  const firstLine = input.split(/\r?\n/, 1)[0];
+  const separator = [',', ';', '\t'].sort((a, b) => firstLine.split(b).length - firstLine.split(a).length)[0];
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && !cell.trim()) {
+      quoted = true;
+      cell = '';
+    } else if (char === separator) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// ---- XLSX ----
+
+function xmlAttribute(tag, name) {
+  const match = new RegExp('\\s' + name + '="([^"]*)"').exec(tag);
+  return match ? decodeXml(match[1]) : null;
+}
+
+// Text of a shared string or inline string, joining rich text runs
+function stringItem(xml) {
+  return (xml.match(/<t(?:\s[^>]*)?>[^<]*<\/t>/g) || []).map(run => decodeXml(run.replace(/<[^>]+>/g, ''))).join('');
+}
+
+// "C12" -> 2
+function columnIndex(reference) {
+  const letters = /^[A-Z]+/.exec(reference || '');
+  if (!letters) return null;
+  return letters[0].split('').reduce((n, letter) => n * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+async function parseXlsx(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new Error('The file is not a valid Excel workbook');
+  }
+  const read = name => (zip.file(name) ? zip.file(name).async('string') : Promise.resolve(null));
+
+  // The first sheet in the workbook's order, not necessarily sheet1.xml
+  const workbook = await read('xl/workbook.xml');
+  const relationships = {};
+  (((await read('xl/_rels/workbook.xml.rels')) || '').match(/<Relationship\b[^>]*>/g) || []).forEach(tag => {
+    const target = xmlAttribute(tag, 'Target') || '';
+    relationships[xmlAttribute(tag, 'Id')] = target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+  });
+  const firstSheet = workbook && /<sheet\b[^>]*>/.exec(workbook);
+  const sheetName = (firstSheet && relationships[xmlAttribute(firstSheet[0], 'r:id')]) || 'xl/worksheets/sheet1.xml';
+  const sheet = await read(sheetName);
+  if (!sheet) throw new Error('The workbook has no worksheets');
+
+  const shared = ((await read('xl/sharedStrings.xml')) || '').match(/<si>[\s\S]*?<\/si>/g) || [];
+  const sharedStrings = shared.map(stringItem);
+
+  return (sheet.match(/<row\b[\s\S]*?<\/row>/g) || []).map(rowXml => {
+    const row = [];
+    (rowXml.match(/<c\b[^>]*\/>|<c\b[^>]*>[\s\S]*?<\/c>/g) || []).forEach(cellXml => {
+      const tag = /^<c\b[^>]*>/.exec(cellXml)[0];
+      const type = xmlAttribute(tag, 't');
+      const value = /<v>([\s\S]*?)<\/v>/.exec(cellXml);
+      let text = '';
+      if (type === 's') text = value ? sharedStrings[Number(value[1])] || '' : '';
+      else if (type === 'inlineStr') text = stringItem(cellXml);
+      else if (value) text = decodeXml(value[1]);
+      const index = columnIndex(xmlAttribute(tag, 'r'));
+      row[index === null ? row.length : index] = text;
+    });
+    return Array.from(row, cell => cell || '');
+  });
+}
+
+// ---- Dispatch ----
+
+async function readRows(buffer, originalName) {
+  const ext = path.extname(originalName || '').toLowerCase();
+  let rows;
+  if (ext === '.xlsx' || buffer.subarray(0, 2).toString('latin1') === 'PK') rows = await parseXlsx(buffer);
+  else if (ext === '.xls') throw new Error('Legacy .xls files cannot be read. Save the sheet as .xlsx or CSV and upload it again.');
+  else rows = parseCsv(buffer.toString('utf8'));
+  return rows
+    .map(row => row.map(cell => String(cell).trim()))
+    .filter(row => row.some(Boolean));
+}
+
+module.exports = { readRows, parseCsv };
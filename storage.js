@@ -0,0 +1,145 @@
+// SQLite-backed storage. Each collection is a table of JSON documents keyed by
+// a string id; fields that handlers look records up by get an index.
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// The database lives in var/, away from the front-end files next to server.js
+const DATA_DIR = path.join(__dirname, 'var');
+const LEGACY_DB_FILE = path.join(__dirname, 'data.db');
+const DB_FILE = process.env.DB_FILE || path.join(DATA_DIR, 'data.db');
+
+// name -> { key: document field used as the id, indexes: fields to index,
+//           appendOnly: rows can be inserted but never changed or deleted }
+const COLLECTIONS = {
+  users: { key: 'email', indexes: ['hospital', 'accountStatus'] },
+  admins: { key: 'email', indexes: [] },
+  sessions: { key: 'token', indexes: ['email', 'kind'] },
+  accountTokens: { key: 'id', indexes: ['email', 'type'] },
+  itemProgress: { key: 'id', indexes: ['email', 'itemId'] },
+  modules: { key: 'id', indexes: [] },
+  sections: { key: 'id', indexes: ['module'] },
+  moduleContent: { key: 'id', indexes: ['module', 'sectionId'] },
+  aiKnowledge: { key: 'id', indexes: [] },
+  aiPassages: { key: 'id', indexes: ['entryId'] },
+  aiConversations: { key: 'id', indexes: ['email'] },
+  aiTurns: { key: 'id', indexes: ['conversationId', 'email'] },
+  quizzes: { key: 'id', indexes: ['module'] },
+  quizAttempts: { key: 'id', indexes: ['email', 'quizId'] },
+  quizDrafts: { key: 'id', indexes: ['entryId', 'status'] },
+  certificates: { key: 'id', indexes: ['email', 'module'] },
+  auditLog: { key: 'id', indexes: ['action', 'actorEmail', 'targetId'], appendOnly: true },
+  fileAccessLog: { key: 'id', indexes: ['email', 'itemId'], appendOnly: true },
+  uploadSessions: { key: 'id', indexes: ['adminEmail'] },
+  notifications: { key: 'id', indexes: ['recipient', 'recipientType'] },
+  assignments: { key: 'id', indexes: ['module', 'email'] },
+  assignmentNotices: { key: 'id', indexes: ['assignmentId'] },
+  lessonRevisions: { key: 'id', indexes: ['lessonId', 'status'] }
+};
+
+fs.mkdirSync(path.dirname(DB_FILE), { recursive: true });
+// Databases created before var/ existed move there on first start
+if (!process.env.DB_FILE && !fs.existsSync(DB_FILE) && fs.existsSync(LEGACY_DB_FILE)) {
+  ['', '-wal', '-shm'].forEach(suffix => {
+    if (fs.existsSync(LEGACY_DB_FILE + suffix)) fs.renameSync(LEGACY_DB_FILE + suffix, DB_FILE + suffix);
+  });
+  console.log('Moved ' + LEGACY_DB_FILE + ' to ' + DB_FILE);
+}
+
+const db = new Database(DB_FILE);
+db.pragma('journal_mode = WAL');
+db.pragma('busy_timeout = 5000');
+
+const FIELD_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+function fieldExpr(field) {
+  if (!FIELD_PATTERN.test(field)) throw new Error('Invalid field name: ' + field);
+  return "json_extract(data, '$." + field + "')";
+}
+
+function whereClause(where) {
+  const fields = Object.keys(where || {});
+  if (fields.length === 0) return { sql: '', params: [] };
+  return {
+    sql: ' WHERE ' + fields.map(f => fieldExpr(f) + ' = ?').join(' AND '),
+    params: fields.map(f => (typeof where[f] === 'boolean' ? Number(where[f]) : where[f]))
+  };
+}
+
+function createCollection(name, { key, indexes, appendOnly }) {
+  db.exec('CREATE TABLE IF NOT EXISTS "' + name + '" (id TEXT PRIMARY KEY, data TEXT NOT NULL)');
+  indexes.forEach(field => {
+    db.exec('CREATE INDEX IF NOT EXISTS "' + name + '_' + field + '" ON "' + name + '" (' + fieldExpr(field) + ')');
+  });
+  if (appendOnly) {
+    ['UPDATE', 'DELETE'].forEach(op => {
+      db.exec('CREATE TRIGGER IF NOT EXISTS "' + name + '_no_' + op.toLowerCase() + '" BEFORE ' + op + ' ON "' + name + '"' +
+        " BEGIN SELECT RAISE(ABORT, '" + name + " is append-only'); END");
+    });
+  }
+
+  const getStmt = db.prepare('SELECT data FROM "' + name + '" WHERE id = ?');
+  const putStmt = db.prepare(appendOnly
+    ? 'INSERT INTO "' + name + '" (id, data) VALUES (?, ?)'
+    : 'INSERT INTO "' + name + '" (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data');
+  const removeStmt = db.prepare('DELETE FROM "' + name + '" WHERE id = ?');
+  const cache = new Map();
+  const prepared = sql => {
+    if (!cache.has(sql)) cache.set(sql, db.prepare(sql));
+    return cache.get(sql);
+  };
+
+  return {
+    get(id) {
+      const row = id === undefined || id === null ? null : getStmt.get(String(id));
+      return row ? JSON.parse(row.data) : null;
+    },
+    // Documents matching every field in `where`, in insertion order
+    find(where) {
+      const { sql, params } = whereClause(where);
+      return prepared('SELECT data FROM "' + name + '"' + sql + ' ORDER BY rowid').all(...params)
+        .map(row => JSON.parse(row.data));
+    },
+    findOne(where) {
+      const { sql, params } = whereClause(where);
+      const row = prepared('SELECT data FROM "' + name + '"' + sql + ' ORDER BY rowid LIMIT 1').get(...params);
+      return row ? JSON.parse(row.data) : null;
+    },
+    all() {
+      return this.find();
+    },
+    count(where) {
+      const { sql, params } = whereClause(where);
+      return prepared('SELECT COUNT(*) AS n FROM "' + name + '"' + sql).get(...params).n;
+    },
+    // Insert or replace a document; updates keep their original position
+    put(doc) {
+      const id = doc && doc[key];
+      if (id === undefined || id === null || id === '') throw new Error(name + ': document is missing ' + key);
+      putStmt.run(String(id), JSON.stringify(doc));
+      return doc;
+    },
+    remove(id) {
+      return removeStmt.run(String(id)).changes > 0;
+    },
+    removeWhere(where) {
+      const { sql, params } = whereClause(where);
+      return prepared('DELETE FROM "' + name + '"' + sql).run(...params).changes;
+    }
+  };
+}
+
+const store = {};
+Object.keys(COLLECTIONS).forEach(name => {
+  store[name] = createCollection(name, COLLECTIONS[name]);
+});
+
+// Run fn inside a write transaction. Everything it does is committed together
+// or, if it throws, rolled back together. Nested calls become savepoints.
+store.transaction = fn => db.transaction(fn).immediate();
+
+store.close = () => db.close();
+
+store.DB_FILE = DB_FILE;
+
+module.exports = store;
@@ -0,0 +1,109 @@
+// Admin roles: each role reaches only the endpoints its permissions allow,
+// and hospital coordinators only users from their own hospital.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, upload, signInAdmin, createAdmin, createTrainee } = require('./helpers');
+
+let server;
+let superToken;
+
+before(async () => {
+  server = await startServer();
+  superToken = await signInAdmin(server);
+});
+
+after(() => stopServer(server));
+
+// Sign up without approving, so the user waits for an admin
+async function pendingUser(email, hospital) {
+  const signup = await request(server, 'POST', '/api/signup', {
+    email, firstName: 'Pending', lastName: 'User', serial: 'SN-2', hospital, password: 'Pending-Passw0rd'
+  });
+  assert.strictEqual(signup.status, 200);
+}
+
+test('the bootstrap admin must change the default password before doing anything else', async () => {
+  const scratch = await startServer();
+  try {
+    const login = await request(scratch, 'POST', '/api/admin/login', { email: 'admin@claronav.com', password: 'Bootstrap-Passw0rd' });
+    assert.strictEqual(login.status, 200);
+    const users = await request(scratch, 'GET', '/api/admin/users?token=' + login.body.token);
+    assert.strictEqual(users.status, 403);
+    assert.strictEqual(users.body.mustChangePassword, true);
+  } finally {
+    await stopServer(scratch);
+  }
+});
+
+test('admin endpoints reject missing, unknown and trainee tokens', async () => {
+  assert.strictEqual((await request(server, 'GET', '/api/admin/users')).status, 400);
+  assert.strictEqual((await request(server, 'GET', '/api/admin/users?token=not-a-session')).status, 401);
+  const trainee = await createTrainee(server, superToken, 'trainee@example.com');
+  assert.strictEqual((await request(server, 'GET', '/api/admin/users?token=' + trainee)).status, 401);
+});
+
+test('a content editor manages content but not users, admins or the audit log', async () => {
+  const token = await createAdmin(server, superToken, { email: 'editor@example.com', role: 'content-editor' });
+  assert.strictEqual((await request(server, 'GET', '/api/admin/modules?token=' + token)).status, 200);
+  const created = await request(server, 'POST', '/api/admin/modules', { token, name: 'Editor Module' });
+  assert.strictEqual(created.status, 200);
+
+  const users = await request(server, 'GET', '/api/admin/users?token=' + token);
+  assert.strictEqual(users.status, 403);
+  assert.strictEqual(users.body.error, 'Your admin role does not allow this action');
+  assert.strictEqual((await request(server, 'GET', '/api/admin/audit?token=' + token)).status, 403);
+  const invite = await request(server, 'POST', '/api/admin/admins/invite', { token, email: 'x@example.com', role: 'super-admin' });
+  assert.strictEqual(invite.status, 403);
+});
+
+test('an auditor can look but not change anything', async () => {
+  const token = await createAdmin(server, superToken, { email: 'auditor@example.com', role: 'auditor' });
+  await pendingUser('audited@example.com', 'General Hospital');
+  assert.strictEqual((await request(server, 'GET', '/api/admin/users?token=' + token)).status, 200);
+  assert.strictEqual((await request(server, 'GET', '/api/admin/audit?token=' + token)).status, 200);
+  assert.strictEqual((await request(server, 'GET', '/api/admin/modules?token=' + token)).status, 200);
+
+  const approve = await request(server, 'POST', '/api/admin/users/approve', { token, email: 'audited@example.com' });
+  assert.strictEqual(approve.status, 403);
+  assert.strictEqual((await request(server, 'POST', '/api/admin/modules', { token, name: 'Auditor Module' })).status, 403);
+});
+
+test('a hospital coordinator sees and manages only users from their own hospital', async () => {
+  const token = await createAdmin(server, superToken, {
+    email: 'coordinator@example.com', role: 'hospital-coordinator', hospital: 'St. Mary'
+  });
+  await pendingUser('local@example.com', 'St. Mary');
+  await pendingUser('elsewhere@example.com', 'County General');
+
+  const users = await request(server, 'GET', '/api/admin/users?token=' + token);
+  assert.strictEqual(users.status, 200);
+  const emails = users.body.users.map(u => u.email);
+  assert.ok(emails.includes('local@example.com'));
+  assert.ok(!emails.includes('elsewhere@example.com'));
+
+  const foreign = await request(server, 'POST', '/api/admin/users/approve', { token, email: 'elsewhere@example.com' });
+  assert.strictEqual(foreign.status, 403);
+  assert.strictEqual(foreign.body.error, 'You can only manage users from your own hospital');
+  const local = await request(server, 'POST', '/api/admin/users/approve', { token, email: 'local@example.com' });
+  assert.strictEqual(local.status, 200);
+  assert.strictEqual((await request(server, 'GET', '/api/admin/modules?token=' + token)).status, 403);
+});
+
+test('a removed admin loses access straight away', async () => {
+  const token = await createAdmin(server, superToken, { email: 'leaver@example.com', role: 'auditor' });
+  assert.strictEqual((await request(server, 'GET', '/api/admin/users?token=' + token)).status, 200);
+  const removed = await request(server, 'DELETE', '/api/admin/admins', { token: superToken, email: 'leaver@example.com' });
+  assert.strictEqual(removed.status, 200);
+  assert.strictEqual((await request(server, 'GET', '/api/admin/users?token=' + token)).status, 401);
+});
+
+test('a user import is refused before the sheet is read unless the admin manages users', async () => {
+  const sheet = { file: { name: 'users.csv', content: 'Email,First name,Last name,Hospital\nnew@example.com,New,User,General\n', type: 'text/csv' } };
+  const token = await createAdmin(server, superToken, { email: 'import-auditor@example.com', role: 'auditor' });
+  assert.strictEqual((await upload(server, '/api/admin/users/import', { dryRun: 'true' }, sheet)).status, 400);
+  assert.strictEqual((await upload(server, '/api/admin/users/import?token=' + token, { dryRun: 'true' }, sheet)).status, 403);
+
+  const checked = await upload(server, '/api/admin/users/import?token=' + superToken, { dryRun: 'true' }, sheet);
+  assert.strictEqual(checked.status, 200);
+  assert.deepStrictEqual(checked.body.users.map(u => u.email), ['new@example.com']);
+});
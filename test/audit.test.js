@@ -0,0 +1,73 @@
+// The audit and file access logs are append-only: rows can be added but the
+// database refuses to change or delete them, whoever asks.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { startServer, stopServer, request, signInAdmin } = require('./helpers');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claronav-lms-storage-'));
+process.env.DB_FILE = path.join(dir, 'data.db');
+const db = require('../storage');
+
+let server;
+let adminToken;
+
+before(async () => {
+  server = await startServer();
+  adminToken = await signInAdmin(server);
+});
+
+after(async () => {
+  db.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+  await stopServer(server);
+});
+
+test('audit entries can be added but not replaced or removed', () => {
+  const entry = { id: 'entry-1', action: 'user.approve', actorEmail: 'admin@example.com', at: new Date().toISOString() };
+  db.auditLog.put(entry);
+  assert.deepStrictEqual(db.auditLog.get('entry-1'), entry);
+
+  assert.throws(() => db.auditLog.put({ ...entry, action: 'user.reject' }));
+  assert.throws(() => db.auditLog.remove('entry-1'), /auditLog is append-only/);
+  assert.throws(() => db.auditLog.removeWhere({ action: 'user.approve' }), /auditLog is append-only/);
+  assert.deepStrictEqual(db.auditLog.get('entry-1'), entry);
+});
+
+test('file access entries are append-only too', () => {
+  db.fileAccessLog.put({ id: 'access-1', email: 'trainee@example.com', itemId: 'lesson-1' });
+  assert.throws(() => db.fileAccessLog.remove('access-1'), /fileAccessLog is append-only/);
+  assert.strictEqual(db.fileAccessLog.count(), 1);
+});
+
+test('other collections can still be updated and deleted', () => {
+  db.modules.put({ id: 'm1', name: 'Before' });
+  db.modules.put({ id: 'm1', name: 'After' });
+  assert.strictEqual(db.modules.get('m1').name, 'After');
+  assert.strictEqual(db.modules.remove('m1'), true);
+});
+
+test('admin actions are logged and the entries cannot be edited behind the server\'s back', async () => {
+  const update = await request(server, 'POST', '/api/admin/modules/update', { token: adminToken, id: 'cranial', name: 'Renamed' });
+  assert.strictEqual(update.status, 200);
+  const log = await request(server, 'GET', '/api/admin/audit?action=module.update&token=' + adminToken);
+  assert.strictEqual(log.status, 200);
+  const [entry] = log.body.entries;
+  assert.strictEqual(entry.actorEmail, 'admin@claronav.com');
+  assert.strictEqual(entry.targetId, 'cranial');
+  assert.strictEqual(entry.after.name, 'Renamed');
+
+  // A second connection to the live database, as someone with file access would have
+  const direct = new Database(path.join(server.dir, 'data.db'));
+  try {
+    assert.throws(() => direct.prepare('UPDATE auditLog SET data = ? WHERE id = ?').run('{}', entry.id), /auditLog is append-only/);
+    assert.throws(() => direct.prepare('DELETE FROM auditLog').run(), /auditLog is append-only/);
+  } finally {
+    direct.close();
+  }
+  const again = await request(server, 'GET', '/api/admin/audit?action=module.update&token=' + adminToken);
+  assert.deepStrictEqual(again.body.entries, log.body.entries);
+});
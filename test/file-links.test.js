@@ -0,0 +1,103 @@
+// Lesson files are only reachable through short-lived links signed for one
+// lesson and one trainee; nothing under uploads/ or next to server.js is
+// served directly.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { FILE_LINK_SECRET, startServer, stopServer, request, uploadLesson, signInAdmin, createTrainee } = require('./helpers');
+
+let server;
+let adminToken;
+let traineeToken;
+let lesson;
+
+before(async () => {
+  server = await startServer();
+  adminToken = await signInAdmin(server);
+  traineeToken = await createTrainee(server, adminToken, 'reader@example.com');
+  lesson = await uploadLesson(server, adminToken, { type: 'pdf', title: 'Handbook' });
+});
+
+after(() => stopServer(server));
+
+function signedUrl(itemId, email, expires) {
+  const sig = crypto.createHmac('sha256', FILE_LINK_SECRET).update(itemId + '|' + email + '|' + expires).digest('hex');
+  return '/api/files/' + itemId + '?user=' + encodeURIComponent(email) + '&expires=' + expires + '&sig=' + sig;
+}
+
+async function linkFor(token, itemId) {
+  const link = await request(server, 'POST', '/api/files/' + itemId + '/link', { token });
+  assert.strictEqual(link.status, 200);
+  return link.body.url;
+}
+
+test('a signed link downloads the file and is logged', async () => {
+  const url = await linkFor(traineeToken, lesson.id);
+  const file = await fetch(server.url + url);
+  assert.strictEqual(file.status, 200);
+  assert.match(await file.text(), /^%PDF-/);
+  assert.strictEqual(file.headers.get('cache-control'), 'private, no-store');
+
+  const log = await request(server, 'GET', '/api/admin/users/file-access?email=reader%40example.com&token=' + adminToken);
+  assert.strictEqual(log.status, 200);
+  assert.ok(JSON.stringify(log.body).includes(lesson.id));
+});
+
+test('links are refused when tampered with, reused for another lesson or user, or expired', async () => {
+  const url = new URL(server.url + await linkFor(traineeToken, lesson.id));
+  const other = await uploadLesson(server, adminToken, { type: 'pdf', title: 'Other' });
+
+  const badSig = new URL(url);
+  badSig.searchParams.set('sig', '0'.repeat(64));
+  assert.strictEqual((await fetch(badSig)).status, 403);
+
+  const otherUser = new URL(url);
+  otherUser.searchParams.set('user', 'someone@example.com');
+  assert.strictEqual((await fetch(otherUser)).status, 403);
+
+  const otherLesson = new URL(url);
+  otherLesson.pathname = '/api/files/' + other.id;
+  assert.strictEqual((await fetch(otherLesson)).status, 403);
+
+  const extended = new URL(url);
+  extended.searchParams.set('expires', String(Date.now() + 24 * 60 * 60 * 1000));
+  assert.strictEqual((await fetch(extended)).status, 403);
+
+  const expired = await fetch(server.url + signedUrl(lesson.id, 'reader@example.com', Date.now() - 1000));
+  assert.strictEqual(expired.status, 403);
+  assert.strictEqual((await fetch(server.url + url.pathname)).status, 403);
+});
+
+test('a genuine link stops working once the account is restricted or the module hidden', async () => {
+  const token = await createTrainee(server, adminToken, 'restricted@example.com');
+  const url = await linkFor(token, lesson.id);
+  const restricted = await request(server, 'POST', '/api/admin/users/restrict', { token: adminToken, email: 'restricted@example.com' });
+  assert.strictEqual(restricted.status, 200);
+  assert.strictEqual((await fetch(server.url + url)).status, 403);
+
+  const stillValid = await linkFor(traineeToken, lesson.id);
+  await request(server, 'POST', '/api/admin/modules/update', { token: adminToken, id: 'cranial', visible: false });
+  try {
+    assert.strictEqual((await fetch(server.url + stillValid)).status, 404);
+    const link = await request(server, 'POST', '/api/files/' + lesson.id + '/link', { token: traineeToken });
+    assert.strictEqual(link.status, 404);
+  } finally {
+    await request(server, 'POST', '/api/admin/modules/update', { token: adminToken, id: 'cranial', visible: true });
+  }
+});
+
+test('draft lessons get no links', async () => {
+  const draft = await uploadLesson(server, adminToken, { type: 'pdf', title: 'Draft', draft: 'true' });
+  const link = await request(server, 'POST', '/api/files/' + draft.id + '/link', { token: traineeToken });
+  assert.strictEqual(link.status, 404);
+  const forged = await fetch(server.url + signedUrl(draft.id, 'reader@example.com', Date.now() + 60000));
+  assert.strictEqual(forged.status, 404);
+});
+
+test('uploads and server files are not served statically', async () => {
+  const stored = lesson.filename;
+  for (const url of ['/uploads/' + stored, '/server.js', '/package.json', '/var/data.db', '/certificate-key.pem', '/.env']) {
+    assert.strictEqual((await fetch(server.url + url)).status, 404, url);
+  }
+  assert.strictEqual((await fetch(server.url + '/login.html')).status, 200);
+});
@@ -0,0 +1,200 @@
+// Shared setup for the behaviour tests. Each test file starts its own server
+// on a free port, with a throwaway database, upload directory and mail outbox,
+// and talks to it over HTTP the way the front end does.
+const { spawn } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const ADMIN_EMAIL = 'admin@claronav.com';
+const ADMIN_PASSWORD = 'Bootstrap-Passw0rd';
+const TRAINEE_PASSWORD = 'Trainee-Passw0rd';
+const FILE_LINK_SECRET = 'test-file-link-secret';
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Start server.js, or a script that wraps it, and resolve once it listens.
+// options.env adds to or overrides the environment.
+async function startServer(options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'claronav-lms-test-'));
+  const port = await freePort();
+  const { privateKey } = crypto.generateKeyPairSync('ed25519');
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    DB_FILE: path.join(dir, 'data.db'),
+    UPLOAD_DIR: path.join(dir, 'uploads'),
+    MAIL_TRANSPORT: 'file',
+    MAIL_DIR: path.join(dir, 'mail'),
+    ADMIN_BOOTSTRAP_EMAIL: ADMIN_EMAIL,
+    ADMIN_BOOTSTRAP_PASSWORD: ADMIN_PASSWORD,
+    CERTIFICATE_PRIVATE_KEY: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    FILE_LINK_SECRET,
+    ...options.env
+  };
+  // cwd is the temp directory so a developer's .env is not picked up
+  const child = spawn(process.execPath, [options.script || path.join(ROOT, 'server.js')], {
+    cwd: dir,
+    env,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  const server = { url: 'http://localhost:' + port, dir, child, output: '' };
+  await new Promise((resolve, reject) => {
+    const onData = chunk => {
+      server.output += chunk;
+      if (server.output.includes('Server running')) resolve();
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.once('exit', code => reject(new Error('Server exited with code ' + code + ':\n' + server.output)));
+  });
+  return server;
+}
+
+async function stopServer(server) {
+  if (!server) return;
+  if (server.child.exitCode === null) {
+    const exited = new Promise(resolve => server.child.once('exit', resolve));
+    server.child.kill();
+    await exited;
+  }
+  fs.rmSync(server.dir, { recursive: true, force: true });
+}
+
+// JSON request; resolves to { status, body, headers }
+async function request(server, method, url, body) {
+  const response = await fetch(server.url + url, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await response.text();
+  let parsed = text;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    // not JSON: keep the text
+  }
+  return { status: response.status, body: parsed, headers: response.headers };
+}
+
+// Multipart upload; fields are strings, files are { name, content, type }
+async function upload(server, url, fields, files) {
+  const form = new FormData();
+  Object.keys(fields).forEach(name => form.append(name, fields[name]));
+  Object.keys(files || {}).forEach(name => {
+    const file = files[name];
+    form.append(name, new Blob([file.content], { type: file.type || 'application/octet-stream' }), file.name);
+  });
+  const response = await fetch(server.url + url, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+// Minimal files the upload checks accept as each lesson type
+const LESSON_FILES = {
+  ppt: { name: 'slides.ppt', content: Buffer.concat([Buffer.from('d0cf11e0a1b11ae1', 'hex'), Buffer.alloc(504)]) },
+  pdf: { name: 'notes.pdf', content: Buffer.from('%PDF-1.4\n%%EOF\n') }
+};
+
+// Upload a lesson as an admin. fields: module, type, title and any lesson
+// settings; file defaults to a minimal file of the lesson's type.
+async function uploadLesson(server, adminToken, fields, file) {
+  const result = await upload(server, '/api/admin/modules/upload', { token: adminToken, module: 'cranial', ...fields }, {
+    file: file || LESSON_FILES[fields.type]
+  });
+  if (result.status !== 200) throw new Error('Upload failed: ' + JSON.stringify(result.body));
+  return result.body.content;
+}
+
+// Most recent mail sent to an address, as written by the file transport
+function lastMail(server, to) {
+  const dir = path.join(server.dir, 'mail');
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('-' + to + '.json')).sort() : [];
+  if (files.length === 0) throw new Error('No mail sent to ' + to);
+  return JSON.parse(fs.readFileSync(path.join(dir, files[files.length - 1]), 'utf8'));
+}
+
+async function waitFor(check, what) {
+  for (let i = 0; i < 50; i++) {
+    try {
+      const result = await check();
+      if (result) return result;
+    } catch (e) {
+      // not there yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  throw new Error('Timed out waiting for ' + what);
+}
+
+// The bootstrap super-admin, past the forced password change. Resolves to a token.
+async function signInAdmin(server) {
+  const first = await request(server, 'POST', '/api/admin/login', { email: ADMIN_EMAIL, password: ADMIN_PASSWORD });
+  const newPassword = ADMIN_PASSWORD + '!';
+  await request(server, 'POST', '/api/admin/change-password', {
+    token: first.body.token,
+    currentPassword: ADMIN_PASSWORD,
+    newPassword
+  });
+  const login = await request(server, 'POST', '/api/admin/login', { email: ADMIN_EMAIL, password: newPassword });
+  if (!login.body.token) throw new Error('Admin login failed: ' + JSON.stringify(login.body));
+  return login.body.token;
+}
+
+// Invite an admin with a role, accept the invitation and sign in as them
+async function createAdmin(server, adminToken, fields) {
+  const password = 'Admin-Passw0rd';
+  const invite = await request(server, 'POST', '/api/admin/admins/invite', { token: adminToken, ...fields });
+  if (invite.status !== 200) throw new Error('Invite failed: ' + JSON.stringify(invite.body));
+  const inviteToken = new URL(invite.body.inviteUrl).searchParams.get('token');
+  await request(server, 'POST', '/api/admin/accept-invite', { token: inviteToken, password });
+  const login = await request(server, 'POST', '/api/admin/login', { email: fields.email, password });
+  if (!login.body.token) throw new Error('Admin login failed: ' + JSON.stringify(login.body));
+  return login.body.token;
+}
+
+// Sign up, verify and approve a trainee, then sign in. Resolves to a token.
+async function createTrainee(server, adminToken, email, fields = {}) {
+  const signup = await request(server, 'POST', '/api/signup', {
+    email,
+    firstName: 'Test',
+    lastName: 'Trainee',
+    serial: 'SN-1',
+    hospital: 'General Hospital',
+    password: TRAINEE_PASSWORD,
+    ...fields
+  });
+  if (signup.status !== 200) throw new Error('Signup failed: ' + JSON.stringify(signup.body));
+  const mail = await waitFor(() => lastMail(server, email), 'the verification mail');
+  await request(server, 'POST', '/api/verify-email', { token: mail.text.match(/token=([a-f0-9]+)/)[1] });
+  await request(server, 'POST', '/api/admin/users/approve', { token: adminToken, email });
+  const login = await request(server, 'POST', '/api/login', { email, password: TRAINEE_PASSWORD });
+  if (!login.body.token) throw new Error('Trainee login failed: ' + JSON.stringify(login.body));
+  return login.body.token;
+}
+
+module.exports = {
+  FILE_LINK_SECRET,
+  startServer,
+  stopServer,
+  request,
+  upload,
+  uploadLesson,
+  lastMail,
+  waitFor,
+  signInAdmin,
+  createAdmin,
+  createTrainee
+};
@@ -0,0 +1,71 @@
+// Locked lessons: until the lessons they wait on are finished, trainees get
+// neither a file link nor progress for them.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, uploadLesson, signInAdmin, createTrainee } = require('./helpers');
+
+let server;
+let adminToken;
+let intro;
+let followUp;
+let advanced;
+
+before(async () => {
+  server = await startServer();
+  adminToken = await signInAdmin(server);
+  intro = await uploadLesson(server, adminToken, { type: 'ppt', title: 'Introduction' });
+  followUp = await uploadLesson(server, adminToken, { type: 'ppt', title: 'Follow-up', requiresPrevious: 'true' });
+  advanced = await uploadLesson(server, adminToken, { type: 'ppt', title: 'Advanced', prerequisites: JSON.stringify([intro.id]) });
+});
+
+after(() => stopServer(server));
+
+function courseLesson(course, id) {
+  for (const section of course.sections) {
+    const lesson = section.lessons.find(l => l.id === id);
+    if (lesson) return lesson;
+  }
+  return null;
+}
+
+test('the course outline shows which lessons are locked and by what', async () => {
+  const token = await createTrainee(server, adminToken, 'outline@example.com');
+  const course = await request(server, 'GET', '/api/courses/cranial?token=' + token);
+  assert.strictEqual(course.status, 200);
+  assert.strictEqual(courseLesson(course.body, intro.id).locked, false);
+  assert.deepStrictEqual(courseLesson(course.body, followUp.id).lockedBy, [intro.id]);
+  assert.deepStrictEqual(courseLesson(course.body, advanced.id).lockedBy, [intro.id]);
+});
+
+test('a locked lesson gives no file link and records no progress', async () => {
+  const token = await createTrainee(server, adminToken, 'locked@example.com');
+  const link = await request(server, 'POST', '/api/files/' + followUp.id + '/link', { token });
+  assert.strictEqual(link.status, 403);
+  assert.deepStrictEqual(link.body.lockedBy, [intro.id]);
+  const progress = await request(server, 'POST', '/api/progress', { token, itemId: advanced.id, event: 'opened' });
+  assert.strictEqual(progress.status, 403);
+
+  const items = await request(server, 'GET', '/api/progress?token=' + token);
+  assert.strictEqual(items.body.items[followUp.id], undefined);
+  assert.strictEqual(items.body.items[advanced.id], undefined);
+});
+
+test('finishing the earlier lesson unlocks the ones waiting on it', async () => {
+  const token = await createTrainee(server, adminToken, 'unlocked@example.com');
+  const opened = await request(server, 'POST', '/api/progress', { token, itemId: intro.id, event: 'opened' });
+  assert.strictEqual(opened.status, 200);
+  assert.ok(opened.body.item.completedAt);
+
+  const link = await request(server, 'POST', '/api/files/' + followUp.id + '/link', { token });
+  assert.strictEqual(link.status, 200);
+  const file = await fetch(server.url + link.body.url);
+  assert.strictEqual(file.status, 200);
+  const progress = await request(server, 'POST', '/api/progress', { token, itemId: advanced.id, event: 'opened' });
+  assert.strictEqual(progress.status, 200);
+});
+
+test('locks are per trainee', async () => {
+  const token = await createTrainee(server, adminToken, 'other@example.com');
+  const link = await request(server, 'POST', '/api/files/' + followUp.id + '/link', { token });
+  assert.strictEqual(link.status, 403);
+});
@@ -0,0 +1,111 @@
+// Video processing: what media.js makes of ffprobe output, and the media
+// fields a video lesson ends up with, with ffmpeg stubbed through setRunner.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const media = require('../media');
+const { startServer, stopServer, request, uploadLesson, waitFor, signInAdmin, createTrainee } = require('./helpers');
+
+let server;
+let adminToken;
+let traineeToken;
+
+before(async () => {
+  server = await startServer({ script: path.join(__dirname, 'stub-media-server.js'), env: { VIDEO_LOW_RENDITION: 'true' } });
+  adminToken = await signInAdmin(server);
+  traineeToken = await createTrainee(server, adminToken, 'viewer@example.com');
+});
+
+after(async () => {
+  media.setRunner(null);
+  await stopServer(server);
+});
+
+// An MP4 header the upload check accepts, followed by a marker for the stub
+function clip(marker) {
+  return { name: 'clip.mp4', content: Buffer.concat([Buffer.from('0000001866747970', 'hex'), Buffer.from('isom' + (marker || '')), Buffer.alloc(500)]) };
+}
+
+async function lessonMedia(id) {
+  const lesson = await request(server, 'GET', '/api/admin/lessons/' + id + '/revisions?token=' + adminToken);
+  return lesson.body.lesson.media;
+}
+
+function mediaFile(name) {
+  return path.join(server.dir, 'uploads', 'media', name);
+}
+
+test('probe reports the duration and the first video stream\'s size', async () => {
+  const calls = [];
+  media.setRunner(async (command, args) => {
+    calls.push(args);
+    return JSON.stringify({ format: { duration: '61.6' }, streams: [{ codec_type: 'audio' }, { codec_type: 'video', width: 640, height: 360 }] });
+  });
+  assert.deepStrictEqual(await media.probe('/videos/a.mp4'), { durationSeconds: 62, width: 640, height: 360 });
+  assert.strictEqual(calls[0][calls[0].length - 1], '/videos/a.mp4');
+
+  media.setRunner(async () => JSON.stringify({ format: {}, streams: [{ codec_type: 'audio' }] }));
+  assert.deepStrictEqual(await media.probe('/videos/audio-only.mp4'), { durationSeconds: 0, width: null, height: null });
+});
+
+test('runner failures reach the caller', async () => {
+  const failure = Object.assign(new Error('Command failed'), { stderr: 'Invalid data found when processing input' });
+  media.setRunner(async () => { throw failure; });
+  await assert.rejects(media.probe('/videos/bad.mp4'), failure);
+  await assert.rejects(media.thumbnail('/videos/bad.mp4', '/tmp/thumb.jpg', 5), failure);
+  await assert.rejects(media.transcodeLow('/videos/bad.mp4', '/tmp/low.mp4'), failure);
+});
+
+test('an uploaded video gets its duration, size and poster, then a low rendition', async () => {
+  const lesson = await uploadLesson(server, adminToken, { type: 'video', title: 'Walkthrough' }, clip());
+  assert.deepStrictEqual(lesson.media, {
+    durationSeconds: 125,
+    width: 1920,
+    height: 1080,
+    thumbnail: lesson.id + '-thumb.jpg',
+    status: 'processing'
+  });
+  assert.ok(fs.existsSync(mediaFile(lesson.id + '-thumb.jpg')));
+
+  const ready = await waitFor(async () => {
+    const current = await lessonMedia(lesson.id);
+    return current.status === 'ready' && current;
+  }, 'the low rendition');
+  assert.deepStrictEqual(ready.renditions, { low: lesson.id + '-low.mp4' });
+  assert.ok(ready.processedAt);
+
+  const link = await request(server, 'POST', '/api/files/' + lesson.id + '/link', { token: traineeToken });
+  const low = await fetch(server.url + link.body.url + '&variant=low');
+  assert.strictEqual(await low.text(), 'low rendition');
+  const poster = await fetch(server.url + link.body.url + '&variant=thumbnail');
+  assert.strictEqual(await poster.text(), 'thumbnail');
+});
+
+test('a video ffprobe cannot read is kept but marked failed', async () => {
+  const lesson = await uploadLesson(server, adminToken, { type: 'video', title: 'Unreadable' }, clip('FAIL-PROBE'));
+  assert.deepStrictEqual(lesson.media, { status: 'failed', error: 'moov atom not found' });
+  const link = await request(server, 'POST', '/api/files/' + lesson.id + '/link', { token: traineeToken });
+  assert.strictEqual((await fetch(server.url + link.body.url)).status, 200);
+  assert.strictEqual((await fetch(server.url + link.body.url + '&variant=thumbnail')).status, 404);
+});
+
+test('a failed low rendition is recorded and its partial file removed', async () => {
+  const lesson = await uploadLesson(server, adminToken, { type: 'video', title: 'Unencodable' }, clip('FAIL-TRANSCODE'));
+  assert.strictEqual(lesson.media.status, 'processing');
+  const failed = await waitFor(async () => {
+    const current = await lessonMedia(lesson.id);
+    return current.status === 'failed' && current;
+  }, 'the failed rendition');
+  assert.strictEqual(failed.error, 'Conversion failed!');
+  assert.strictEqual(failed.renditions, undefined);
+  await waitFor(() => !fs.existsSync(mediaFile(lesson.id + '-low.mp4')), 'the partial rendition to be removed');
+
+  const link = await request(server, 'POST', '/api/files/' + lesson.id + '/link', { token: traineeToken });
+  assert.strictEqual((await fetch(server.url + link.body.url + '&variant=low')).status, 404);
+});
+
+test('without ffmpeg installed videos are marked unavailable', async () => {
+  const lesson = await uploadLesson(server, adminToken, { type: 'video', title: 'No tools' }, clip('NO-FFMPEG'));
+  assert.deepStrictEqual(lesson.media, { status: 'unavailable', error: 'ffmpeg is not installed' });
+});
@@ -0,0 +1,103 @@
+// Lesson packages: their files and the learning record store are reached with
+// a grant signed for one lesson and one trainee, and only while the trainee
+// may still work on the lesson.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const JSZip = require('jszip');
+const { FILE_LINK_SECRET, startServer, stopServer, request, uploadLesson, signInAdmin, createTrainee } = require('./helpers');
+
+let server;
+let adminToken;
+let traineeToken;
+let course;
+let intro;
+let followUp;
+
+// A minimal xAPI package: tincan.xml and the page it launches
+async function xapiPackage() {
+  const zip = new JSZip();
+  zip.file('tincan.xml', '<tincan><activities><activity id="http://example.com/course" type="http://adlnet.gov/expapi/activities/course">' +
+    '<name>Course</name><launch lang="en-US">index.html</launch></activity></activities></tincan>');
+  zip.file('index.html', '<!DOCTYPE html><html><body>Course</body></html>');
+  return { name: 'course.zip', content: await zip.generateAsync({ type: 'nodebuffer' }) };
+}
+
+before(async () => {
+  server = await startServer();
+  adminToken = await signInAdmin(server);
+  traineeToken = await createTrainee(server, adminToken, 'learner@example.com');
+  course = await uploadLesson(server, adminToken, { type: 'package', title: 'Course' }, await xapiPackage());
+  intro = await uploadLesson(server, adminToken, { type: 'ppt', title: 'Introduction' });
+  followUp = await uploadLesson(server, adminToken, { type: 'package', title: 'Follow-up', requiresPrevious: 'true' }, await xapiPackage());
+});
+
+after(() => stopServer(server));
+
+function signedGrant(itemId, email) {
+  const expires = Date.now() + 60000;
+  const sig = crypto.createHmac('sha256', FILE_LINK_SECRET).update(itemId + '|' + email + '|' + expires).digest('hex');
+  return Buffer.from(email).toString('base64url') + '.' + expires + '.' + sig;
+}
+
+async function launchGrant(token, itemId) {
+  const link = await request(server, 'POST', '/api/files/' + itemId + '/link', { token });
+  assert.strictEqual(link.status, 200);
+  return link.body.url.split('/')[4];
+}
+
+function packageFile(itemId, grant) {
+  return fetch(server.url + '/api/packages/' + itemId + '/' + grant + '/index.html');
+}
+
+function statements(itemId, grant) {
+  return fetch(server.url + '/api/xapi/statements', {
+    headers: { Authorization: 'Basic ' + Buffer.from(itemId + ':' + grant).toString('base64') }
+  });
+}
+
+test('a launch grant opens the package and its learning record store', async () => {
+  const grant = await launchGrant(traineeToken, course.id);
+  const page = await packageFile(course.id, grant);
+  assert.strictEqual(page.status, 200);
+  assert.match(await page.text(), /Course/);
+  assert.ok(page.headers.get('content-security-policy'));
+  assert.strictEqual((await statements(course.id, grant)).status, 200);
+});
+
+test('grants are refused when tampered with or used for another lesson', async () => {
+  const grant = await launchGrant(traineeToken, course.id);
+  const [user, expires] = grant.split('.');
+  const tampered = [user, expires, '0'.repeat(64)].join('.');
+  const otherUser = [Buffer.from('someone@example.com').toString('base64url'), ...grant.split('.').slice(1)].join('.');
+  const extended = [user, String(Date.now() + 24 * 60 * 60 * 1000), grant.split('.')[2]].join('.');
+  for (const bad of [tampered, otherUser, extended]) {
+    assert.strictEqual((await packageFile(course.id, bad)).status, 403);
+    assert.strictEqual((await statements(course.id, bad)).status, 401);
+  }
+  assert.strictEqual((await packageFile(followUp.id, grant)).status, 403);
+  assert.strictEqual((await statements(followUp.id, grant)).status, 401);
+});
+
+test('a genuine grant for a locked lesson is refused until it unlocks', async () => {
+  const token = await createTrainee(server, adminToken, 'locked@example.com');
+  const grant = signedGrant(followUp.id, 'locked@example.com');
+  assert.strictEqual((await packageFile(followUp.id, grant)).status, 403);
+  assert.strictEqual((await statements(followUp.id, grant)).status, 401);
+
+  await request(server, 'POST', '/api/progress', { token, itemId: intro.id, event: 'opened' });
+  assert.strictEqual((await packageFile(followUp.id, grant)).status, 200);
+  assert.strictEqual((await statements(followUp.id, grant)).status, 200);
+});
+
+test('a grant stops working once the module is hidden', async () => {
+  const grant = await launchGrant(traineeToken, course.id);
+  await request(server, 'POST', '/api/admin/modules/update', { token: adminToken, id: 'cranial', visible: false });
+  try {
+    assert.strictEqual((await packageFile(course.id, grant)).status, 403);
+    assert.strictEqual((await statements(course.id, grant)).status, 401);
+  } finally {
+    await request(server, 'POST', '/api/admin/modules/update', { token: adminToken, id: 'cranial', visible: true });
+  }
+  assert.strictEqual((await packageFile(course.id, grant)).status, 200);
+});
@@ -0,0 +1,48 @@
+// Lesson revisions: a major revision flags trainees who finished an earlier
+// one, and they are done again under the same rule as a first pass.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { startServer, stopServer, request, upload, uploadLesson, signInAdmin, createTrainee } = require('./helpers');
+
+let server;
+let adminToken;
+
+const PPT = { name: 'slides-v2.ppt', content: Buffer.concat([Buffer.from('d0cf11e0a1b11ae1', 'hex'), Buffer.alloc(600)]) };
+
+before(async () => {
+  server = await startServer();
+  adminToken = await signInAdmin(server);
+});
+
+after(() => stopServer(server));
+
+async function itemRecord(token, id) {
+  const progress = await request(server, 'GET', '/api/progress?token=' + token);
+  return progress.body.items[id];
+}
+
+test('a major revision flags earlier completions until the lesson is opened again', async () => {
+  const lesson = await uploadLesson(server, adminToken, { type: 'ppt', title: 'Positioning' });
+  const token = await createTrainee(server, adminToken, 'flagged@example.com');
+  await request(server, 'POST', '/api/progress', { token, itemId: lesson.id, event: 'opened' });
+  assert.ok((await itemRecord(token, lesson.id)).completedAt);
+
+  const replaced = await upload(server, '/api/admin/lessons/' + lesson.id + '/file', { token: adminToken, major: 'true' }, { file: PPT });
+  assert.strictEqual(replaced.status, 200);
+  assert.strictEqual(replaced.body.flagged, 1);
+
+  const flagged = await itemRecord(token, lesson.id);
+  assert.strictEqual(flagged.completedAt, undefined);
+  assert.strictEqual(flagged.reviewRevision, 2);
+  assert.strictEqual(flagged.completions.length, 1);
+  const revisions = await request(server, 'GET', '/api/admin/lessons/' + lesson.id + '/revisions?token=' + adminToken);
+  assert.deepStrictEqual(revisions.body.outdated.map(o => [o.email, o.completedRevision]), [['flagged@example.com', 1]]);
+
+  const reopened = await request(server, 'POST', '/api/progress', { token, itemId: lesson.id, event: 'opened' });
+  assert.strictEqual(reopened.status, 200);
+  assert.ok(reopened.body.item.completedAt);
+  assert.strictEqual(reopened.body.item.completedRevision, 2);
+  assert.strictEqual(reopened.body.item.reviewRevision, undefined);
+  const cleared = await request(server, 'GET', '/api/admin/lessons/' + lesson.id + '/revisions?token=' + adminToken);
+  assert.deepStrictEqual(cleared.body.outdated, []);
+});
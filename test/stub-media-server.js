@@ -0,0 +1,29 @@
+// server.js with ffmpeg and ffprobe replaced through media.setRunner, for tests
+// that upload video. A marker in the clip picks the outcome: FAIL-PROBE makes
+// ffprobe fail, FAIL-TRANSCODE the low rendition, NO-FFMPEG behaves as if the
+// binaries were not installed. Otherwise every command succeeds.
+const fs = require('fs');
+const media = require('../media');
+
+media.setRunner(async (command, args) => {
+  const probing = args.includes('-show_format');
+  const input = probing ? args[args.length - 1] : args[args.indexOf('-i') + 1];
+  const clip = fs.readFileSync(input, 'latin1');
+  if (clip.includes('NO-FFMPEG')) throw Object.assign(new Error('spawn ' + command + ' ENOENT'), { code: 'ENOENT' });
+  if (probing) {
+    if (clip.includes('FAIL-PROBE')) throw Object.assign(new Error('Command failed: ' + command), { stderr: 'moov atom not found\n' });
+    return JSON.stringify({
+      format: { duration: '125.4' },
+      streams: [{ codec_type: 'audio' }, { codec_type: 'video', width: 1920, height: 1080 }]
+    });
+  }
+  const output = args[args.length - 1];
+  if (output.endsWith('-low.mp4') && clip.includes('FAIL-TRANSCODE')) {
+    fs.writeFileSync(output, 'half-written');
+    throw Object.assign(new Error('Command failed: ' + command), { stderr: 'Conversion failed!\n' });
+  }
+  fs.writeFileSync(output, output.endsWith('.jpg') ? 'thumbnail' : 'low rendition');
+  return '';
+});
+
+require('../server');
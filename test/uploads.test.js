@@ -0,0 +1,79 @@
+// Chunked lesson uploads: lesson fields are checked before any bytes are
+// sent, and a session ends only once its lesson exists or its file is refused.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { startServer, stopServer, request, waitFor, signInAdmin } = require('./helpers');
+
+let server;
+let adminToken;
+
+const PPT = Buffer.concat([Buffer.from('d0cf11e0a1b11ae1', 'hex'), Buffer.alloc(504)]);
+
+before(async () => {
+  server = await startServer();
+  adminToken = await signInAdmin(server);
+});
+
+after(() => stopServer(server));
+
+function start(fields) {
+  return request(server, 'POST', '/api/admin/uploads', {
+    token: adminToken, filename: 'slides.ppt', size: PPT.length, module: 'cranial', type: 'ppt', title: 'Slides', ...fields
+  });
+}
+
+async function sendFile(id, content) {
+  const response = await fetch(server.url + '/api/admin/uploads/' + id + '/chunks/0?token=' + adminToken, {
+    method: 'PUT',
+    headers: { 'X-Chunk-Checksum': crypto.createHash('sha256').update(content).digest('hex') },
+    body: content
+  });
+  assert.strictEqual(response.status, 200);
+}
+
+function complete(id) {
+  return request(server, 'POST', '/api/admin/uploads/' + id + '/complete', { token: adminToken });
+}
+
+test('lesson fields are checked when the upload starts', async () => {
+  const refusal = async fields => {
+    const started = await start(fields);
+    assert.strictEqual(started.status, 400);
+    return started.body.error;
+  };
+  assert.strictEqual(await refusal({ module: 'no-such-module' }), 'Unknown module');
+  assert.strictEqual(await refusal({ type: 'gif' }), 'Content type must be pdf, ppt, video or package');
+  assert.strictEqual(await refusal({ title: '   ' }), 'Title is required');
+  assert.strictEqual(await refusal({ sectionId: 'no-such-section' }), 'Unknown section');
+  assert.strictEqual(await refusal({ prerequisites: '["no-such-lesson"]' }), 'Invalid prerequisite: no-such-lesson');
+  assert.strictEqual(await refusal({ publishAt: 'next tuesday-ish' }), 'Invalid publish time');
+});
+
+test('a completed upload becomes a lesson and its session ends', async () => {
+  const started = await start({ title: '  Slides  ' });
+  assert.strictEqual(started.status, 200);
+  const id = started.body.upload.id;
+  await sendFile(id, PPT);
+
+  const done = await complete(id);
+  assert.strictEqual(done.status, 200);
+  assert.strictEqual(done.body.content.title, 'Slides');
+  assert.ok(fs.existsSync(path.join(server.dir, 'uploads', done.body.content.filename)));
+  assert.strictEqual((await request(server, 'GET', '/api/admin/uploads/' + id + '?token=' + adminToken)).status, 404);
+  assert.strictEqual((await complete(id)).status, 404);
+});
+
+test('a file of the wrong type is refused and the upload discarded', async () => {
+  const started = await start({ type: 'pdf', filename: 'slides.pdf' });
+  const id = started.body.upload.id;
+  await sendFile(id, PPT);
+
+  const refused = await complete(id);
+  assert.strictEqual(refused.status, 400);
+  assert.strictEqual(refused.body.error, 'The file is not a valid PDF (it looks like a PPT)');
+  assert.strictEqual((await request(server, 'GET', '/api/admin/uploads/' + id + '?token=' + adminToken)).status, 404);
+  await waitFor(() => !fs.existsSync(path.join(server.dir, 'uploads', 'partial', id + '.part')), 'the partial file to be removed');
+});